@@ -0,0 +1,12 @@
+// Web Worker working out the analytics of a large network off the main thread
+// (see computeAnalyticsOffThread in analytics.js). A module worker, as the
+// analytics need nothing but their own modules.
+
+import { computeAnalytics } from './analytics.js';
+import { configureTypes } from './model.js';
+
+self.onmessage = event => {
+    const { data, options, types } = event.data;
+    configureTypes(types);
+    self.postMessage(computeAnalytics(data, options));
+};
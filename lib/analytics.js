@@ -0,0 +1,361 @@
+// Network analytics shared by the network view's analytics panel and the list
+// view's sort options: degree, betweenness and closeness centrality, connected
+// components, communities (Louvain modularity) and brokers, the organizations
+// that hold parts of the network together. Relationships are undirected and
+// counted once per pair of organizations.
+
+import { ORGANIZATION_TYPES, RELATIONSHIP_TYPES, endpointId, isCategoryRelationship } from './model.js';
+
+// Metrics that can size nodes or sort the list; all are higher = more central
+export const CENTRALITY_METRICS = [
+    { id: 'degree', label: 'Connections (degree)' },
+    { id: 'betweenness', label: 'Betweenness' },
+    { id: 'closeness', label: 'Closeness' }
+];
+
+// Metrics that group organizations, for coloring
+export const GROUP_METRICS = [
+    { id: 'component', label: 'Connected component' },
+    { id: 'community', label: 'Community' }
+];
+
+// The graph as id → Set(neighbor ids). Without categories, category nodes
+// and category memberships/links are left out so only direct relationships count.
+function buildGraph(data, includeCategories) {
+    const organizations = data.organizations.filter(org => includeCategories || org.type !== 'category');
+    const adjacency = new Map(organizations.map(org => [org.id, new Set()]));
+
+    data.relationships.forEach(rel => {
+        if (!includeCategories && isCategoryRelationship(rel.type)) return;
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (sourceId === targetId || !adjacency.has(sourceId) || !adjacency.has(targetId)) return;
+        adjacency.get(sourceId).add(targetId);
+        adjacency.get(targetId).add(sourceId);
+    });
+
+    return adjacency;
+}
+
+// Brandes' algorithm; returns id → betweenness normalized to 0..1 and
+// id → closeness (Wasserman-Faust, so it works for disconnected networks)
+function shortestPathCentralities(adjacency) {
+    const ids = [...adjacency.keys()];
+    const n = ids.length;
+    const betweenness = new Map(ids.map(id => [id, 0]));
+    const closeness = new Map();
+
+    ids.forEach(sourceId => {
+        const stack = [];
+        const predecessors = new Map(ids.map(id => [id, []]));
+        const paths = new Map([[sourceId, 1]]);
+        const distance = new Map([[sourceId, 0]]);
+        const queue = [sourceId];
+
+        for (let i = 0; i < queue.length; i++) {
+            const id = queue[i];
+            stack.push(id);
+            adjacency.get(id).forEach(neighborId => {
+                if (!distance.has(neighborId)) {
+                    distance.set(neighborId, distance.get(id) + 1);
+                    paths.set(neighborId, 0);
+                    queue.push(neighborId);
+                }
+                if (distance.get(neighborId) === distance.get(id) + 1) {
+                    paths.set(neighborId, paths.get(neighborId) + paths.get(id));
+                    predecessors.get(neighborId).push(id);
+                }
+            });
+        }
+
+        const dependency = new Map(ids.map(id => [id, 0]));
+        while (stack.length) {
+            const id = stack.pop();
+            predecessors.get(id).forEach(previousId => {
+                const share = paths.get(previousId) / paths.get(id) * (1 + dependency.get(id));
+                dependency.set(previousId, dependency.get(previousId) + share);
+            });
+            if (id !== sourceId) betweenness.set(id, betweenness.get(id) + dependency.get(id));
+        }
+
+        const reached = distance.size - 1;
+        const total = [...distance.values()].reduce((sum, d) => sum + d, 0);
+        closeness.set(sourceId, reached > 0 && n > 1 ? (reached / (n - 1)) * (reached / total) : 0);
+    });
+
+    // Every pair was counted from both ends; normalize by the number of pairs
+    const pairs = (n - 1) * (n - 2);
+    ids.forEach(id => betweenness.set(id, pairs > 0 ? betweenness.get(id) / pairs : 0));
+
+    return { betweenness, closeness };
+}
+
+// Groups of organizations that can reach each other, largest first
+function connectedComponents(adjacency) {
+    const seen = new Set();
+    const components = [];
+    adjacency.forEach((neighbors, startId) => {
+        if (seen.has(startId)) return;
+        const component = [startId];
+        seen.add(startId);
+        for (let i = 0; i < component.length; i++) {
+            adjacency.get(component[i]).forEach(neighborId => {
+                if (!seen.has(neighborId)) {
+                    seen.add(neighborId);
+                    component.push(neighborId);
+                }
+            });
+        }
+        components.push(component);
+    });
+    return components.sort((a, b) => b.length - a.length);
+}
+
+// Organizations whose removal splits their component (Tarjan's articulation
+// points). The depth-first search keeps its own stack, as a long chain of
+// organizations would overflow the call stack with recursion.
+function articulationPoints(adjacency) {
+    const order = new Map();
+    const low = new Map();
+    const points = new Set();
+    let counter = 0;
+
+    const enter = (id, parentId) => {
+        order.set(id, counter);
+        low.set(id, counter);
+        counter++;
+        return { id, parentId, neighbors: adjacency.get(id).values(), children: 0 };
+    };
+
+    adjacency.forEach((neighbors, rootId) => {
+        if (order.has(rootId)) return;
+        const stack = [enter(rootId, null)];
+
+        while (stack.length) {
+            const frame = stack[stack.length - 1];
+            const next = frame.neighbors.next();
+            if (!next.done) {
+                const neighborId = next.value;
+                if (!order.has(neighborId)) {
+                    frame.children++;
+                    stack.push(enter(neighborId, frame.id));
+                } else if (neighborId !== frame.parentId) {
+                    low.set(frame.id, Math.min(low.get(frame.id), order.get(neighborId)));
+                }
+                continue;
+            }
+
+            // All neighbors done: pass the lowest reachable order up to the parent
+            stack.pop();
+            if (frame.parentId === null) {
+                if (frame.children > 1) points.add(frame.id);
+                continue;
+            }
+            const parent = stack[stack.length - 1];
+            low.set(parent.id, Math.min(low.get(parent.id), low.get(frame.id)));
+            if (parent.parentId !== null && low.get(frame.id) >= order.get(parent.id)) points.add(parent.id);
+        }
+    });
+    return points;
+}
+
+// Louvain community detection: move nodes between communities while that
+// raises modularity, merge each community into one node and repeat. Nodes are
+// visited in a fixed order so the same data always gives the same communities.
+// Returns { communities (lists of ids, largest first), modularity }.
+function detectCommunities(adjacency) {
+    const ids = [...adjacency.keys()];
+    const indexOf = new Map(ids.map((id, i) => [id, i]));
+
+    // Current level: weighted neighbors per node (self loops hold the weight
+    // inside merged communities) and which original ids each node stands for
+    let weights = ids.map(id => new Map([...adjacency.get(id)].map(neighborId => [indexOf.get(neighborId), 1])));
+    let members = ids.map(id => [id]);
+    const totalWeight = weights.reduce((sum, neighbors) => sum + neighbors.size, 0);
+    if (totalWeight === 0) {
+        return { communities: members.map(group => [...group]), modularity: 0 };
+    }
+
+    // Degree counts a self loop twice, like an edge with both ends on the node
+    const degreeOf = neighbors => [...neighbors].reduce((sum, [j, w]) => sum + w, 0);
+
+    for (;;) {
+        const size = weights.length;
+        const degree = weights.map((neighbors, i) => degreeOf(neighbors) + (neighbors.get(i) || 0));
+        const community = weights.map((neighbors, i) => i);
+        const communityDegree = [...degree];
+
+        let moved = false;
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < size; i++) {
+                const current = community[i];
+                communityDegree[current] -= degree[i];
+
+                const linksTo = new Map();
+                weights[i].forEach((w, j) => {
+                    if (j !== i) linksTo.set(community[j], (linksTo.get(community[j]) || 0) + w);
+                });
+
+                let best = current;
+                let bestGain = (linksTo.get(current) || 0) - communityDegree[current] * degree[i] / totalWeight;
+                linksTo.forEach((w, candidate) => {
+                    const gain = w - communityDegree[candidate] * degree[i] / totalWeight;
+                    if (gain > bestGain + 1e-12) {
+                        best = candidate;
+                        bestGain = gain;
+                    }
+                });
+
+                community[i] = best;
+                communityDegree[best] += degree[i];
+                if (best !== current) {
+                    improved = true;
+                    moved = true;
+                }
+            }
+        }
+        if (!moved) break;
+
+        // Merge each community into a single node
+        const renumber = new Map();
+        community.forEach(c => {
+            if (!renumber.has(c)) renumber.set(c, renumber.size);
+        });
+        const merged = Array.from({ length: renumber.size }, () => new Map());
+        const mergedMembers = Array.from({ length: renumber.size }, () => []);
+        weights.forEach((neighbors, i) => {
+            const from = renumber.get(community[i]);
+            mergedMembers[from].push(...members[i]);
+            neighbors.forEach((w, j) => {
+                const to = renumber.get(community[j]);
+                // Each edge is seen from both ends; a merged self loop keeps half
+                const share = from === to && i !== j ? w / 2 : w;
+                merged[from].set(to, (merged[from].get(to) || 0) + share);
+            });
+        });
+        weights = merged;
+        members = mergedMembers;
+    }
+
+    // Modularity of the final split, from the original graph
+    const communityIndex = new Map();
+    members.forEach((group, c) => group.forEach(id => communityIndex.set(id, c)));
+    let modularity = 0;
+    ids.forEach(a => {
+        adjacency.get(a).forEach(b => {
+            if (communityIndex.get(a) === communityIndex.get(b)) modularity += 1;
+        });
+    });
+    const degreeSums = new Map();
+    ids.forEach(id => {
+        const c = communityIndex.get(id);
+        degreeSums.set(c, (degreeSums.get(c) || 0) + adjacency.get(id).size);
+    });
+    degreeSums.forEach(sum => {
+        modularity -= sum * sum / totalWeight;
+    });
+
+    return {
+        communities: members.map(group => [...group]).sort((a, b) => b.length - a.length),
+        modularity: modularity / totalWeight
+    };
+}
+
+// All metrics for a dataset. Returns
+//   metrics: id → { degree, betweenness, closeness, component, community,
+//            articulation, communitiesLinked } (component and community are
+//            1-based, largest first)
+//   components, communities: lists of organization ids
+//   modularity, density: numbers for the whole network
+//   brokers: ids of organizations that are articulation points or link other
+//            communities than their own, most between first
+// `includeCategories: false` analyses only direct relationships; category
+// nodes then get no metrics.
+export function computeAnalytics(data, { includeCategories = true } = {}) {
+    const adjacency = buildGraph(data, includeCategories);
+    const { betweenness, closeness } = shortestPathCentralities(adjacency);
+    const components = connectedComponents(adjacency);
+    const { communities, modularity } = detectCommunities(adjacency);
+    const articulation = articulationPoints(adjacency);
+
+    const componentOf = new Map();
+    components.forEach((component, i) => component.forEach(id => componentOf.set(id, i + 1)));
+    const communityOf = new Map();
+    communities.forEach((community, i) => community.forEach(id => communityOf.set(id, i + 1)));
+
+    const metrics = new Map();
+    adjacency.forEach((neighbors, id) => {
+        const linked = new Set([...neighbors].map(neighborId => communityOf.get(neighborId)));
+        linked.delete(communityOf.get(id));
+        metrics.set(id, {
+            degree: neighbors.size,
+            betweenness: betweenness.get(id),
+            closeness: closeness.get(id),
+            component: componentOf.get(id),
+            community: communityOf.get(id),
+            articulation: articulation.has(id),
+            communitiesLinked: linked.size
+        });
+    });
+
+    const n = adjacency.size;
+    const edges = [...adjacency.values()].reduce((sum, neighbors) => sum + neighbors.size, 0) / 2;
+    const brokers = [...metrics.entries()]
+        .filter(([, m]) => m.articulation || m.communitiesLinked > 0)
+        .sort((a, b) => b[1].betweenness - a[1].betweenness)
+        .map(([id]) => id);
+
+    return {
+        metrics,
+        components,
+        communities,
+        modularity,
+        density: n > 1 ? edges / (n * (n - 1) / 2) : 0,
+        organizationCount: n,
+        relationshipCount: edges,
+        brokers
+    };
+}
+
+// computeAnalytics in a Web Worker (analytics-worker.js), so a large network
+// doesn't hold up the page. Only the ids, types and endpoints the analytics
+// read are sent over, with the dataset's types: the worker's own copy of
+// model.js has the built-in ones, which may mark other relationship types as
+// category memberships. onDone(result) is called with what computeAnalytics
+// returns; if the worker fails, the analytics are worked out on the main
+// thread instead. Returns { stop() } to abandon the worker.
+export function computeAnalyticsOffThread(data, options, { onDone }) {
+    const network = {
+        organizations: data.organizations.map(org => ({ id: org.id, type: org.type })),
+        relationships: data.relationships.map(rel => ({ source: endpointId(rel.source), target: endpointId(rel.target), type: rel.type }))
+    };
+    const worker = new Worker(new URL('./analytics-worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = event => {
+        worker.terminate();
+        onDone(event.data);
+    };
+    worker.onerror = event => {
+        console.error('Analytics worker failed, working them out on the main thread:', event.message);
+        worker.terminate();
+        onDone(computeAnalytics(network, options));
+    };
+    const types = { organizationTypes: ORGANIZATION_TYPES, relationshipTypes: RELATIONSHIP_TYPES };
+    worker.postMessage({ data: network, options, types });
+
+    return {
+        stop() {
+            worker.terminate();
+        }
+    };
+}
+
+// A metric as shown to people: counts as is, centralities with two decimals
+export function formatMetric(metricId, value) {
+    if (value === undefined || value === null) return '–';
+    return metricId === 'degree' || metricId === 'component' || metricId === 'community'
+        ? String(value)
+        : value.toFixed(2);
+}
@@ -0,0 +1,116 @@
+// Browser client for the REST API in server.js. On static hosting (or with
+// python's http.server) the API is missing and the views fall back to
+// reading the data file directly. `dataset` is a datasets.json id, empty for
+// the default dataset.
+
+export class ApiError extends Error {
+    constructor(status, message, errors = []) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+function datasetUrl(dataset) {
+    return dataset ? `api/dataset?dataset=${encodeURIComponent(dataset)}` : 'api/dataset';
+}
+
+function apiUrl(path, dataset) {
+    return dataset ? `api/${path}?dataset=${encodeURIComponent(dataset)}` : `api/${path}`;
+}
+
+// Method and path of the API route saving one edited record (see
+// createDatasetStore in dataset-store.js)
+function recordRoute({ kind, action, id, key }) {
+    const collection = kind === 'organization' ? 'organizations' : 'relationships';
+    if (action === 'add') return { method: 'POST', path: collection };
+    const item = kind === 'organization' ? encodeURIComponent(id) : key.split('|').map(encodeURIComponent).join('/');
+    return { method: action === 'update' ? 'PUT' : 'DELETE', path: `${collection}/${item}` };
+}
+
+async function parseError(response) {
+    try {
+        const body = await response.json();
+        return new ApiError(response.status, body.error || `HTTP ${response.status}`, body.errors || []);
+    } catch (error) {
+        return new ApiError(response.status, `HTTP ${response.status}`);
+    }
+}
+
+// Returns { raw, version } from the API, or null when no API server is running
+export async function fetchServerDataset(dataset = '') {
+    let response;
+    try {
+        response = await fetch(`${datasetUrl(dataset)}${dataset ? '&' : '?'}t=${Date.now()}`, { headers: { Accept: 'application/json' } });
+    } catch (error) {
+        return null;
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (response.status === 404 || response.status === 405 || !contentType.includes('application/json')) {
+        return null;
+    }
+    if (!response.ok) {
+        throw await parseError(response);
+    }
+    return { raw: await response.json(), version: response.headers.get('ETag') };
+}
+
+// Whether the dataset on the server is no longer at `version`. While it is,
+// the server answers 304 without the data, so checking often stays cheap.
+// Resolves to false when no API server answers.
+export async function serverDatasetChanged(version, dataset = '') {
+    let response;
+    try {
+        response = await fetch(datasetUrl(dataset), {
+            headers: { Accept: 'application/json', 'If-None-Match': version },
+            cache: 'no-store'
+        });
+    } catch (error) {
+        return false;
+    }
+
+    if (response.status === 304 || response.status === 404 || response.status === 405) {
+        return false;
+    }
+    if (!response.ok) {
+        throw await parseError(response);
+    }
+    return response.headers.get('ETag') !== version;
+}
+
+// Replace the dataset on the server. `version` is the ETag from the last
+// read or save; the server answers 412 if the file changed in between.
+// Resolves to the new version.
+export async function saveServerDataset(raw, version, dataset = '') {
+    const headers = { 'Content-Type': 'application/json' };
+    if (version) headers['If-Match'] = version;
+
+    const response = await fetch(datasetUrl(dataset), {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(raw)
+    });
+    if (!response.ok) {
+        throw await parseError(response);
+    }
+    return response.headers.get('ETag');
+}
+
+// Save one added, edited or deleted record. Edits of different records by
+// different people don't conflict, as the server applies each to the file as
+// it is then. Resolves to { version, previousVersion }: the file's version
+// after the edit and right before it.
+export async function saveServerRecord(record, dataset = '') {
+    const { method, path } = recordRoute(record);
+    const response = await fetch(apiUrl(path, dataset), {
+        method,
+        headers: record.input ? { 'Content-Type': 'application/json' } : {},
+        body: record.input ? JSON.stringify(record.input) : undefined
+    });
+    if (!response.ok) {
+        throw await parseError(response);
+    }
+    return { version: response.headers.get('ETag'), previousVersion: response.headers.get('X-Previous-ETag') };
+}
@@ -0,0 +1,87 @@
+// Light/dark theme and color palette: preferences of this browser, shared by
+// all views and datasets. The theme is a data-theme attribute on <html> that
+// the stylesheets key their dark colors on; the palette recolors the
+// organization types (see configureTypes in model.js).
+
+import { COLOR_PALETTES } from './model.js';
+import { getStorage } from './storage.js';
+
+export const APPEARANCE_STORAGE_KEY = 'ecosystem-appearance';
+
+export const THEMES = [
+    { id: 'light', label: 'Light' },
+    { id: 'dark', label: 'Dark' }
+];
+
+// Dark when the system asks for it and nothing was picked yet
+function systemTheme() {
+    return typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+// { theme, palette }, with unknown or missing values replaced by the defaults
+export function loadAppearance() {
+    let saved = {};
+    const storage = getStorage();
+    try {
+        saved = (storage && JSON.parse(storage.getItem(APPEARANCE_STORAGE_KEY))) || {};
+    } catch (error) {
+        console.error('Ignoring unreadable appearance settings:', error);
+    }
+    return {
+        theme: THEMES.some(theme => theme.id === saved.theme) ? saved.theme : systemTheme(),
+        palette: COLOR_PALETTES.some(palette => palette.id === saved.palette) ? saved.palette : 'standard'
+    };
+}
+
+function saveAppearance(appearance) {
+    const storage = getStorage();
+    if (!storage) return;
+    try {
+        storage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify(appearance));
+    } catch (error) {
+        console.error('Could not store the appearance settings:', error);
+    }
+}
+
+export function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+}
+
+function fillSelect(select, options, value) {
+    select.innerHTML = '';
+    options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.id;
+        element.textContent = option.label;
+        select.appendChild(element);
+    });
+    select.value = value;
+}
+
+// Apply the saved theme and set up the header's theme and palette selects.
+// onPaletteChange(palette) is called after the palette was changed so the
+// view can recolor what it draws.
+export function setupAppearanceControls(onPaletteChange) {
+    const appearance = loadAppearance();
+    applyTheme(appearance.theme);
+
+    const themeSelect = document.getElementById('themeSelect');
+    const paletteSelect = document.getElementById('paletteSelect');
+    if (themeSelect) {
+        fillSelect(themeSelect, THEMES, appearance.theme);
+        themeSelect.addEventListener('change', () => {
+            appearance.theme = themeSelect.value;
+            applyTheme(appearance.theme);
+            saveAppearance(appearance);
+        });
+    }
+    if (paletteSelect) {
+        fillSelect(paletteSelect, COLOR_PALETTES, appearance.palette);
+        paletteSelect.addEventListener('change', () => {
+            appearance.palette = paletteSelect.value;
+            saveAppearance(appearance);
+            onPaletteChange(appearance.palette);
+        });
+    }
+    return appearance;
+}
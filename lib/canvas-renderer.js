@@ -0,0 +1,370 @@
+// Drawing the network on a canvas instead of with SVG elements, for
+// ecosystems of thousands of organizations. script.js still creates the SVG
+// elements: they keep the styling the rest of the view gives each node and
+// link (classes, fill, opacity), stay focusable for the keyboard and screen
+// readers, and are what image exports are made of. With the canvas they are
+// just not moved on every tick nor shown; the canvas underneath is redrawn
+// instead, reading their styling. Finding what is under the pointer uses a
+// quadtree of the node positions and the bounding boxes of the links.
+
+export const RENDERERS = [
+    { id: 'auto', label: 'Automatic' },
+    { id: 'svg', label: 'SVG' },
+    { id: 'canvas', label: 'Canvas' }
+];
+
+// Automatic draws networks of this many organizations on the canvas
+export const CANVAS_THRESHOLD = 500;
+
+// 'svg' or 'canvas' for a renderer picked in the view and the number of
+// organizations drawn
+export function resolveRenderer(rendererId, organizationCount) {
+    if (rendererId === 'svg' || rendererId === 'canvas') return rendererId;
+    return organizationCount >= CANVAS_THRESHOLD ? 'canvas' : 'svg';
+}
+
+// Level of detail: labels are only drawn for nodes at least this large on
+// screen (radius in pixels), at most LABEL_LIMIT of them, the largest first.
+// The hovered and focused nodes are always labeled.
+const LABEL_MIN_RADIUS = 6;
+const LABEL_LIMIT = 250;
+
+// Pixels around an edge that still count as pointing at it
+const LINK_HIT_WIDTH = 6;
+
+// Canvas equivalents of the node and link classes in styles.css, in the order
+// they come there, so later ones win as they do in the stylesheet
+const NODE_CLASS_STYLES = [
+    ['focused', { stroke: '#333', width: 3 }],
+    ['pinned', { stroke: '#555', dash: [2, 2] }],
+    ['new-since', { stroke: '#27ae60', width: 4 }],
+    ['change-added', { stroke: '#27ae60', width: 5 }],
+    ['change-modified', { stroke: '#e67e22', width: 5 }],
+    ['change-removed', { stroke: '#c0392b', width: 3, dash: [3, 2], fillOpacity: 0.35 }],
+    ['collapsed-category', { stroke: '#fff', width: 4, dash: [3, 2] }],
+    ['on-path', { stroke: '#f39c12', width: 4 }]
+];
+const NODE_HOVER_STYLE = { stroke: '#333', width: 3 };
+const NODE_KEYBOARD_FOCUS_STYLE = { stroke: '#f39c12', width: 4 };
+
+const LINK_CLASS_STYLES = [
+    ['new-since', { opacity: 1, width: 4 }],
+    ['change-added', { stroke: '#27ae60', opacity: 1, width: 3 }],
+    ['change-modified', { stroke: '#e67e22', opacity: 1, width: 3 }],
+    ['change-removed', { stroke: '#c0392b', opacity: 0.7, dash: [4, 3] }],
+    ['aggregated', { width: 3 }]
+];
+const LINK_HOVER_STYLE = { opacity: 1, width: 3 };
+const LINK_ON_PATH_STYLE = { stroke: '#f39c12', opacity: 1, width: 4 };
+
+const THEME_COLORS = {
+    light: { background: '#fafafa', label: '#333', labelHalo: 'rgba(255,255,255,0.8)', guide: '#ccc', guideLabel: '#999', hullLabel: '#555', highlight: null },
+    dark: { background: '#1a1b22', label: '#e4e6eb', labelHalo: 'rgba(0,0,0,0.8)', guide: '#444857', guideLabel: '#a0a4b0', hullLabel: '#a0a4b0', highlight: '#e4e6eb' }
+};
+
+function elementOpacity(element) {
+    const opacity = parseFloat(element.style.opacity);
+    return Number.isFinite(opacity) ? opacity : 1;
+}
+
+function parseDash(value) {
+    if (!value) return [];
+    return String(value).split(/[\s,]+/).map(Number).filter(Number.isFinite);
+}
+
+// The style of a node or link: its own attributes, then its classes on top
+function classStyle(element, base, classStyles) {
+    return classStyles.reduce((style, [className, classStyleValues]) =>
+        element.classList.contains(className) ? { ...style, ...classStyleValues } : style, base);
+}
+
+// The points of an SVG path made by linkPath(): "M x,y L x,y" or "M x,y Q x,y x,y"
+function pathPoints(path) {
+    const numbers = (path.match(/-?[\d.]+(?:e-?\d+)?/g) || []).map(Number);
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+    return points;
+}
+
+// An arrowhead like the SVG markers of directed relationships: 5 pixels long
+// at a stroke width of 1, pointing along the end of the path
+function drawArrowhead(context, points, width) {
+    if (points.length < 2) return;
+    const [ex, ey] = points[points.length - 1];
+    const [fx, fy] = points[points.length - 2];
+    const angle = Math.atan2(ey - fy, ex - fx);
+    const size = 5 * width / 2;
+    context.save();
+    context.translate(ex, ey);
+    context.rotate(angle);
+    context.beginPath();
+    context.moveTo(0, 0);
+    context.lineTo(-size, -size / 2);
+    context.lineTo(-size, size / 2);
+    context.closePath();
+    context.fill();
+    context.restore();
+}
+
+// A renderer drawing on `canvas`, placed under `svgElement` with the same size.
+// draw(scene) draws a scene:
+//   { transform, nodes, links, labels, hulls, guides, hovered, linkPath, hullPath,
+//     hullLabelPosition, nodeRadius, isDirected }
+// where nodes, links, labels, hulls and guides are the d3 selections of the
+// SVG elements and hovered is the datum under the pointer. nodeAt, linkAt and
+// hullAt give the datum at a point of the view.
+export function createCanvasRenderer(canvas, svgElement) {
+    const context = canvas.getContext('2d');
+    const shapes = new WeakMap();
+    let scene = null;
+    let quadtree = null;
+    let maxRadius = 0;
+    // The links of the last drawing as { d, outline, path }, in drawing order,
+    // with their bounding boxes added on the first linkAt() after it
+    let drawnLinks = [];
+    let linkBoxesReady = false;
+
+    // Node shapes as Path2D objects, made again only when their path changes
+    function shapeOf(element) {
+        const d = element.getAttribute('d') || '';
+        const cached = shapes.get(element);
+        if (cached && cached.d === d) return cached.path;
+        const path = new Path2D(d);
+        shapes.set(element, { d, path });
+        return path;
+    }
+
+    // Match the canvas to the SVG's place and size, in device pixels
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = svgElement.clientWidth;
+        const height = svgElement.clientHeight;
+        canvas.style.left = `${svgElement.offsetLeft}px`;
+        canvas.style.top = `${svgElement.offsetTop}px`;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+        if (canvas.width !== Math.round(width * ratio)) canvas.width = Math.round(width * ratio);
+        if (canvas.height !== Math.round(height * ratio)) canvas.height = Math.round(height * ratio);
+        return { width, height, ratio };
+    }
+
+    function drawGuides(colors) {
+        context.strokeStyle = colors.guide;
+        context.lineWidth = 1;
+        context.setLineDash([4, 4]);
+        scene.guides.selectAll('circle').each(ring => {
+            context.beginPath();
+            context.arc(ring.x, ring.y, ring.r, 0, 2 * Math.PI);
+            context.stroke();
+        });
+        context.setLineDash([]);
+        context.fillStyle = colors.guideLabel;
+        context.font = '700 12px sans-serif';
+        scene.guides.selectAll('text').each(label => {
+            context.textAlign = label.anchor === 'start' ? 'left' : 'center';
+            context.fillText(label.text, label.x, label.y);
+        });
+    }
+
+    function drawHulls(colors) {
+        scene.hulls.each(function(d) {
+            const outline = scene.hullPath(d);
+            if (!outline) return;
+            const shape = d3.select(this).select('path');
+            const path = new Path2D(outline);
+            context.globalAlpha = 0.15;
+            context.fillStyle = shape.attr('fill');
+            context.fill(path);
+            context.globalAlpha = 0.6;
+            context.strokeStyle = shape.attr('stroke');
+            context.lineWidth = 1.5;
+            context.stroke(path);
+            context.globalAlpha = 1;
+            const { x, y } = scene.hullLabelPosition(d);
+            context.fillStyle = colors.hullLabel;
+            context.font = '700 12px sans-serif';
+            context.textAlign = 'center';
+            context.fillText(d.category.name, x, y);
+        });
+    }
+
+    function drawLinks() {
+        scene.links.each(function(d) {
+            if (this.classList.contains('grouped-membership')) return;
+            let style = classStyle(this, {
+                stroke: this.getAttribute('stroke'),
+                dash: parseDash(this.getAttribute('stroke-dasharray')),
+                width: 2,
+                opacity: 0.6
+            }, LINK_CLASS_STYLES);
+            if (d === scene.hovered) style = { ...style, ...LINK_HOVER_STYLE };
+            if (this.classList.contains('on-path')) style = { ...style, ...LINK_ON_PATH_STYLE };
+            const opacity = style.opacity * elementOpacity(this);
+            if (opacity <= 0) return;
+
+            const outline = scene.linkPath(d);
+            const path = new Path2D(outline);
+            drawnLinks.push({ d, outline, path });
+            context.globalAlpha = opacity;
+            context.strokeStyle = style.stroke;
+            context.fillStyle = style.stroke;
+            context.lineWidth = style.width;
+            context.setLineDash(style.dash || []);
+            context.stroke(path);
+            context.setLineDash([]);
+            if (scene.isDirected(d)) drawArrowhead(context, pathPoints(outline), style.width);
+        });
+        context.globalAlpha = 1;
+    }
+
+    function drawNodes(colors) {
+        const keyboardFocus = document.activeElement;
+        scene.nodes.each(function(d) {
+            if (this.classList.contains('category-anchor')) return;
+            const opacity = elementOpacity(this);
+            if (opacity <= 0) return;
+            const base = {
+                stroke: this.getAttribute('stroke'),
+                width: +this.getAttribute('stroke-width') || 0,
+                dash: [],
+                fillOpacity: 1
+            };
+            let style = classStyle(this, d === scene.hovered ? { ...base, ...NODE_HOVER_STYLE } : base, NODE_CLASS_STYLES);
+            const focused = this.classList.contains('focused') || d === scene.hovered;
+            if (colors.highlight && focused) style = { ...style, stroke: colors.highlight };
+            if (this === keyboardFocus) style = { ...style, ...NODE_KEYBOARD_FOCUS_STYLE };
+
+            const shape = shapeOf(this);
+            context.save();
+            context.translate(d.x, d.y);
+            context.globalAlpha = opacity * style.fillOpacity;
+            context.fillStyle = this.getAttribute('fill');
+            context.fill(shape);
+            if (style.width > 0) {
+                context.globalAlpha = opacity;
+                context.strokeStyle = style.stroke;
+                context.lineWidth = style.width;
+                context.setLineDash(style.dash);
+                context.stroke(shape);
+            }
+            context.restore();
+        });
+        context.globalAlpha = 1;
+        context.setLineDash([]);
+    }
+
+    // Labels of the nodes that are large enough on screen, the largest first
+    function drawLabels(colors) {
+        const keyboardFocus = document.activeElement && d3.select(document.activeElement).datum();
+        const scale = scene.transform.k;
+        const candidates = [];
+        scene.labels.each(function(d) {
+            if (this.classList.contains('category-anchor')) return;
+            const opacity = elementOpacity(this);
+            if (opacity <= 0) return;
+            const always = d === scene.hovered || d === keyboardFocus;
+            const radius = scene.nodeRadius(d);
+            if (!always && radius * scale < LABEL_MIN_RADIUS) return;
+            candidates.push({ element: this, d, opacity, radius, always });
+        });
+        candidates.sort((a, b) => (b.always - a.always) || (b.radius - a.radius));
+
+        context.font = '600 12px sans-serif';
+        context.textAlign = 'center';
+        context.lineWidth = 3;
+        context.strokeStyle = colors.labelHalo;
+        context.fillStyle = colors.label;
+        candidates.slice(0, LABEL_LIMIT).forEach(({ element, d, opacity }) => {
+            const y = d.y + (+element.getAttribute('dy') || 0);
+            context.globalAlpha = opacity;
+            context.strokeText(element.textContent, d.x, y);
+            context.fillText(element.textContent, d.x, y);
+        });
+        context.globalAlpha = 1;
+    }
+
+    function draw(nextScene) {
+        scene = nextScene;
+        quadtree = null;
+        drawnLinks = [];
+        linkBoxesReady = false;
+        const { width, height, ratio } = resize();
+        const colors = THEME_COLORS[document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light'];
+        const { x, y, k } = scene.transform;
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.fillStyle = colors.background;
+        context.fillRect(0, 0, width, height);
+        context.setTransform(ratio * k, 0, 0, ratio * k, ratio * x, ratio * y);
+        drawGuides(colors);
+        drawHulls(colors);
+        drawLinks();
+        drawNodes(colors);
+        drawLabels(colors);
+    }
+
+    // The drawn node at a point of the network (in simulation coordinates)
+    function nodeAt(x, y) {
+        if (!scene) return null;
+        if (!quadtree) {
+            const drawnNodes = [];
+            maxRadius = 0;
+            scene.nodes.each(function(d) {
+                if (this.classList.contains('category-anchor') || elementOpacity(this) <= 0) return;
+                drawnNodes.push(d);
+                maxRadius = Math.max(maxRadius, scene.nodeRadius(d));
+            });
+            quadtree = d3.quadtree(drawnNodes, d => d.x, d => d.y);
+        }
+        const d = quadtree.find(x, y, maxRadius + 2);
+        return d && Math.hypot(d.x - x, d.y - y) <= scene.nodeRadius(d) + 2 ? d : null;
+    }
+
+    // The drawn link at a point of the network. Only the links whose bounding
+    // box (of the path's points: a quadratic curve stays inside the box of its
+    // control points) holds the point are tested against their drawn path.
+    function linkAt(x, y) {
+        if (!scene) return null;
+        if (!linkBoxesReady) {
+            drawnLinks.forEach(link => {
+                const points = pathPoints(link.outline);
+                link.x0 = d3.min(points, p => p[0]);
+                link.x1 = d3.max(points, p => p[0]);
+                link.y0 = d3.min(points, p => p[1]);
+                link.y1 = d3.max(points, p => p[1]);
+            });
+            linkBoxesReady = true;
+        }
+
+        const hitWidth = LINK_HIT_WIDTH / scene.transform.k;
+        const margin = hitWidth / 2;
+        let found = null;
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.lineWidth = hitWidth;
+        for (const link of drawnLinks) {
+            if (x < link.x0 - margin || x > link.x1 + margin || y < link.y0 - margin || y > link.y1 + margin) continue;
+            if (context.isPointInStroke(link.path, x, y)) {
+                found = link.d;
+                break;
+            }
+        }
+        context.restore();
+        return found;
+    }
+
+    function hullAt(x, y) {
+        if (!scene) return null;
+        let found = null;
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        scene.hulls.each(d => {
+            const outline = !found && scene.hullPath(d);
+            if (outline && context.isPointInPath(new Path2D(outline), x, y)) found = d;
+        });
+        context.restore();
+        return found;
+    }
+
+    return { draw, nodeAt, linkAt, hullAt };
+}
@@ -0,0 +1,92 @@
+// Compare dialog of both views: pick the version to compare (an earlier JSON
+// file, or a version this page still has in memory) and what to compare it
+// with (the current data or another JSON file).
+
+import { createElement, openDialog, closeDialog, addField } from './dialog.js';
+
+// Read a dataset JSON file, with a readable error when it isn't one
+async function readDatasetFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`${file.name} is not valid JSON (${error.message})`);
+    }
+    if (!data || !Array.isArray(data.organizations) || !Array.isArray(data.relationships)) {
+        throw new Error(`${file.name} has no "organizations" and "relationships" lists`);
+    }
+    return data;
+}
+
+// A select plus a file input that is only shown when "A JSON file" is chosen
+function addVersionField(form, field, options) {
+    const select = addField(form, { ...field, options: () => [...options, { id: 'file', label: 'A JSON file…' }] }, options.length ? options[0].id : 'file');
+    const fileInput = addField(form, { name: `${field.name}File`, label: `${field.label} file`, inputType: 'file' });
+    fileInput.accept = '.json,application/json';
+    const fileRow = fileInput.parentNode;
+    const update = () => {
+        fileRow.style.display = select.value === 'file' ? '' : 'none';
+    };
+    select.addEventListener('change', update);
+    update();
+    return { select, fileInput };
+}
+
+// `versions` are earlier versions kept in memory: [{ id, label, data }].
+// onCompare({ before: { name, data }, after: { name, data } | null }) is
+// called with a null `after` to compare with the current data.
+export function openCompareDialog({ versions = [], onCompare }) {
+    const form = openDialog('Compare Versions');
+
+    const intro = createElement('p', 'export-note', 'See what was added, removed or changed between two versions of the data. To compare git revisions, save them first, e.g. git show HEAD~5:organizations.json > before.json');
+    form.appendChild(intro);
+
+    const before = addVersionField(form, { name: 'before', label: 'Earlier version' }, versions);
+    const after = addVersionField(form, { name: 'after', label: 'Compare with' }, [
+        { id: 'current', label: 'The current data (with unsaved edits)' }
+    ]);
+
+    const messages = createElement('div', 'editor-messages');
+    messages.setAttribute('role', 'alert');
+    form.appendChild(messages);
+
+    const actions = createElement('div', 'editor-actions');
+    actions.appendChild(createElement('span', 'editor-actions-spacer'));
+    const cancelButton = createElement('button', 'btn btn-cancel', 'Cancel');
+    cancelButton.type = 'button';
+    cancelButton.addEventListener('click', closeDialog);
+    const compareButton = createElement('button', 'btn', 'Compare');
+    compareButton.type = 'submit';
+    actions.appendChild(cancelButton);
+    actions.appendChild(compareButton);
+    form.appendChild(actions);
+
+    // { name, data } for a version field, or null for the current data
+    async function readVersion({ select, fileInput }, label) {
+        if (select.value === 'current') return null;
+        if (select.value === 'file') {
+            const file = fileInput.files[0];
+            if (!file) throw new Error(`Choose a file for "${label}"`);
+            return { name: file.name, data: await readDatasetFile(file) };
+        }
+        const version = versions.find(item => item.id === select.value);
+        return { name: version.label, data: version.data };
+    }
+
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        messages.innerHTML = '';
+        try {
+            const comparison = {
+                before: await readVersion(before, 'Earlier version'),
+                after: await readVersion(after, 'Compare with')
+            };
+            closeDialog();
+            onCompare(comparison);
+        } catch (error) {
+            messages.appendChild(createElement('p', 'editor-error', error.message));
+        }
+    });
+
+    before.select.focus();
+}
@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV parsing and writing, enough for spreadsheet exports
+// (quoted fields, escaped quotes, embedded newlines, CRLF, BOM)
+
+// Guess the delimiter from the first line: comma, semicolon (European Excel) or tab
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [',', ';', '\t'].map(delimiter => ({
+        delimiter,
+        count: firstLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+// Parse CSV text into an array of rows (arrays of strings). Fully empty rows are dropped.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function quoteField(value, delimiter) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+// Serialize rows (arrays of values) to CSV text with CRLF line endings, as Excel writes it
+export function formatCsv(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => quoteField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,99 @@
+// Where the views get the active dataset (lib/datasets.js) and where editor
+// changes go: the API of server.js when it is running (edits are saved straight
+// to the data file), otherwise the static file plus a draft in localStorage.
+
+import { loadDataset } from './model.js';
+import { createDatasetStore, restoreDraft } from './dataset-store.js';
+import { fetchServerDataset, serverDatasetChanged, saveServerDataset, saveServerRecord } from './api-client.js';
+import { getActiveDataset, activeDatasetParam } from './datasets.js';
+
+// Returns { mode: 'server' | 'file', store, baseData, status, hasChanged },
+// where baseData is the dataset as it was loaded (what "Discard Edits" goes
+// back to), status describes the last save in server mode and hasChanged()
+// resolves to whether the dataset changed where it came from since it was
+// loaded or last saved (for live updates). onChange is called after every
+// edit, undo or reset; onStatus whenever the save status changes.
+export async function openDataSource({ onChange = () => {}, onStatus = () => {} } = {}) {
+    const datasetParam = activeDatasetParam();
+    const server = await fetchServerDataset(datasetParam);
+
+    if (server) {
+        const source = { mode: 'server', store: null, baseData: server.raw, status: { state: 'saved' } };
+        let version = server.version;
+        let saving = Promise.resolve();
+
+        const setStatus = status => {
+            source.status = status;
+            onStatus(status);
+        };
+
+        // Saves run one after another so each one carries the version of the
+        // previous. An edit of one record is saved on its own, so edits by others
+        // to other records don't conflict with it; undos and imports replace the
+        // whole file. `version` only follows the file while it holds this page's
+        // data: when someone else's edit got in between, it stays behind, so
+        // replacing the whole file is refused and hasChanged() reports the change.
+        const save = change => {
+            const data = change.record ? null : source.store.getData();
+            saving = saving.then(async () => {
+                setStatus({ state: 'saving' });
+                try {
+                    if (change.record) {
+                        const saved = await saveServerRecord(change.record, datasetParam);
+                        if (saved.previousVersion === version) version = saved.version;
+                    } else {
+                        version = await saveServerDataset(data, version, datasetParam);
+                    }
+                    source.store.markSaved();
+                    setStatus({ state: 'saved', savedAt: new Date() });
+                } catch (error) {
+                    console.error('Error saving to server:', error);
+                    setStatus({ state: 'error', status: error.status, message: error.message });
+                }
+            });
+        };
+
+        // Someone else saved, or the file was edited, since
+        source.hasChanged = async () => {
+            if (source.status.state === 'saving') return false;
+            return serverDatasetChanged(version, datasetParam);
+        };
+
+        source.store = createDatasetStore(server.raw, {
+            persist: false,
+            onChange: change => {
+                onChange(change);
+                if (change.type !== 'reset') save(change);
+            }
+        });
+        return source;
+    }
+
+    const loaded = await loadDataset(getActiveDataset().data);
+    const draft = restoreDraft();
+    const store = createDatasetStore(draft || loaded.raw, { dirty: Boolean(draft), onChange });
+    // The file was replaced since (a draft still takes precedence over it)
+    const hasChanged = () => fileChanged(getActiveDataset().data, loaded);
+    return { mode: 'file', store, baseData: loaded.raw, status: null, hasChanged };
+}
+
+// Whether the data file differs from the one loaded. The request carries the
+// file's ETag or Last-Modified, so the host answers 304 without the file while
+// it is unchanged; hosts sending neither get the whole file compared.
+async function fileChanged(url, loaded) {
+    if (!loaded.etag && !loaded.lastModified) {
+        const latest = await loadDataset(url);
+        return JSON.stringify(latest.raw) !== JSON.stringify(loaded.raw);
+    }
+
+    const headers = loaded.etag ? { 'If-None-Match': loaded.etag } : { 'If-Modified-Since': loaded.lastModified };
+    const response = await fetch(url, { headers, cache: 'no-store' });
+    if (response.status === 304) return false;
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    // Hosts that ignore the condition send the same header back for the same file
+    return loaded.etag
+        ? response.headers.get('ETag') !== loaded.etag
+        : response.headers.get('Last-Modified') !== loaded.lastModified;
+}
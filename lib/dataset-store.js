@@ -0,0 +1,304 @@
+// Editable copy of the raw dataset with validation and undo, used by the
+// in-browser editor in both views. Changes are kept as a draft in
+// localStorage so they survive switching between the network and list views
+// until they are downloaded or discarded.
+
+import { ORGANIZATION_TYPES, RELATIONSHIP_TYPES } from './model.js';
+import { validateDataset } from './validation.js';
+import { storageKey } from './datasets.js';
+import { getStorage } from './storage.js';
+
+export const DRAFT_STORAGE_KEY = 'ecosystem-editor-draft';
+
+const MAX_UNDO_STEPS = 50;
+
+const ORGANIZATION_FIELDS = ['id', 'name', 'type', 'contactPerson', 'email', 'phone', 'website', 'address', 'description', 'tags', 'latitude', 'longitude', 'startDate', 'endDate'];
+const LOCATION_FIELDS = ['latitude', 'longitude'];
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Return the saved draft dataset, or null when there is none
+export function restoreDraft() {
+    const storage = getStorage();
+    if (!storage) return null;
+    try {
+        const saved = storage.getItem(storageKey(DRAFT_STORAGE_KEY));
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Ignoring unreadable editor draft:', error);
+        return null;
+    }
+}
+
+export function clearDraft() {
+    const storage = getStorage();
+    if (storage) storage.removeItem(storageKey(DRAFT_STORAGE_KEY));
+}
+
+// Same identity the validator uses for duplicate edges
+export function relationshipKey(rel) {
+    const sourceId = rel.source && typeof rel.source === 'object' ? rel.source.id : rel.source;
+    const targetId = rel.target && typeof rel.target === 'object' ? rel.target.id : rel.target;
+    return `${sourceId}|${targetId}|${rel.type}`;
+}
+
+// Next id in the existing "orgN" sequence
+export function nextOrganizationId(organizations) {
+    const highest = organizations.reduce((max, org) => {
+        const match = /^org(\d+)$/.exec(org.id);
+        return match ? Math.max(max, Number(match[1])) : max;
+    }, 0);
+    return `org${highest + 1}`;
+}
+
+// Trim text fields, split a comma-separated tags string, turn typed-in
+// coordinates into numbers and drop empty optional fields
+function cleanOrganization(input) {
+    const org = {};
+    ORGANIZATION_FIELDS.forEach(field => {
+        let value = input[field];
+        if (field === 'tags') {
+            if (typeof value === 'string') value = value.split(',');
+            if (Array.isArray(value)) {
+                value = value.map(tag => String(tag).trim()).filter(Boolean);
+                if (value.length) org.tags = value;
+            }
+            return;
+        }
+        if (typeof value === 'string') value = value.trim();
+        // Coordinates that aren't numbers stay text so validation reports them
+        if (LOCATION_FIELDS.includes(field) && typeof value === 'string' && value !== '' && Number.isFinite(Number(value))) {
+            value = Number(value);
+        }
+        if (value !== undefined && value !== '') org[field] = value;
+    });
+    // Keep any extra fields the file already had (e.g. ones added by later tools)
+    Object.keys(input).forEach(field => {
+        if (!ORGANIZATION_FIELDS.includes(field) && input[field] !== undefined) {
+            org[field] = input[field];
+        }
+    });
+    return org;
+}
+
+// Trim text fields and drop cleared dates
+function cleanRelationship(input) {
+    const rel = { ...input };
+    ['source', 'target', 'type', 'description', 'startDate', 'endDate'].forEach(field => {
+        if (typeof rel[field] === 'string') rel[field] = rel[field].trim();
+    });
+    ['startDate', 'endDate'].forEach(field => {
+        if (rel[field] === '' || rel[field] === null || rel[field] === undefined) delete rel[field];
+    });
+    return rel;
+}
+
+// `dirty` should be true when initialData is a restored draft rather than the file
+export function createDatasetStore(initialData, { persist = true, dirty: initiallyDirty = false, onChange = () => {} } = {}) {
+    let data = clone(initialData);
+    const undoStack = [];
+    let dirty = initiallyDirty;
+
+    const typeOptions = {
+        organizationTypes: ORGANIZATION_TYPES.map(type => type.id),
+        relationshipTypes: RELATIONSHIP_TYPES.map(type => type.id)
+    };
+
+    function saveDraft() {
+        const storage = getStorage();
+        if (!persist || !storage) return;
+        try {
+            storage.setItem(storageKey(DRAFT_STORAGE_KEY), JSON.stringify(data));
+        } catch (error) {
+            console.error('Could not save editor draft:', error);
+        }
+    }
+
+    // Validate the candidate dataset and only accept it if the edited records
+    // (identified by their report path prefixes, null for deletions) have no errors.
+    // Warnings are returned so the form can show them, but do not block the change.
+    // `record` describes an edit of a single organization or relationship, so it
+    // can be saved on its own: { kind, action: 'add' | 'update' | 'delete', id
+    // or key, input }.
+    function commit(candidate, pathPrefixes, description, record = null) {
+        const report = validateDataset(candidate, typeOptions);
+        const prefixes = pathPrefixes === null ? [] : [].concat(pathPrefixes);
+        const relevant = issue => prefixes.some(prefix =>
+            issue.path === prefix || issue.path.startsWith(`${prefix}.`));
+        const errors = report.errors.filter(relevant);
+        const warnings = report.warnings.filter(relevant);
+
+        if (errors.length) {
+            return { ok: false, errors, warnings };
+        }
+
+        undoStack.push({ data, description });
+        if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+        data = candidate;
+        dirty = true;
+        saveDraft();
+        onChange({ type: 'edit', description, record });
+        return { ok: true, errors: [], warnings };
+    }
+
+    function findOrganizationIndex(id) {
+        return data.organizations.findIndex(org => org.id === id);
+    }
+
+    function findRelationshipIndex(key) {
+        return data.relationships.findIndex(rel => relationshipKey(rel) === key);
+    }
+
+    function notFound(message) {
+        return { ok: false, errors: [{ severity: 'error', path: '', message }], warnings: [] };
+    }
+
+    return {
+        getData: () => clone(data),
+        isDirty: () => dirty,
+        canUndo: () => undoStack.length > 0,
+        lastChange: () => (undoStack.length ? undoStack[undoStack.length - 1].description : null),
+
+        getOrganization(id) {
+            const org = data.organizations.find(o => o.id === id);
+            return org ? clone(org) : null;
+        },
+
+        getRelationship(key) {
+            const rel = data.relationships.find(r => relationshipKey(r) === key);
+            return rel ? clone(rel) : null;
+        },
+
+        nextOrganizationId: () => nextOrganizationId(data.organizations),
+
+        addOrganization(input) {
+            const org = cleanOrganization(input);
+            if (!org.id) org.id = nextOrganizationId(data.organizations);
+            const candidate = clone(data);
+            candidate.organizations.push(org);
+            return commit(candidate, `organizations[${candidate.organizations.length - 1}]`, `Add ${org.name || org.id}`,
+                { kind: 'organization', action: 'add', id: org.id, input: org });
+        },
+
+        updateOrganization(id, input) {
+            const index = findOrganizationIndex(id);
+            if (index === -1) return notFound(`Organization "${id}" no longer exists`);
+
+            // Start from the stored record so fields the form doesn't show are kept
+            const org = cleanOrganization({ ...data.organizations[index], ...input, id });
+            const candidate = clone(data);
+            candidate.organizations[index] = org;
+            return commit(candidate, `organizations[${index}]`, `Edit ${org.name || id}`,
+                { kind: 'organization', action: 'update', id, input });
+        },
+
+        // Deleting an organization also deletes its relationships
+        deleteOrganization(id) {
+            const index = findOrganizationIndex(id);
+            if (index === -1) return notFound(`Organization "${id}" no longer exists`);
+
+            const candidate = clone(data);
+            const [removed] = candidate.organizations.splice(index, 1);
+            candidate.relationships = candidate.relationships.filter(rel => rel.source !== id && rel.target !== id);
+            return commit(candidate, null, `Delete ${removed.name || id}`,
+                { kind: 'organization', action: 'delete', id });
+        },
+
+        addRelationship(input) {
+            const rel = cleanRelationship(input);
+            const key = relationshipKey(rel);
+            if (findRelationshipIndex(key) !== -1) {
+                return notFound(`A ${rel.type} relationship from ${rel.source} to ${rel.target} already exists`);
+            }
+            const candidate = clone(data);
+            candidate.relationships.push(rel);
+            return commit(candidate, `relationships[${candidate.relationships.length - 1}]`, `Add ${rel.type} relationship`,
+                { kind: 'relationship', action: 'add', key, input: rel });
+        },
+
+        updateRelationship(key, input) {
+            const index = findRelationshipIndex(key);
+            if (index === -1) return notFound('That relationship no longer exists');
+
+            const rel = cleanRelationship(input);
+            const newKey = relationshipKey(rel);
+            if (newKey !== key && findRelationshipIndex(newKey) !== -1) {
+                return notFound(`A ${rel.type} relationship from ${rel.source} to ${rel.target} already exists`);
+            }
+            const candidate = clone(data);
+            candidate.relationships[index] = rel;
+            return commit(candidate, `relationships[${index}]`, `Edit ${rel.type} relationship`,
+                { kind: 'relationship', action: 'update', key, input });
+        },
+
+        deleteRelationship(key) {
+            const index = findRelationshipIndex(key);
+            if (index === -1) return notFound('That relationship no longer exists');
+
+            const candidate = clone(data);
+            const [removed] = candidate.relationships.splice(index, 1);
+            return commit(candidate, null, `Delete ${removed.type} relationship`,
+                { kind: 'relationship', action: 'delete', key });
+        },
+
+        // Called once the current data has been saved elsewhere (e.g. the API server)
+        markSaved() {
+            dirty = false;
+        },
+
+        // Apply a whole import as one undoable change: new organizations,
+        // updates to existing ones ({ id, changes }, empty values keep the old
+        // value, tags are merged) and new relationships
+        importRecords({ organizations = [], updates = [], relationships = [] }, description = 'Import') {
+            const candidate = clone(data);
+            const prefixes = [];
+
+            updates.forEach(({ id, changes }) => {
+                const index = candidate.organizations.findIndex(org => org.id === id);
+                if (index === -1) return;
+                const existing = candidate.organizations[index];
+                const filled = Object.fromEntries(Object.entries(changes)
+                    .filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && !value.length)));
+                // Imported tags are added to the existing ones rather than replacing them
+                if (filled.tags) filled.tags = [...new Set([...(existing.tags || []), ...filled.tags])];
+                candidate.organizations[index] = cleanOrganization({ ...existing, ...filled, id });
+                prefixes.push(`organizations[${index}]`);
+            });
+            organizations.forEach(input => {
+                const org = cleanOrganization(input);
+                if (!org.id) org.id = nextOrganizationId(candidate.organizations);
+                candidate.organizations.push(org);
+                prefixes.push(`organizations[${candidate.organizations.length - 1}]`);
+            });
+            relationships.forEach(input => {
+                candidate.relationships.push(cleanRelationship(input));
+                prefixes.push(`relationships[${candidate.relationships.length - 1}]`);
+            });
+
+            return commit(candidate, prefixes, description);
+        },
+
+        undo() {
+            const previous = undoStack.pop();
+            if (!previous) return false;
+            data = previous.data;
+            dirty = true;
+            saveDraft();
+            onChange({ type: 'undo', description: previous.description });
+            return true;
+        },
+
+        // Throw away the draft and go back to the given (file) dataset
+        reset(freshData) {
+            data = clone(freshData);
+            undoStack.length = 0;
+            dirty = false;
+            clearDraft();
+            onChange({ type: 'reset' });
+        },
+
+        toJSON: () => JSON.stringify(data, null, 2) + '\n'
+    };
+}
@@ -0,0 +1,150 @@
+// The ecosystems (datasets) the app can show, listed in datasets.json with
+// their data file and branding: title, logo, footer contact and types (see
+// configureTypes in model.js).
+// The one shown is picked by the `dataset` parameter of the URL hash (or the
+// picker in the header) and falls back to the manifest's default.
+//
+// Drafts, saved positions and comparisons are kept in localStorage per
+// dataset: storageKey() adds the dataset id to their keys, except for the
+// default dataset, whose keys stay as they were before there were several.
+
+import { configureTypes } from './model.js';
+import { defaultViewState, writeViewState } from './view-state.js';
+import { setupAppearanceControls } from './appearance.js';
+import { mailtoUrl } from './html.js';
+
+export const MANIFEST_URL = 'datasets.json';
+
+// Used when there is no datasets.json: the single organizations.json, with
+// the branding the pages already have
+export const DEFAULT_DATASET = {
+    id: 'default',
+    name: 'Ecosystem',
+    title: 'Ecosystem',
+    data: 'organizations.json',
+    typeColors: {}
+};
+
+let activeDataset = DEFAULT_DATASET;
+let activeIsDefault = true;
+
+// Fill in the optional fields of a manifest entry
+function normalizeEntry(entry) {
+    return { title: DEFAULT_DATASET.title, name: entry.title || entry.id, typeColors: {}, ...entry };
+}
+
+// { defaultId, datasets } from datasets.json, or just DEFAULT_DATASET when
+// the manifest is missing or unreadable
+export async function loadManifest() {
+    try {
+        const response = await fetch(`${MANIFEST_URL}?t=${Date.now()}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+        const datasets = (manifest.datasets || [])
+            .filter(entry => entry && entry.id && entry.data)
+            .map(normalizeEntry);
+        if (!datasets.length) throw new Error('no datasets with an "id" and "data" file');
+        const defaultId = datasets.some(entry => entry.id === manifest.defaultDataset) ? manifest.defaultDataset : datasets[0].id;
+        return { defaultId, datasets };
+    } catch (error) {
+        if (!/HTTP 404/.test(error.message)) console.error(`Ignoring ${MANIFEST_URL}:`, error);
+        return { defaultId: DEFAULT_DATASET.id, datasets: [DEFAULT_DATASET] };
+    }
+}
+
+// Make the dataset with this id (or the default one when there is none)
+// the active one and set up its types in the given palette. Returns the dataset.
+export function selectDataset(manifest, id, palette = 'standard') {
+    const dataset = manifest.datasets.find(entry => entry.id === id) ||
+        manifest.datasets.find(entry => entry.id === manifest.defaultId);
+    activeDataset = dataset;
+    activeIsDefault = dataset.id === manifest.defaultId;
+    configureTypes(dataset, palette);
+    return dataset;
+}
+
+export function getActiveDataset() {
+    return activeDataset;
+}
+
+// The id to put in API requests and links: '' for the default dataset
+export function activeDatasetParam() {
+    return activeIsDefault ? '' : activeDataset.id;
+}
+
+// File name of the active dataset, e.g. for downloads and messages
+export function activeDatasetFilename() {
+    return activeDataset.data.split('/').pop().split('?')[0];
+}
+
+export function storageKey(baseKey) {
+    return activeIsDefault ? baseKey : `${baseKey}:${activeDataset.id}`;
+}
+
+// Page title, header title and footer of a page from the dataset's branding.
+// Elements marked data-brand="title" get the dataset title, e.g. the
+// "Ecosystem" in "Ecosystem Map". Branding the dataset doesn't set stays as
+// the page has it.
+export function applyBranding(dataset, pageTitle) {
+    document.title = `${dataset.title} ${pageTitle}`;
+    document.querySelectorAll('[data-brand="title"]').forEach(element => {
+        element.textContent = dataset.title;
+    });
+
+    const logo = document.querySelector('.footer .logo');
+    if (logo && dataset.logo !== undefined) {
+        logo.hidden = !dataset.logo;
+        if (dataset.logo) logo.src = dataset.logo;
+        logo.alt = dataset.logoAlt || `${dataset.name} logo`;
+    }
+    const copyright = document.querySelector('.footer .copyright');
+    if (copyright && dataset.copyright !== undefined) copyright.textContent = dataset.copyright;
+    const contact = document.querySelector('.footer .contact-info');
+    if (contact && dataset.contactEmail !== undefined) {
+        contact.hidden = !dataset.contactEmail;
+        contact.textContent = 'Contact: ';
+        const link = document.createElement('a');
+        link.href = mailtoUrl(dataset.contactEmail);
+        link.textContent = dataset.contactEmail;
+        contact.appendChild(link);
+    }
+}
+
+// Fill the header's dataset picker (shown only when there is more than one
+// dataset). Picking another one reloads the page with it and a fresh view,
+// since searches, filters and focused ids don't carry over between datasets.
+function setupDatasetPicker(manifest, dataset) {
+    const picker = document.getElementById('datasetPicker');
+    const select = document.getElementById('datasetSelect');
+    if (!picker || !select) return;
+    picker.hidden = manifest.datasets.length < 2;
+    select.innerHTML = '';
+    manifest.datasets.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.name;
+        select.appendChild(option);
+    });
+    select.value = dataset.id;
+    select.addEventListener('change', () => {
+        writeViewState({ ...defaultViewState(), dataset: select.value === manifest.defaultId ? '' : select.value });
+        window.location.reload();
+    });
+}
+
+// Load the manifest, make the dataset viewState.dataset names the active one
+// (the default when it names none or an unknown one) and brand the page.
+// onTypesChange() is called when the palette picked in the header recolored
+// the types. Returns the dataset.
+export async function openDataset(viewState, pageTitle, onTypesChange) {
+    const appearance = setupAppearanceControls(palette => {
+        configureTypes(activeDataset, palette);
+        if (onTypesChange) onTypesChange();
+    });
+    const manifest = await loadManifest();
+    const dataset = selectDataset(manifest, viewState.dataset, appearance.palette);
+    viewState.dataset = activeDatasetParam();
+    applyBranding(dataset, pageTitle);
+    setupDatasetPicker(manifest, dataset);
+    return dataset;
+}
@@ -0,0 +1,100 @@
+// Modal dialog shell and form fields shared by the editor and import dialogs.
+// Only one dialog is open at a time.
+
+let activeDialog = null;
+
+export function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+export function closeDialog() {
+    if (!activeDialog) return;
+    activeDialog.remove();
+    activeDialog = null;
+    document.removeEventListener('keydown', handleDialogKeydown, true);
+}
+
+function handleDialogKeydown(event) {
+    if (event.key === 'Escape') {
+        event.stopPropagation();
+        closeDialog();
+    }
+}
+
+// Overlay + dialog shell; returns the form to fill in.
+// `wide` is for dialogs with tables, such as the import preview.
+export function openDialog(title, { wide = false } = {}) {
+    closeDialog();
+
+    const overlay = createElement('div', 'editor-overlay');
+    const dialog = createElement('div', wide ? 'editor-dialog editor-dialog-wide' : 'editor-dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', title);
+
+    const header = createElement('div', 'editor-header');
+    header.appendChild(createElement('h2', '', title));
+    const closeButton = createElement('button', 'close-btn', '×');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.addEventListener('click', closeDialog);
+    header.appendChild(closeButton);
+
+    const form = createElement('form', 'editor-form');
+    form.noValidate = true;
+
+    dialog.appendChild(header);
+    dialog.appendChild(form);
+    overlay.appendChild(dialog);
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay) closeDialog();
+    });
+
+    document.body.appendChild(overlay);
+    // Capture phase, so Escape closes only the dialog and not the view's own modal
+    document.addEventListener('keydown', handleDialogKeydown, true);
+    activeDialog = overlay;
+    return form;
+}
+
+// Labelled input, select (field.options) or textarea (field.multiline) appended to form
+export function addField(form, field, value) {
+    const id = `editor-${field.name}`;
+    const row = createElement('div', 'editor-field');
+    const label = createElement('label', '', field.required ? `${field.label} *` : field.label);
+    label.htmlFor = id;
+    row.appendChild(label);
+
+    let input;
+    if (field.options) {
+        input = createElement('select');
+        const options = field.options();
+        // Keep an unknown current value selectable instead of silently changing it
+        if (value && !options.some(option => option.id === value)) {
+            options.unshift({ id: value, label: `${value} (unknown)` });
+        }
+        options.forEach(option => {
+            const element = createElement('option', '', option.label);
+            element.value = option.id;
+            input.appendChild(element);
+        });
+    } else if (field.multiline) {
+        input = createElement('textarea');
+        input.rows = 3;
+    } else {
+        input = createElement('input');
+        input.type = field.inputType || 'text';
+    }
+
+    input.id = id;
+    input.name = field.name;
+    if (field.placeholder) input.placeholder = field.placeholder;
+    if (value !== undefined && value !== null) input.value = value;
+
+    row.appendChild(input);
+    form.appendChild(row);
+    return input;
+}
@@ -0,0 +1,146 @@
+// Comparing two versions of a dataset: which organizations and relationships
+// were added, removed or modified between them. Organizations are matched by
+// id and relationships by source, target and type (relationshipKey). The
+// version being compared is kept in localStorage so the network and list views
+// show the same comparison.
+
+import { endpointId, formatTypeName, getRelationshipType } from './model.js';
+import { relationshipKey } from './dataset-store.js';
+import { storageKey } from './datasets.js';
+import { getStorage } from './storage.js';
+
+export const COMPARISON_STORAGE_KEY = 'ecosystem-comparison';
+
+export const CHANGE_STATUSES = [
+    { id: 'added', label: 'Added', color: '#27ae60' },
+    { id: 'removed', label: 'Removed', color: '#c0392b' },
+    { id: 'modified', label: 'Modified', color: '#e67e22' }
+];
+
+// Properties d3 adds to the records it draws; they are not part of the data
+const SIMULATION_FIELDS = ['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index'];
+
+// Empty strings and missing fields count as the same
+function comparable(value) {
+    return value === undefined || value === null || value === '' ? '' : JSON.stringify(value);
+}
+
+function changedFields(before, after, keyFields) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field =>
+        !keyFields.includes(field) &&
+        !SIMULATION_FIELDS.includes(field) &&
+        comparable(before[field]) !== comparable(after[field])
+    );
+}
+
+// Changes of one kind of record, matched by `keyOf`
+function diffRecords(kind, beforeRecords, afterRecords, keyOf, keyFields) {
+    const beforeByKey = new Map(beforeRecords.map(record => [keyOf(record), record]));
+    const afterKeys = new Set(afterRecords.map(keyOf));
+    const changes = [];
+
+    afterRecords.forEach(record => {
+        const key = keyOf(record);
+        const previous = beforeByKey.get(key);
+        if (!previous) {
+            changes.push({ kind, key, status: 'added', before: null, after: record, fields: [] });
+            return;
+        }
+        const fields = changedFields(previous, record, keyFields);
+        if (fields.length) changes.push({ kind, key, status: 'modified', before: previous, after: record, fields });
+    });
+    beforeRecords.forEach(record => {
+        const key = keyOf(record);
+        if (!afterKeys.has(key)) changes.push({ kind, key, status: 'removed', before: record, after: null, fields: [] });
+    });
+
+    return changes;
+}
+
+// Everything that changed from `before` to `after`, as a list of
+// { kind: 'organization' | 'relationship', key, status, before, after, fields }
+// plus the change of each organization id and relationship key
+export function diffDatasets(before, after) {
+    const changes = [
+        ...diffRecords('organization', before.organizations, after.organizations, org => org.id, ['id']),
+        ...diffRecords('relationship', before.relationships, after.relationships, relationshipKey, ['source', 'target', 'type'])
+    ];
+    const organizationChanges = new Map();
+    const relationshipChanges = new Map();
+    changes.forEach(change => {
+        (change.kind === 'organization' ? organizationChanges : relationshipChanges).set(change.key, change);
+    });
+    return { changes, organizationChanges, relationshipChanges };
+}
+
+// The `after` dataset plus the organizations and relationships removed since
+// `before`, so removed records can still be drawn (the removed ones are the
+// records of `before`)
+export function withRemovedRecords(after, diff) {
+    const removed = kind => diff.changes
+        .filter(change => change.kind === kind && change.status === 'removed')
+        .map(change => change.before);
+    return {
+        organizations: [...after.organizations, ...removed('organization')],
+        relationships: [...after.relationships, ...removed('relationship')]
+    };
+}
+
+// "2 added, 1 removed, 3 modified" for one kind of record, or 'no changes'
+export function summarizeChanges(diff, kind) {
+    const parts = CHANGE_STATUSES
+        .map(status => [status, diff.changes.filter(change => change.kind === kind && change.status === status.id).length])
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `${count} ${status.label.toLowerCase()}`);
+    return parts.length ? parts.join(', ') : 'no changes';
+}
+
+// What a change is about, e.g. "TIQC" or "TIQC → NYC Fund (Funding)".
+// nameOf(id) gives an organization's name in either version.
+export function describeChangedRecord(change, nameOf) {
+    const record = change.after || change.before;
+    if (change.kind === 'organization') return record.name || record.id;
+    const type = getRelationshipType(record.type);
+    return `${nameOf(endpointId(record.source))} → ${nameOf(endpointId(record.target))} (${type ? type.label : formatTypeName(record.type)})`;
+}
+
+export function formatChangedValue(value) {
+    if (value === undefined || value === null || value === '') return '(empty)';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+}
+
+// The stored comparison as { before: { name, data }, after: { name, data } | null },
+// where a null `after` compares with the current data; null when not comparing
+export function loadComparison() {
+    const storage = getStorage();
+    if (!storage) return null;
+    try {
+        const saved = JSON.parse(storage.getItem(storageKey(COMPARISON_STORAGE_KEY)));
+        if (!saved || !saved.before || !saved.before.data) return null;
+        return { before: saved.before, after: saved.after && saved.after.data ? saved.after : null };
+    } catch (error) {
+        console.error('Ignoring unreadable saved comparison:', error);
+        return null;
+    }
+}
+
+// Returns false when the comparison could not be stored (no storage, or the
+// datasets are too large for it); it then only lasts until the page is left
+export function saveComparison(comparison) {
+    const storage = getStorage();
+    if (!storage) return false;
+    try {
+        storage.setItem(storageKey(COMPARISON_STORAGE_KEY), JSON.stringify(comparison));
+        return true;
+    } catch (error) {
+        console.error('Could not store the comparison:', error);
+        return false;
+    }
+}
+
+export function clearComparison() {
+    const storage = getStorage();
+    if (storage) storage.removeItem(storageKey(COMPARISON_STORAGE_KEY));
+}
@@ -0,0 +1,215 @@
+// Add / edit / delete dialogs for organizations and relationships, and the
+// editor toolbar (import, undo, download, discard) shared by both views.
+// All edits go through a dataset store from lib/dataset-store.js.
+
+import { ORGANIZATION_TYPES, RELATIONSHIP_TYPES } from './model.js';
+import { createElement, openDialog, closeDialog, addField } from './dialog.js';
+import { openImportDialog } from './import-ui.js';
+import { downloadFile } from './export.js';
+import { activeDatasetFilename } from './datasets.js';
+
+const ORGANIZATION_FORM_FIELDS = [
+    { name: 'name', label: 'Name', required: true },
+    { name: 'type', label: 'Type', required: true, options: () => ORGANIZATION_TYPES },
+    { name: 'contactPerson', label: 'Contact Person' },
+    { name: 'email', label: 'Email', inputType: 'email' },
+    { name: 'phone', label: 'Phone', inputType: 'tel' },
+    { name: 'website', label: 'Website', inputType: 'url', placeholder: 'https://' },
+    { name: 'address', label: 'Address' },
+    { name: 'latitude', label: 'Latitude', placeholder: 'Optional, e.g. 40.7367 (overrides the address on the map)' },
+    { name: 'longitude', label: 'Longitude', placeholder: 'Optional, e.g. -73.8203' },
+    { name: 'tags', label: 'Tags', placeholder: 'Comma-separated, e.g. mentoring, funding' },
+    { name: 'startDate', label: 'Active From', inputType: 'date' },
+    { name: 'endDate', label: 'Active Until', inputType: 'date' },
+    { name: 'description', label: 'Description', multiline: true }
+];
+
+function addMessages(form) {
+    const messages = createElement('div', 'editor-messages');
+    messages.setAttribute('role', 'alert');
+    form.appendChild(messages);
+    return messages;
+}
+
+function showResult(messages, result) {
+    messages.innerHTML = '';
+    result.errors.forEach(issue => messages.appendChild(createElement('p', 'editor-error', issue.message)));
+    result.warnings.forEach(issue => messages.appendChild(createElement('p', 'editor-warning', issue.message)));
+}
+
+function addActions(form, { onDelete, extraButtons = [] }) {
+    const actions = createElement('div', 'editor-actions');
+
+    if (onDelete) {
+        const deleteButton = createElement('button', 'btn btn-danger', 'Delete');
+        deleteButton.type = 'button';
+        deleteButton.addEventListener('click', onDelete);
+        actions.appendChild(deleteButton);
+    }
+    extraButtons.forEach(button => actions.appendChild(button));
+
+    const spacer = createElement('span', 'editor-actions-spacer');
+    actions.appendChild(spacer);
+
+    const cancelButton = createElement('button', 'btn btn-cancel', 'Cancel');
+    cancelButton.type = 'button';
+    cancelButton.addEventListener('click', closeDialog);
+    actions.appendChild(cancelButton);
+
+    const saveButton = createElement('button', 'btn', 'Save');
+    saveButton.type = 'submit';
+    actions.appendChild(saveButton);
+
+    form.appendChild(actions);
+}
+
+function readForm(form) {
+    const values = {};
+    new FormData(form).forEach((value, key) => {
+        values[key] = value;
+    });
+    return values;
+}
+
+// Open the organization form; orgId null adds a new organization
+export function openOrganizationEditor(store, orgId = null) {
+    const existing = orgId ? store.getOrganization(orgId) : null;
+    if (orgId && !existing) return;
+
+    const form = openDialog(existing ? `Edit ${existing.name}` : 'Add Organization');
+    const values = existing ? { ...existing, tags: (existing.tags || []).join(', ') } : { type: ORGANIZATION_TYPES[0].id };
+
+    ORGANIZATION_FORM_FIELDS.forEach(field => addField(form, field, values[field.name]));
+    const messages = addMessages(form);
+
+    const extraButtons = [];
+    if (existing) {
+        const relationshipButton = createElement('button', 'btn btn-secondary', 'Add Relationship');
+        relationshipButton.type = 'button';
+        relationshipButton.addEventListener('click', () => openRelationshipEditor(store, null, { source: orgId }));
+        extraButtons.push(relationshipButton);
+    }
+
+    addActions(form, {
+        extraButtons,
+        onDelete: existing ? () => {
+            const count = store.getData().relationships.filter(rel => rel.source === orgId || rel.target === orgId).length;
+            const message = `Delete ${existing.name}` + (count ? ` and its ${count} relationship${count === 1 ? '' : 's'}?` : '?');
+            if (!window.confirm(message)) return;
+            const result = store.deleteOrganization(orgId);
+            if (result.ok) closeDialog(); else showResult(messages, result);
+        } : null
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const input = readForm(form);
+        const result = existing ? store.updateOrganization(orgId, input) : store.addOrganization(input);
+        if (result.ok) closeDialog(); else showResult(messages, result);
+    });
+
+    form.querySelector('input, select, textarea').focus();
+}
+
+// Open the relationship form; key null adds a new relationship, optionally
+// starting from `source` (and `target`)
+export function openRelationshipEditor(store, key = null, { source = '', target = '' } = {}) {
+    const existing = key ? store.getRelationship(key) : null;
+    if (key && !existing) return;
+
+    const organizations = store.getData().organizations
+        .filter(org => org && org.id)
+        .map(org => ({ id: org.id, label: org.name || org.id }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+    const organizationOptions = () => [{ id: '', label: 'Select organization…' }, ...organizations];
+
+    const form = openDialog(existing ? 'Edit Relationship' : 'Add Relationship');
+    const values = existing || { source, target, type: RELATIONSHIP_TYPES[0].id, description: '' };
+
+    addField(form, { name: 'source', label: 'From', required: true, options: organizationOptions }, values.source);
+    addField(form, { name: 'target', label: 'To', required: true, options: organizationOptions }, values.target);
+    addField(form, { name: 'type', label: 'Type', required: true, options: () => RELATIONSHIP_TYPES }, values.type);
+    addField(form, { name: 'description', label: 'Description', multiline: true }, values.description);
+    addField(form, { name: 'startDate', label: 'Started', inputType: 'date' }, values.startDate);
+    addField(form, { name: 'endDate', label: 'Ended', inputType: 'date' }, values.endDate);
+    const messages = addMessages(form);
+
+    addActions(form, {
+        onDelete: existing ? () => {
+            if (!window.confirm('Delete this relationship?')) return;
+            const result = store.deleteRelationship(key);
+            if (result.ok) closeDialog(); else showResult(messages, result);
+        } : null
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const input = readForm(form);
+        const result = existing ? store.updateRelationship(key, { ...existing, ...input }) : store.addRelationship(input);
+        if (result.ok) closeDialog(); else showResult(messages, result);
+    });
+
+    form.querySelector('select').focus();
+}
+
+export function downloadDataset(store, filename = activeDatasetFilename()) {
+    downloadFile(store.toJSON(), filename, 'application/json');
+}
+
+// Wire the shared editor toolbar buttons (#addOrganization, #undoEdit,
+// #downloadData, #discardEdits) to a store. onDiscard should reset the store
+// to the file contents.
+export function setupEditorToolbar(getStore, { onDiscard }) {
+    document.getElementById('addOrganization').addEventListener('click', () => {
+        openOrganizationEditor(getStore());
+    });
+    document.getElementById('importData').addEventListener('click', () => {
+        openImportDialog(getStore());
+    });
+    document.getElementById('undoEdit').addEventListener('click', () => {
+        getStore().undo();
+    });
+    document.getElementById('downloadData').addEventListener('click', () => {
+        downloadDataset(getStore());
+    });
+    document.getElementById('discardEdits').addEventListener('click', () => {
+        if (window.confirm(`Discard all unsaved edits and reload ${activeDatasetFilename()}?`)) {
+            onDiscard();
+        }
+    });
+}
+
+function describeSaveStatus(source) {
+    if (source.mode === 'file') {
+        return source.store.isDirty() ? 'Unsaved edits - download the JSON file to keep them' : '';
+    }
+    switch (source.status.state) {
+        case 'saving':
+            return 'Saving…';
+        case 'error':
+            return source.status.status === 412
+                ? 'Not saved: the data was changed elsewhere - reload to continue'
+                : `Not saved: ${source.status.message}`;
+        default:
+            return source.status.savedAt ? 'All changes saved to the server' : '';
+    }
+}
+
+// Reflect undo availability and save state of a data source (lib/data-source.js) in the toolbar
+export function refreshEditorToolbar(source) {
+    const undoButton = document.getElementById('undoEdit');
+    const discardButton = document.getElementById('discardEdits');
+    const status = document.getElementById('editStatus');
+    if (!undoButton || !status) return;
+
+    const { store } = source;
+    undoButton.disabled = !store.canUndo();
+    undoButton.title = store.canUndo() ? `Undo: ${store.lastChange()}` : 'Nothing to undo';
+
+    // With the API server every edit is saved right away, so there is no draft to discard
+    discardButton.style.display = source.mode === 'server' ? 'none' : '';
+    discardButton.disabled = !store.isDirty();
+
+    status.textContent = describeSaveStatus(source);
+    status.classList.toggle('edit-status-error', source.mode === 'server' && source.status.state === 'error');
+}
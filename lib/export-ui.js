@@ -0,0 +1,128 @@
+// Export dialogs of the network view: the data (choose a format and whether
+// to export everything or only the organizations the current filter shows)
+// and an image of the network as it is on screen.
+
+import { EXPORT_FORMATS, exportDataset, downloadFile } from './export.js';
+import { IMAGE_FORMATS, exportNetworkImage } from './image-export.js';
+import { createElement, openDialog, closeDialog, addField } from './dialog.js';
+
+let lastFormat = EXPORT_FORMATS[0].id;
+let lastImageFormat = IMAGE_FORMATS[0].id;
+let lastScale = '3';
+
+function addDialogActions(form) {
+    const actions = createElement('div', 'editor-actions');
+    actions.appendChild(createElement('span', 'editor-actions-spacer'));
+    const cancelButton = createElement('button', 'btn btn-cancel', 'Cancel');
+    cancelButton.type = 'button';
+    cancelButton.addEventListener('click', closeDialog);
+    const exportButton = createElement('button', 'btn', 'Export');
+    exportButton.type = 'submit';
+    actions.appendChild(cancelButton);
+    actions.appendChild(exportButton);
+    form.appendChild(actions);
+    return exportButton;
+}
+
+// getData() returns the full dataset; getFilteredData() the filtered one, or
+// null when no filter is active
+export function openExportDialog({ getData, getFilteredData }) {
+    const form = openDialog('Export Network');
+    const filtered = getFilteredData();
+    const full = getData();
+
+    const formatSelect = addField(form, {
+        name: 'format',
+        label: 'Format',
+        options: () => EXPORT_FORMATS
+    }, lastFormat);
+
+    const scopeSelect = addField(form, {
+        name: 'scope',
+        label: 'Organizations',
+        options: () => [
+            { id: 'all', label: `All (${full.organizations.length} organizations, ${full.relationships.length} relationships)` },
+            ...(filtered ? [{
+                id: 'filtered',
+                label: `Currently shown (${filtered.organizations.length} organizations, ${filtered.relationships.length} relationships)`
+            }] : [])
+        ]
+    }, filtered ? 'filtered' : 'all');
+
+    const note = createElement('p', 'export-note');
+    form.appendChild(note);
+    const updateNote = () => {
+        note.textContent = formatSelect.value === 'csv'
+            ? 'Downloads two files: one row per organization and one row per relationship.'
+            : '';
+    };
+    formatSelect.addEventListener('change', updateNote);
+    updateNote();
+
+    addDialogActions(form);
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        lastFormat = formatSelect.value;
+        const useFiltered = scopeSelect.value === 'filtered';
+        const files = exportDataset(useFiltered ? filtered : full, lastFormat, useFiltered ? 'ecosystem-filtered' : 'ecosystem');
+        files.forEach(file => downloadFile(file.content, file.filename, file.mimeType));
+        closeDialog();
+    });
+
+    formatSelect.focus();
+}
+
+// Image of the network SVG including the HTML legend next to it
+export function openImageExportDialog({ svgElement, legendElement }) {
+    const form = openDialog('Export Image');
+
+    const formatSelect = addField(form, {
+        name: 'format',
+        label: 'Format',
+        options: () => IMAGE_FORMATS
+    }, lastImageFormat);
+
+    const scaleSelect = addField(form, {
+        name: 'scale',
+        label: 'Resolution (PNG and PDF)',
+        options: () => [
+            { id: '2', label: '2× screen size' },
+            { id: '3', label: '3× screen size' },
+            { id: '4', label: '4× screen size (print)' }
+        ]
+    }, lastScale);
+
+    const note = createElement('p', 'export-note', 'The image shows the current zoom, labels and highlighting. Zoom and pan the network before exporting to frame it.');
+    form.appendChild(note);
+    const messages = createElement('div', 'editor-messages');
+    messages.setAttribute('role', 'alert');
+    form.appendChild(messages);
+
+    const exportButton = addDialogActions(form);
+
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        lastImageFormat = formatSelect.value;
+        lastScale = scaleSelect.value;
+        messages.innerHTML = '';
+        exportButton.disabled = true;
+        exportButton.textContent = 'Exporting…';
+        try {
+            const { blob, filename } = await exportNetworkImage(lastImageFormat, {
+                svgElement,
+                legendElement,
+                scale: Number(lastScale)
+            });
+            downloadFile(blob, filename, blob.type);
+            closeDialog();
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            messages.appendChild(createElement('p', 'editor-error', `Could not export the image: ${error.message}`));
+            exportButton.disabled = false;
+            exportButton.textContent = 'Export';
+        }
+    });
+
+    formatSelect.focus();
+}
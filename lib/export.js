@@ -0,0 +1,272 @@
+// Serializing a dataset for other tools: GraphML (Gephi, yEd), GEXF (Gephi),
+// Cytoscape JSON and a pair of node/edge CSV files (Excel, Gephi's
+// spreadsheet import). Every organization and relationship field is kept,
+// including fields this app does not know about.
+
+import { endpointId, getOrganizationType, getRelationshipType, getTypeColor, isDirectedRelationship } from './model.js';
+import { formatCsv } from './csv.js';
+import { isValidDate } from './validation.js';
+
+export const EXPORT_FORMATS = [
+    { id: 'graphml', label: 'GraphML (Gephi, yEd)' },
+    { id: 'gexf', label: 'GEXF (Gephi)' },
+    { id: 'cytoscape', label: 'Cytoscape JSON' },
+    { id: 'csv', label: 'CSV (nodes and edges files)' }
+];
+
+// Known fields first, in the order the editor shows them
+const ORGANIZATION_FIELDS = ['type', 'contactPerson', 'email', 'phone', 'website', 'address', 'tags', 'description'];
+const RELATIONSHIP_FIELDS = ['type', 'description'];
+
+// Column headers for the CSV export. "Id"/"Label" are what Gephi expects for
+// nodes; the edge type is "Relationship Type" because Gephi reads an edge
+// "Type" column as directed/undirected.
+const CSV_HEADERS = {
+    type: 'Type',
+    contactPerson: 'Contact Person',
+    email: 'Email',
+    phone: 'Phone',
+    website: 'Website',
+    address: 'Address',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    startDate: 'Start Date',
+    endDate: 'End Date',
+    tags: 'Tags',
+    description: 'Description'
+};
+
+// Field names used by records in the dataset, known ones first
+function collectFields(records, known, exclude) {
+    const fields = [...known];
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!fields.includes(key) && !exclude.includes(key)) fields.push(key);
+        });
+    });
+    return fields;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function escapeXml(value) {
+    return formatValue(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Relationships with plain id endpoints (the network view's are d3 node objects)
+function plainRelationships(data) {
+    return data.relationships.map(rel => ({ ...rel, source: endpointId(rel.source), target: endpointId(rel.target) }));
+}
+
+function describeFields(data) {
+    const relationships = plainRelationships(data);
+    return {
+        relationships,
+        organizationFields: collectFields(data.organizations, ORGANIZATION_FIELDS, ['id', 'name']),
+        relationshipFields: collectFields(relationships, RELATIONSHIP_FIELDS, ['source', 'target'])
+    };
+}
+
+// GEXF start/end attributes for a dated record, so Gephi's timeline can play it
+function gexfSpell(record) {
+    const start = isValidDate(record.startDate) ? ` start="${record.startDate}"` : '';
+    const end = isValidDate(record.endDate) ? ` end="${record.endDate}"` : '';
+    return start + end;
+}
+
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+    return match ? match.slice(1).map(part => parseInt(part, 16)) : [149, 165, 166];
+}
+
+export function toGraphML(data) {
+    const { relationships, organizationFields, relationshipFields } = describeFields(data);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="n_name" for="node" attr.name="name" attr.type="string"/>'
+    ];
+    organizationFields.forEach(field => {
+        lines.push(`  <key id="n_${escapeXml(field)}" for="node" attr.name="${escapeXml(field)}" attr.type="string"/>`);
+    });
+    relationshipFields.forEach(field => {
+        lines.push(`  <key id="e_${escapeXml(field)}" for="edge" attr.name="${escapeXml(field)}" attr.type="string"/>`);
+    });
+    lines.push('  <graph id="ecosystem" edgedefault="undirected">');
+
+    data.organizations.forEach(org => {
+        lines.push(`    <node id="${escapeXml(org.id)}">`);
+        lines.push(`      <data key="n_name">${escapeXml(org.name)}</data>`);
+        organizationFields.forEach(field => {
+            if (org[field] !== undefined) lines.push(`      <data key="n_${escapeXml(field)}">${escapeXml(org[field])}</data>`);
+        });
+        lines.push('    </node>');
+    });
+
+    relationships.forEach((rel, index) => {
+        const directed = isDirectedRelationship(rel.type) ? ' directed="true"' : '';
+        lines.push(`    <edge id="e${index}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}"${directed}>`);
+        relationshipFields.forEach(field => {
+            if (rel[field] !== undefined) lines.push(`      <data key="e_${escapeXml(field)}">${escapeXml(rel[field])}</data>`);
+        });
+        lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// GEXF 1.3, with node colors from the organization types so Gephi shows the same legend.
+// A dataset with start/end dates is written as a dynamic graph.
+export function toGEXF(data) {
+    const { relationships, organizationFields, relationshipFields } = describeFields(data);
+    const today = new Date().toISOString().slice(0, 10);
+    const dynamic = [...data.organizations, ...relationships].some(record => gexfSpell(record));
+    const mode = dynamic ? 'mode="dynamic" timeformat="date"' : 'mode="static"';
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+        `  <meta lastmodifieddate="${today}">`,
+        '    <creator>Ecosystem Visualization</creator>',
+        '  </meta>',
+        `  <graph ${mode} defaultedgetype="undirected">`,
+        '    <attributes class="node">'
+    ];
+    organizationFields.forEach(field => {
+        lines.push(`      <attribute id="${escapeXml(field)}" title="${escapeXml(field)}" type="string"/>`);
+    });
+    lines.push('    </attributes>', '    <attributes class="edge">');
+    relationshipFields.forEach(field => {
+        lines.push(`      <attribute id="${escapeXml(field)}" title="${escapeXml(field)}" type="string"/>`);
+    });
+    lines.push('    </attributes>', '    <nodes>');
+
+    data.organizations.forEach(org => {
+        const [r, g, b] = hexToRgb(getTypeColor(org.type));
+        lines.push(`      <node id="${escapeXml(org.id)}" label="${escapeXml(org.name)}"${gexfSpell(org)}>`);
+        lines.push('        <attvalues>');
+        organizationFields.forEach(field => {
+            if (org[field] !== undefined) lines.push(`          <attvalue for="${escapeXml(field)}" value="${escapeXml(org[field])}"/>`);
+        });
+        lines.push('        </attvalues>');
+        lines.push(`        <viz:color r="${r}" g="${g}" b="${b}"/>`);
+        lines.push('      </node>');
+    });
+    lines.push('    </nodes>', '    <edges>');
+
+    relationships.forEach((rel, index) => {
+        const type = getRelationshipType(rel.type);
+        const label = type ? type.label : rel.type;
+        const edgeType = isDirectedRelationship(rel.type) ? 'directed' : 'undirected';
+        lines.push(`      <edge id="${index}" source="${escapeXml(rel.source)}" target="${escapeXml(rel.target)}" type="${edgeType}" label="${escapeXml(label)}"${gexfSpell(rel)}>`);
+        lines.push('        <attvalues>');
+        relationshipFields.forEach(field => {
+            if (rel[field] !== undefined) lines.push(`          <attvalue for="${escapeXml(field)}" value="${escapeXml(rel[field])}"/>`);
+        });
+        lines.push('        </attvalues>');
+        lines.push('      </edge>');
+    });
+
+    lines.push('    </edges>', '  </graph>', '</gexf>');
+    return lines.join('\n') + '\n';
+}
+
+// Cytoscape.js / Cytoscape desktop "cyjs" elements format. Tags stay arrays
+// (list attributes in Cytoscape); node ids are kept so edges can refer to them.
+export function toCytoscapeJSON(data) {
+    const relationships = plainRelationships(data);
+    const elements = {
+        nodes: data.organizations.map(org => {
+            const type = getOrganizationType(org.type);
+            return {
+                data: { ...org, typeLabel: type ? type.label : org.type, color: getTypeColor(org.type) }
+            };
+        }),
+        edges: relationships.map((rel, index) => ({
+            data: { ...rel, id: `e${index}`, directed: isDirectedRelationship(rel.type) }
+        }))
+    };
+    return JSON.stringify({
+        format_version: '1.0',
+        generated_by: 'Ecosystem Visualization',
+        data: { name: 'Ecosystem network' },
+        elements
+    }, null, 2);
+}
+
+// Two CSV files as { nodes, edges } text. Edge rows repeat the organization
+// names so the file is readable on its own in Excel.
+export function toCsvTables(data) {
+    const { relationships, organizationFields, relationshipFields } = describeFields(data);
+    const names = new Map(data.organizations.map(org => [org.id, org.name]));
+    const header = field => CSV_HEADERS[field] || field;
+
+    const nodeRows = [['Id', 'Label', ...organizationFields.map(header)]];
+    data.organizations.forEach(org => {
+        nodeRows.push([org.id, org.name, ...organizationFields.map(field => formatValue(org[field]))]);
+    });
+
+    const edgeFields = relationshipFields.filter(field => field !== 'type');
+    const edgeRows = [['Source', 'Target', 'Source Name', 'Target Name', 'Relationship Type', ...edgeFields.map(header)]];
+    relationships.forEach(rel => {
+        edgeRows.push([
+            rel.source,
+            rel.target,
+            names.get(rel.source) || '',
+            names.get(rel.target) || '',
+            formatValue(rel.type),
+            ...edgeFields.map(field => formatValue(rel[field]))
+        ]);
+    });
+
+    return { nodes: formatCsv(nodeRows), edges: formatCsv(edgeRows) };
+}
+
+// Files to download for a format: [{ filename, content, mimeType }].
+// `basename` is used without extension, e.g. "ecosystem" → ecosystem.graphml.
+export function exportDataset(data, formatId, basename = 'ecosystem') {
+    switch (formatId) {
+        case 'graphml':
+            return [{ filename: `${basename}.graphml`, content: toGraphML(data), mimeType: 'application/graphml+xml' }];
+        case 'gexf':
+            return [{ filename: `${basename}.gexf`, content: toGEXF(data), mimeType: 'application/xml' }];
+        case 'cytoscape':
+            return [{ filename: `${basename}.cyjs`, content: toCytoscapeJSON(data), mimeType: 'application/json' }];
+        case 'csv': {
+            const { nodes, edges } = toCsvTables(data);
+            // The byte order mark makes Excel open the files as UTF-8
+            return [
+                { filename: `${basename}-nodes.csv`, content: '\uFEFF' + nodes, mimeType: 'text/csv' },
+                { filename: `${basename}-edges.csv`, content: '\uFEFF' + edges, mimeType: 'text/csv' }
+            ];
+        }
+        default:
+            throw new Error(`Unknown export format "${formatId}"`);
+    }
+}
+
+// Save text (or a Blob) as a file through a temporary download link
+export function downloadFile(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
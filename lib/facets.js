@@ -0,0 +1,85 @@
+// Facet filters for the network view: organization types and relationship
+// types that are hidden, and tags that organizations must have (any of them).
+// Filtering returns the original objects so the simulation keeps their positions.
+
+import {
+    ORGANIZATION_TYPES,
+    RELATIONSHIP_TYPES,
+    DEFAULT_TYPE_COLOR,
+    endpointId,
+    formatTypeName
+} from './model.js';
+
+export function createFacets({ hiddenOrganizationTypes = [], hiddenRelationshipTypes = [], tags = [] } = {}) {
+    return {
+        hiddenOrganizationTypes: new Set(hiddenOrganizationTypes),
+        hiddenRelationshipTypes: new Set(hiddenRelationshipTypes),
+        tags: new Set(tags)
+    };
+}
+
+export function hasActiveFacets(facets) {
+    return facets.hiddenOrganizationTypes.size > 0 ||
+        facets.hiddenRelationshipTypes.size > 0 ||
+        facets.tags.size > 0;
+}
+
+export function matchesFacets(org, facets) {
+    if (facets.hiddenOrganizationTypes.has(org.type)) return false;
+    if (facets.tags.size && !(org.tags || []).some(tag => facets.tags.has(tag))) return false;
+    return true;
+}
+
+// The organizations and relationships left after applying the facets.
+// Relationships need both ends visible and a type that is not hidden.
+export function applyFacets(data, facets) {
+    const organizations = data.organizations.filter(org => matchesFacets(org, facets));
+    const visibleIds = new Set(organizations.map(org => org.id));
+    const relationships = data.relationships.filter(rel =>
+        !facets.hiddenRelationshipTypes.has(rel.type) &&
+        visibleIds.has(endpointId(rel.source)) &&
+        visibleIds.has(endpointId(rel.target))
+    );
+    return { organizations, relationships };
+}
+
+// Known types in legend order, then any other types found in the data
+function listTypes(knownTypes, usedTypes) {
+    const known = knownTypes.map(type => ({ id: type.id, label: type.label, color: type.color || DEFAULT_TYPE_COLOR }));
+    const unknown = [...usedTypes]
+        .filter(id => !knownTypes.some(type => type.id === id))
+        .sort()
+        .map(id => ({ id, label: formatTypeName(id), color: DEFAULT_TYPE_COLOR, unknown: true }));
+    return [...known, ...unknown];
+}
+
+function countBy(items, key) {
+    const counts = new Map();
+    items.forEach(item => {
+        const value = key(item);
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return counts;
+}
+
+// Facet options with the number of organizations or relationships in the
+// whole dataset: { organizationTypes, relationshipTypes, tags }, each a list
+// of { id, label, count } (types also have a color). Tags are sorted by count.
+export function facetOptions(data) {
+    const organizationCounts = countBy(data.organizations, org => org.type);
+    const relationshipCounts = countBy(data.relationships, rel => rel.type);
+    const tagCounts = new Map();
+    data.organizations.forEach(org => {
+        new Set(org.tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+    });
+
+    const withCount = counts => type => ({ ...type, count: counts.get(type.id) || 0 });
+
+    return {
+        organizationTypes: listTypes(ORGANIZATION_TYPES, organizationCounts.keys()).map(withCount(organizationCounts)),
+        relationshipTypes: listTypes(RELATIONSHIP_TYPES, relationshipCounts.keys()).map(withCount(relationshipCounts)),
+        tags: [...tagCounts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag, count]) => ({ id: tag, label: tag, count }))
+    };
+}
@@ -0,0 +1,77 @@
+// Web Worker settling the network view's force layout off the main thread (see
+// offthread-layout.js). It gets the simulation as plain values: the nodes,
+// and each force with its parameters worked out for every node or link. It
+// posts the positions every few ticks, and a last time once settled.
+//
+// A classic worker script rather than a module, so it can load d3 the way the
+// pages do.
+
+importScripts('https://d3js.org/d3.v7.min.js');
+
+// Positions are posted every this many ticks
+const PROGRESS_TICKS = 5;
+// Stop here even if the simulation was asked to keep going (an alpha target)
+const MAX_TICKS = 1000;
+
+// An accessor giving the value worked out for the i-th node or link
+function perItem(values) {
+    return (d, i) => values[i];
+}
+
+function buildForce(force) {
+    switch (force.kind) {
+        case 'link':
+            return d3.forceLink(force.links.map(([source, target]) => ({ source, target })))
+                .distance(perItem(force.distance))
+                .strength(perItem(force.strength))
+                .iterations(force.iterations);
+        case 'manyBody':
+            return d3.forceManyBody()
+                .strength(perItem(force.strength))
+                .theta(force.theta)
+                .distanceMin(force.distanceMin)
+                .distanceMax(force.distanceMax);
+        case 'center':
+            return d3.forceCenter(force.x, force.y).strength(force.strength);
+        case 'collide':
+            return d3.forceCollide(perItem(force.radius))
+                .strength(force.strength)
+                .iterations(force.iterations);
+        case 'radial':
+            return d3.forceRadial(perItem(force.radius), force.x, force.y).strength(perItem(force.strength));
+        case 'x':
+            return d3.forceX(perItem(force.x)).strength(perItem(force.strength));
+        case 'y':
+            return d3.forceY(perItem(force.y)).strength(perItem(force.strength));
+        default:
+            throw new Error(`Unknown force "${force.kind}"`);
+    }
+}
+
+function postPositions(type, simulation) {
+    const nodes = simulation.nodes();
+    const positions = new Float64Array(nodes.length * 2);
+    nodes.forEach((d, i) => {
+        positions[2 * i] = d.x;
+        positions[2 * i + 1] = d.y;
+    });
+    self.postMessage({ type, positions, alpha: simulation.alpha() }, [positions.buffer]);
+}
+
+self.onmessage = event => {
+    const { nodes, forces, alpha, alphaMin, alphaDecay, alphaTarget, velocityDecay } = event.data;
+    const simulation = d3.forceSimulation(nodes)
+        .stop()
+        .alpha(alpha)
+        .alphaMin(alphaMin)
+        .alphaDecay(alphaDecay)
+        .alphaTarget(alphaTarget)
+        .velocityDecay(velocityDecay);
+    forces.forEach(force => simulation.force(force.name, buildForce(force)));
+
+    for (let tick = 1; simulation.alpha() >= simulation.alphaMin() && tick <= MAX_TICKS; tick++) {
+        simulation.tick();
+        if (tick % PROGRESS_TICKS === 0) postPositions('tick', simulation);
+    }
+    postPositions('end', simulation);
+};
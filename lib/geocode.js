@@ -0,0 +1,73 @@
+// Organization locations for the map view. Addresses are geocoded offline by
+// `npm run geocode` (scripts/geocode.js) into geocode-cache.json next to
+// organizations.json, so the browser never calls a geocoding service.
+// `latitude` and `longitude` on an organization override the cache, for
+// addresses the geocoder gets wrong or organizations without one.
+// Shared by the browser and Node, so no DOM or Node specific APIs.
+
+export const GEOCODE_CACHE_URL = 'geocode-cache.json';
+
+// Cache key for an address: case, spacing and trailing punctuation don't matter
+export function normalizeAddress(address) {
+    return String(address || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s,.]+$/, '').trim();
+}
+
+// "Virtual office" and the like have no place on a map
+export function isVirtualAddress(address) {
+    return /^(virtual|online|remote)\b/.test(normalizeAddress(address));
+}
+
+export function hasManualLocation(org) {
+    return Number.isFinite(org.latitude) && Number.isFinite(org.longitude);
+}
+
+// Where to put an organization: { lat, lng, source } with source 'manual'
+// (its own latitude/longitude) or 'geocoded' (the cache), or null when the
+// address is blank, virtual or was not found
+export function locateOrganization(org, cache) {
+    if (hasManualLocation(org)) {
+        return { lat: org.latitude, lng: org.longitude, source: 'manual' };
+    }
+    const cached = cache.get(normalizeAddress(org.address));
+    return cached ? { lat: cached.lat, lng: cached.lng, source: 'geocoded' } : null;
+}
+
+// The cache file as a Map of normalized address → { lat, lng }, or null for
+// addresses the geocoder could not find (so they are not looked up again)
+export function parseGeocodeCache(raw) {
+    const cache = new Map();
+    const addresses = raw && typeof raw.addresses === 'object' ? raw.addresses : {};
+    Object.entries(addresses).forEach(([address, location]) => {
+        if (location === null) {
+            cache.set(normalizeAddress(address), null);
+        } else if (location && Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+            cache.set(normalizeAddress(address), { lat: location.lat, lng: location.lng });
+        }
+    });
+    return cache;
+}
+
+// The cache as written to geocode-cache.json, addresses sorted so diffs stay small
+export function formatGeocodeCache(cache) {
+    const addresses = {};
+    [...cache.keys()].sort().forEach(address => {
+        addresses[address] = cache.get(address);
+    });
+    return {
+        note: 'Map coordinates by address; `npm run geocode` looks up the missing ones. Keys are normalized addresses; null means not found.',
+        addresses
+    };
+}
+
+// Fetch the cache (with cache busting, like the dataset). A missing or broken
+// cache only leaves organizations without a manual location off the map.
+export async function loadGeocodeCache(url = GEOCODE_CACHE_URL) {
+    try {
+        const response = await fetch(`${url}?t=${Date.now()}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return parseGeocodeCache(await response.json());
+    } catch (error) {
+        console.warn(`No geocode cache (${error.message}); only manual locations are shown`);
+        return new Map();
+    }
+}
@@ -0,0 +1,102 @@
+// Category grouping for the network view: category nodes become hulls around
+// their member organizations (attached by `category_membership`), and a
+// collapsed category stands in for all of its members as one node. Works on
+// what the facets leave visible and returns the original organization and
+// relationship objects wherever it can, so the simulation keeps their positions.
+
+import { endpointId } from './model.js';
+
+const MEMBERSHIP_TYPE = 'category_membership';
+
+// category id → ids of its member organizations, for category-type organizations
+export function categoryMembers(data) {
+    const categories = new Set(data.organizations.filter(org => org.type === 'category').map(org => org.id));
+    const members = new Map([...categories].map(id => [id, new Set()]));
+
+    data.relationships.forEach(rel => {
+        if (rel.type !== MEMBERSHIP_TYPE) return;
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        // Memberships point from the member to the category, but accept either way round
+        if (categories.has(targetId) && !categories.has(sourceId)) members.get(targetId).add(sourceId);
+        else if (categories.has(sourceId) && !categories.has(targetId)) members.get(sourceId).add(targetId);
+    });
+
+    return members;
+}
+
+// The network to draw with categories grouped. `collapsed` holds the ids of
+// collapsed categories. Returns
+//   organizations, relationships: what the simulation sees. Members of
+//       collapsed categories are left out (unless another category they
+//       belong to is expanded) and their relationships are redrawn to the
+//       category; such stand-in relationships list the originals in `aggregated`.
+//   members: category id → ids of its members that are drawn (expanded categories)
+//   collapsedMembers: category id → ids of the members it stands in for
+export function groupByCategory(data, collapsed) {
+    const members = categoryMembers(data);
+    const drawnIds = new Set(data.organizations.map(org => org.id));
+
+    // Where each hidden member is drawn instead: its first collapsed category
+    const standIn = new Map();
+    data.organizations.forEach(org => {
+        const categories = [...members.keys()].filter(categoryId => members.get(categoryId).has(org.id));
+        if (categories.length && categories.every(categoryId => collapsed.has(categoryId))) {
+            standIn.set(org.id, categories[0]);
+            drawnIds.delete(org.id);
+        }
+    });
+
+    const collapsedMembers = new Map();
+    const expandedMembers = new Map();
+    members.forEach((memberIds, categoryId) => {
+        if (collapsed.has(categoryId)) {
+            collapsedMembers.set(categoryId, [...memberIds].filter(id => standIn.get(id) === categoryId));
+        } else {
+            expandedMembers.set(categoryId, [...memberIds].filter(id => drawnIds.has(id)));
+        }
+    });
+
+    const relationships = [];
+    const aggregates = new Map();
+    data.relationships.forEach(rel => {
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        const from = standIn.get(sourceId) || sourceId;
+        const to = standIn.get(targetId) || targetId;
+
+        if (from === sourceId && to === targetId) {
+            relationships.push(rel);
+            return;
+        }
+        // A collapsed category's own memberships (and links between its members) disappear
+        if (from === to) return;
+
+        const key = `${from}|${to}|${rel.type}`;
+        if (!aggregates.has(key)) {
+            const aggregate = { source: from, target: to, type: rel.type, description: rel.description, aggregated: [] };
+            aggregates.set(key, aggregate);
+            relationships.push(aggregate);
+        }
+        aggregates.get(key).aggregated.push(rel);
+    });
+
+    aggregates.forEach(aggregate => {
+        if (aggregate.aggregated.length > 1) {
+            aggregate.description = `${aggregate.aggregated.length} relationships of collapsed members`;
+        }
+    });
+
+    return {
+        organizations: data.organizations.filter(org => drawnIds.has(org.id)),
+        relationships,
+        members: expandedMembers,
+        collapsedMembers
+    };
+}
+
+// Is this relationship a membership of an expanded category (hidden while grouped)?
+export function isGroupedMembership(rel, grouping) {
+    return rel.type === MEMBERSHIP_TYPE && !rel.aggregated &&
+        (grouping.members.has(endpointId(rel.source)) || grouping.members.has(endpointId(rel.target)));
+}
@@ -0,0 +1,95 @@
+// Building HTML from data safely. Organization and relationship fields come
+// from imported files and the editor, so they are never put into markup as
+// they are: the html`` template tag escapes every value it interpolates, and
+// safeUrl() only lets web, mail and phone links through to an href.
+//
+//     container.innerHTML = html`<h4>${org.name}</h4><a href="${safeUrl(org.website)}">…</a>`;
+//
+// Nested html`` results and lists of them are inserted as markup; anything
+// else is text. Event handlers are never inlined: views put data-* attributes
+// on the elements and listen on a container instead.
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Link schemes an href may use; javascript:, data: and the like are dropped
+export const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// Markup that is already safe, as returned by html`` and raw()
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+export function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[&<>"']/g, character => ESCAPES[character]);
+}
+
+// Markup from a trusted source (a constant in the code), inserted as it is
+export function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === false) return '';
+    return escapeHtml(value);
+}
+
+// Template tag: the literal parts are markup, the values are escaped. false,
+// null and undefined render nothing, so `${condition && html`…`}` works.
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + renderValue(values[index - 1]) + string
+    ));
+}
+
+// The URL if it may be linked to, else ''. A website without a scheme, such
+// as www.example.org, is taken to be https.
+export function safeUrl(value) {
+    const url = value === undefined || value === null ? '' : String(value).trim();
+    if (!url) return '';
+    // Browsers ignore whitespace and control characters inside a scheme
+    // ("java\tscript:"), so they must not hide one here either
+    const compact = url.replace(/[\u0000- ]/g, '');
+    // "example.org:8080/path" and "localhost:8080" are a host and port, and a
+    // dot never appears in the schemes allowed here
+    const hostAndPort = /^[a-z0-9.-]+:\d+(?:[/?#]|$)/i.test(compact) &&
+        !SAFE_URL_SCHEMES.some(scheme => compact.toLowerCase().startsWith(scheme));
+    const hasScheme = !hostAndPort && /^[a-z][a-z0-9+-]*:/i.test(compact);
+    const candidate = hasScheme ? url : `https://${url.replace(/^\/+/, '')}`;
+    try {
+        return SAFE_URL_SCHEMES.includes(new URL(candidate).protocol) ? candidate : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+export function mailtoUrl(email) {
+    return email ? safeUrl(`mailto:${String(email).trim()}`) : '';
+}
+
+export function telUrl(phone) {
+    return phone ? safeUrl(`tel:${String(phone).replace(/[^\d+]/g, '')}`) : '';
+}
+
+// A link to `url` showing `text`, or only the text when the URL can't be
+// linked to. External links open in a new tab without access to this page.
+export function link(url, text, { newTab = false } = {}) {
+    if (!url) return html`${text}`;
+    return newTab
+        ? html`<a href="${url}" class="data-link" target="_blank" rel="noopener noreferrer">${text}</a>`
+        : html`<a href="${url}" class="data-link">${text}</a>`;
+}
@@ -0,0 +1,274 @@
+// Saving the network view as an image. The SVG is copied as it is on screen
+// (zoom/pan transform, highlight and label opacity, search dimming) with the
+// computed styles inlined, and the HTML legend is redrawn inside it, so the
+// result looks the same outside the page. PNG and PDF are rendered from that SVG.
+
+import { NODE_SHAPES, shapePath } from './model.js';
+
+export const IMAGE_FORMATS = [
+    { id: 'svg', label: 'SVG (vector, editable in Illustrator/Inkscape)' },
+    { id: 'png', label: 'PNG (high resolution)' },
+    { id: 'pdf', label: 'PDF (printable, US Letter)' }
+];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties worth copying from the stylesheet; everything else
+// is either an SVG attribute already or irrelevant outside the page
+const INLINED_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+    'opacity', 'display', 'visibility',
+    'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+];
+
+const LEGEND_LINE_HEIGHT = 16;
+const LEGEND_PADDING = 10;
+
+// Size of the SVG as displayed, falling back to its attributes
+function getSvgSize(svgElement) {
+    const width = svgElement.clientWidth || parseFloat(svgElement.getAttribute('width')) || 960;
+    const height = svgElement.clientHeight || parseFloat(svgElement.getAttribute('height')) || 600;
+    return { width, height };
+}
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function inlineStyles(source, target) {
+    const sourceElements = [source, ...source.querySelectorAll('*')];
+    const targetElements = [target, ...target.querySelectorAll('*')];
+
+    sourceElements.forEach((element, i) => {
+        const computed = window.getComputedStyle(element);
+        const declarations = INLINED_PROPERTIES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value !== '')
+            .map(([property, value]) => `${property}: ${value}`);
+        if (declarations.length) targetElements[i].setAttribute('style', declarations.join('; '));
+        targetElements[i].removeAttribute('class');
+    });
+}
+
+// Rough width of a line of legend text when the page cannot measure it (e.g. hidden)
+function estimateTextWidth(text, fontSize) {
+    return text.length * fontSize * 0.55;
+}
+
+// Redraw the HTML legend (#legend: h4 titles and .legend-item rows with a
+// .legend-symbol and a label) as SVG at the same place relative to the network
+function buildLegend(legendElement, svgElement, size) {
+    if (!legendElement || !legendElement.children.length) return null;
+
+    const group = createSvgElement('g', { class: 'legend' });
+    const rows = [];
+    [...legendElement.children].forEach(child => {
+        const computed = window.getComputedStyle(child);
+        if (computed.display === 'none') return;
+        if (/^H\d$/.test(child.tagName)) {
+            rows.push({ kind: 'title', text: child.textContent.trim() });
+        } else if (child.classList.contains('legend-item')) {
+            const symbol = child.querySelector('.legend-symbol');
+            const symbolStyle = symbol ? window.getComputedStyle(symbol) : null;
+            // Organization types have a shape-* class (NODE_SHAPES)
+            const nodeShape = symbol && NODE_SHAPES.find(shape => symbol.classList.contains(`shape-${shape}`));
+            const shape = !symbol ? 'circle'
+                : nodeShape ? nodeShape
+                : symbol.classList.contains('rectangle') ? 'rectangle'
+                : symbol.classList.contains('line') ? 'line' : 'circle';
+            rows.push({
+                kind: 'item',
+                text: child.textContent.trim(),
+                opacity: computed.opacity || '1',
+                shape,
+                color: symbolStyle ? symbolStyle[shape === 'line' ? 'borderTopColor' : 'backgroundColor'] : '#999',
+                dash: symbol ? symbol.getAttribute('data-dash') : null
+            });
+        }
+    });
+    if (!rows.length) return null;
+
+    const textWidth = Math.max(...rows.map(row => estimateTextWidth(row.text, row.kind === 'title' ? 13 : 12) + (row.kind === 'item' ? 14 : 0)));
+    const legendRect = legendElement.getBoundingClientRect();
+    const svgRect = svgElement.getBoundingClientRect();
+    const width = legendRect.width || textWidth + LEGEND_PADDING * 2;
+    const height = LEGEND_PADDING * 2 + rows.length * LEGEND_LINE_HEIGHT;
+    const x = legendRect.width ? legendRect.left - svgRect.left : size.width - width - 15;
+    const y = legendRect.width ? legendRect.bottom - svgRect.top - height : size.height - height - 15;
+
+    group.setAttribute('transform', `translate(${x}, ${y})`);
+    group.appendChild(createSvgElement('rect', {
+        width,
+        height,
+        rx: 8,
+        fill: 'rgba(255, 255, 255, 0.95)',
+        stroke: '#ddd'
+    }));
+
+    rows.forEach((row, i) => {
+        const baseline = LEGEND_PADDING + i * LEGEND_LINE_HEIGHT + 11;
+        const text = createSvgElement('text', {
+            'font-family': window.getComputedStyle(legendElement).fontFamily || 'sans-serif',
+            'font-size': row.kind === 'title' ? 13 : 12,
+            fill: row.kind === 'title' ? '#333' : '#555'
+        });
+        text.textContent = row.text;
+
+        if (row.kind === 'title') {
+            text.setAttribute('x', width / 2);
+            text.setAttribute('y', baseline);
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('font-weight', 600);
+            group.appendChild(text);
+            return;
+        }
+
+        const item = createSvgElement('g', { opacity: row.opacity });
+        const cx = LEGEND_PADDING + 4;
+        const cy = baseline - 4;
+        if (row.shape === 'line') {
+            const line = createSvgElement('line', { x1: cx - 6, y1: cy, x2: cx + 6, y2: cy, stroke: row.color, 'stroke-width': 2 });
+            if (row.dash) line.setAttribute('stroke-dasharray', row.dash);
+            item.appendChild(line);
+        } else if (row.shape === 'rectangle') {
+            item.appendChild(createSvgElement('rect', { x: cx - 4, y: cy - 4, width: 8, height: 8, rx: 2, fill: row.color }));
+        } else {
+            item.appendChild(createSvgElement('path', { d: shapePath(row.shape, 4), transform: `translate(${cx}, ${cy})`, fill: row.color }));
+        }
+        text.setAttribute('x', LEGEND_PADDING + 14);
+        text.setAttribute('y', baseline);
+        item.appendChild(text);
+        group.appendChild(item);
+    });
+
+    return group;
+}
+
+// Standalone SVG document (as text) of the network as currently shown, with
+// its background (white, or dark in the dark theme) and the legend.
+// Returns { svg, width, height }.
+export function buildStandaloneSvg(svgElement, legendElement) {
+    const size = getSvgSize(svgElement);
+    const clone = svgElement.cloneNode(true);
+    inlineStyles(svgElement, clone);
+
+    clone.removeAttribute('id');
+    clone.setAttribute('width', size.width);
+    clone.setAttribute('height', size.height);
+    clone.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+    const dark = document.documentElement.getAttribute('data-theme') === 'dark';
+    const fill = dark ? window.getComputedStyle(svgElement).backgroundColor : '#fff';
+    clone.setAttribute('style', `background: ${fill}`);
+    clone.insertBefore(createSvgElement('rect', { width: '100%', height: '100%', fill }), clone.firstChild);
+
+    const legend = buildLegend(legendElement, svgElement, size);
+    if (legend) clone.appendChild(legend);
+
+    const svg = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+    return { svg, ...size };
+}
+
+// Draw the SVG onto a canvas `scale` times its size (white background)
+async function renderToCanvas(svg, width, height, scale) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The browser could not render the SVG'));
+            image.src = url;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not create ${type}`)), type, quality);
+    });
+}
+
+export async function svgToPng(svg, width, height, scale = 3) {
+    return canvasToBlob(await renderToCanvas(svg, width, height, scale), 'image/png');
+}
+
+// A one-page PDF with the image as a JPEG (PDF readers decode DCT natively),
+// fitted onto a US Letter page in the orientation that suits it
+function buildPdf(jpegBytes, pixelWidth, pixelHeight) {
+    const landscape = pixelWidth >= pixelHeight;
+    const pageWidth = landscape ? 792 : 612;
+    const pageHeight = landscape ? 612 : 792;
+    const margin = 36;
+    const fit = Math.min((pageWidth - margin * 2) / pixelWidth, (pageHeight - margin * 2) / pixelHeight);
+    const drawWidth = pixelWidth * fit;
+    const drawHeight = pixelHeight * fit;
+    const x = (pageWidth - drawWidth) / 2;
+    const y = (pageHeight - drawHeight) / 2;
+    const content = `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+    const write = chunk => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const object = (number, body, stream) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    write('%PDF-1.4\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+    object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+    object(4, `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>`, jpegBytes);
+    object(5, `<< /Length ${encoder.encode(content).length} >>`, content);
+
+    const xrefOffset = length;
+    write(`xref\n0 6\n0000000000 65535 f \n${offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+    write(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
+
+export async function svgToPdf(svg, width, height, scale = 3) {
+    const canvas = await renderToCanvas(svg, width, height, scale);
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    return buildPdf(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height);
+}
+
+// Image of the network in the given format as { blob, filename }
+export async function exportNetworkImage(formatId, { svgElement, legendElement, scale = 3, basename = 'ecosystem-network' }) {
+    const { svg, width, height } = buildStandaloneSvg(svgElement, legendElement);
+    switch (formatId) {
+        case 'svg':
+            return { blob: new Blob([svg], { type: 'image/svg+xml' }), filename: `${basename}.svg` };
+        case 'png':
+            return { blob: await svgToPng(svg, width, height, scale), filename: `${basename}.png` };
+        case 'pdf':
+            return { blob: await svgToPdf(svg, width, height, scale), filename: `${basename}.pdf` };
+        default:
+            throw new Error(`Unknown image format "${formatId}"`);
+    }
+}
@@ -0,0 +1,258 @@
+// Import dialog: pick a CSV or XLSX file, map its columns to organization or
+// relationship fields, preview what will be added, updated or skipped, then
+// merge into the dataset store as one undoable change.
+
+import { ORGANIZATION_TYPES, RELATIONSHIP_TYPES } from './model.js';
+import { parseCsv } from './csv.js';
+import {
+    ORGANIZATION_IMPORT_FIELDS,
+    RELATIONSHIP_IMPORT_FIELDS,
+    guessColumnMapping,
+    buildOrganizationImport,
+    buildRelationshipImport,
+    applyImport
+} from './importer.js';
+import { createElement, openDialog, closeDialog, addField } from './dialog.js';
+
+// SheetJS is only needed for Excel files, so it is loaded from its CDN on
+// demand (the npm `xlsx` package is an old, unmaintained release). Bump the
+// version here when updating it; see the README.
+const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+
+const PREVIEW_ROWS = 100;
+
+const STATUS_LABELS = {
+    new: 'New',
+    update: 'Update',
+    duplicate: 'Skip',
+    invalid: 'Invalid'
+};
+
+// Offline, or with the CDN blocked, the import fails with a bare network
+// error, so say what was being loaded and what to do instead
+async function loadSheetJs() {
+    try {
+        return await import(SHEETJS_URL);
+    } catch (error) {
+        console.error('Error loading SheetJS:', error);
+        throw new Error(`Excel files are read with SheetJS, which could not be loaded from ${new URL(SHEETJS_URL).host}. Check the internet connection, or save the sheet as CSV in Excel and import that.`);
+    }
+}
+
+// Read a CSV/TSV or Excel file into rows of strings (first sheet only for Excel)
+export async function readSpreadsheet(file) {
+    if (/\.xlsx?$/i.test(file.name)) {
+        const XLSX = await loadSheetJs();
+        const workbook = XLSX.read(await file.arrayBuffer());
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false })
+            .map(row => row.map(cell => String(cell)))
+            .filter(row => row.some(cell => cell.trim() !== ''));
+    }
+    return parseCsv(await file.text());
+}
+
+function fieldsFor(kind) {
+    return kind === 'organizations' ? ORGANIZATION_IMPORT_FIELDS : RELATIONSHIP_IMPORT_FIELDS;
+}
+
+function summarize(items) {
+    const counts = { new: 0, update: 0, duplicate: 0, invalid: 0 };
+    items.forEach(item => counts[item.status]++);
+    const parts = [`${counts.new} new`];
+    if (counts.update) parts.push(`${counts.update} to update`);
+    if (counts.duplicate) parts.push(`${counts.duplicate} skipped as duplicates`);
+    if (counts.invalid) parts.push(`${counts.invalid} invalid`);
+    return { counts, text: parts.join(', ') };
+}
+
+function renderPreviewTable(container, kind, items) {
+    container.innerHTML = '';
+    const table = createElement('table', 'import-preview-table');
+    const head = createElement('tr');
+    const columns = kind === 'organizations' ? ['Row', 'Status', 'Name', 'Type', 'Notes'] : ['Row', 'Status', 'From', 'To', 'Type', 'Notes'];
+    columns.forEach(column => head.appendChild(createElement('th', '', column)));
+    table.appendChild(head);
+
+    items.slice(0, PREVIEW_ROWS).forEach(item => {
+        const tr = createElement('tr', `import-status-${item.status}`);
+        const cells = kind === 'organizations'
+            ? [item.row, STATUS_LABELS[item.status], item.record.name, item.record.type]
+            : [item.row, STATUS_LABELS[item.status], item.record.source, item.record.target, item.record.type];
+        cells.push(item.messages.join('; '));
+        cells.forEach(value => tr.appendChild(createElement('td', '', value === undefined ? '' : String(value))));
+        table.appendChild(tr);
+    });
+
+    container.appendChild(table);
+    if (items.length > PREVIEW_ROWS) {
+        container.appendChild(createElement('p', 'import-preview-more', `Showing the first ${PREVIEW_ROWS} of ${items.length} rows`));
+    }
+}
+
+export function openImportDialog(store) {
+    const form = openDialog('Import from CSV or Excel', { wide: true });
+    const state = { kind: 'organizations', rows: [], filename: '', mapping: {}, items: [] };
+
+    const kindSelect = addField(form, {
+        name: 'kind',
+        label: 'Import',
+        options: () => [
+            { id: 'organizations', label: 'Organizations' },
+            { id: 'relationships', label: 'Relationships' }
+        ]
+    }, state.kind);
+
+    const fileInput = addField(form, { name: 'file', label: 'File', inputType: 'file' });
+    fileInput.accept = '.csv,.tsv,.txt,.xlsx,.xls';
+
+    const headerRow = createElement('label', 'import-checkbox');
+    const headerCheckbox = createElement('input');
+    headerCheckbox.type = 'checkbox';
+    headerCheckbox.checked = true;
+    headerRow.appendChild(headerCheckbox);
+    headerRow.appendChild(document.createTextNode(' First row contains column names'));
+    form.appendChild(headerRow);
+
+    const mappingSection = createElement('div', 'import-mapping');
+    const optionsSection = createElement('div', 'import-options');
+    const summary = createElement('p', 'import-summary');
+    const preview = createElement('div', 'import-preview');
+    const messages = createElement('div', 'editor-messages');
+    messages.setAttribute('role', 'alert');
+    [mappingSection, optionsSection, summary, preview, messages].forEach(element => form.appendChild(element));
+
+    const actions = createElement('div', 'editor-actions');
+    actions.appendChild(createElement('span', 'editor-actions-spacer'));
+    const cancelButton = createElement('button', 'btn btn-cancel', 'Cancel');
+    cancelButton.type = 'button';
+    cancelButton.addEventListener('click', closeDialog);
+    const importButton = createElement('button', 'btn', 'Import');
+    importButton.type = 'submit';
+    importButton.disabled = true;
+    actions.appendChild(cancelButton);
+    actions.appendChild(importButton);
+    form.appendChild(actions);
+
+    function dataRows() {
+        return headerCheckbox.checked ? state.rows.slice(1) : state.rows;
+    }
+
+    function headers() {
+        const width = Math.max(0, ...state.rows.map(row => row.length));
+        return Array.from({ length: width }, (_, i) =>
+            (headerCheckbox.checked && state.rows[0][i]) || `Column ${i + 1}`);
+    }
+
+    function renderMapping() {
+        mappingSection.innerHTML = '';
+        optionsSection.innerHTML = '';
+        if (!state.rows.length) return;
+
+        mappingSection.appendChild(createElement('h3', '', 'Columns'));
+        const columnOptions = () => [
+            { id: '-1', label: '— not imported —' },
+            ...headers().map((header, i) => ({ id: String(i), label: header }))
+        ];
+        fieldsFor(state.kind).forEach(field => {
+            const select = addField(mappingSection, { ...field, name: `map-${field.name}`, options: columnOptions },
+                String(state.mapping[field.name]));
+            select.addEventListener('change', () => {
+                state.mapping[field.name] = Number(select.value);
+                updatePreview();
+            });
+        });
+
+        const types = state.kind === 'organizations' ? ORGANIZATION_TYPES : RELATIONSHIP_TYPES;
+        const defaultType = addField(optionsSection, {
+            name: 'defaultType',
+            label: 'Type for rows without one',
+            options: () => [{ id: '', label: '— none (row is invalid) —' }, ...types]
+        }, '');
+        defaultType.addEventListener('change', updatePreview);
+
+        if (state.kind === 'organizations') {
+            const updateRow = createElement('label', 'import-checkbox');
+            const updateCheckbox = createElement('input');
+            updateCheckbox.type = 'checkbox';
+            updateCheckbox.name = 'updateExisting';
+            updateRow.appendChild(updateCheckbox);
+            updateRow.appendChild(document.createTextNode(' Update existing organizations with the same id or name (otherwise they are skipped)'));
+            updateCheckbox.addEventListener('change', updatePreview);
+            optionsSection.appendChild(updateRow);
+        }
+    }
+
+    function updatePreview() {
+        messages.innerHTML = '';
+        if (!state.rows.length) {
+            state.items = [];
+            summary.textContent = '';
+            preview.innerHTML = '';
+            importButton.disabled = true;
+            return;
+        }
+
+        const data = store.getData();
+        const defaultTypeSelect = optionsSection.querySelector('[name="defaultType"]');
+        const updateCheckbox = optionsSection.querySelector('[name="updateExisting"]');
+        const options = {
+            defaultType: defaultTypeSelect ? defaultTypeSelect.value : '',
+            updateExisting: Boolean(updateCheckbox && updateCheckbox.checked)
+        };
+
+        state.items = state.kind === 'organizations'
+            ? buildOrganizationImport(dataRows(), state.mapping, data, options)
+            : buildRelationshipImport(dataRows(), state.mapping, data, options);
+
+        const { counts, text } = summarize(state.items);
+        summary.textContent = `${state.filename}: ${text}`;
+        renderPreviewTable(preview, state.kind, state.items);
+
+        const importable = counts.new + counts.update;
+        importButton.disabled = importable === 0;
+        importButton.textContent = importable ? `Import ${importable}` : 'Import';
+    }
+
+    function resetMapping() {
+        state.mapping = guessColumnMapping(headerCheckbox.checked && state.rows.length ? state.rows[0] : [], fieldsFor(state.kind));
+        renderMapping();
+        updatePreview();
+    }
+
+    kindSelect.addEventListener('change', () => {
+        state.kind = kindSelect.value;
+        resetMapping();
+    });
+
+    headerCheckbox.addEventListener('change', resetMapping);
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        messages.innerHTML = '';
+        try {
+            state.rows = await readSpreadsheet(file);
+            state.filename = file.name;
+            if (!state.rows.length) throw new Error('The file contains no rows');
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            state.rows = [];
+            messages.appendChild(createElement('p', 'editor-error', `Could not read ${file.name}: ${error.message}`));
+        }
+        resetMapping();
+    });
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const result = applyImport(store, state.kind, state.items, state.filename);
+        if (result.ok) {
+            closeDialog();
+            return;
+        }
+        messages.innerHTML = '';
+        result.errors.forEach(issue => messages.appendChild(createElement('p', 'editor-error', issue.message)));
+    });
+
+    fileInput.focus();
+}
@@ -0,0 +1,222 @@
+// Turning spreadsheet rows (from lib/csv.js or an XLSX sheet) into
+// organizations and relationships: column mapping, type matching and duplicate
+// detection against the current dataset. The import dialog in
+// lib/import-ui.js shows the preview built here before anything is merged.
+
+import { ORGANIZATION_TYPES, RELATIONSHIP_TYPES } from './model.js';
+import { nextOrganizationId, relationshipKey } from './dataset-store.js';
+
+export const ORGANIZATION_IMPORT_FIELDS = [
+    { name: 'id', label: 'Id' },
+    { name: 'name', label: 'Name', required: true },
+    { name: 'type', label: 'Type' },
+    { name: 'contactPerson', label: 'Contact Person' },
+    { name: 'email', label: 'Email' },
+    { name: 'phone', label: 'Phone' },
+    { name: 'website', label: 'Website' },
+    { name: 'address', label: 'Address' },
+    { name: 'latitude', label: 'Latitude' },
+    { name: 'longitude', label: 'Longitude' },
+    { name: 'tags', label: 'Tags' },
+    { name: 'description', label: 'Description' },
+    { name: 'startDate', label: 'Start Date' },
+    { name: 'endDate', label: 'End Date' }
+];
+
+export const RELATIONSHIP_IMPORT_FIELDS = [
+    { name: 'source', label: 'From (id or name)', required: true },
+    { name: 'target', label: 'To (id or name)', required: true },
+    { name: 'type', label: 'Type' },
+    { name: 'description', label: 'Description' },
+    { name: 'startDate', label: 'Start Date' },
+    { name: 'endDate', label: 'End Date' }
+];
+
+// Header spellings seen in partner exports, normalized (see normalizeText)
+const FIELD_ALIASES = {
+    id: ['id', 'org id', 'organization id'],
+    name: ['name', 'label', 'organization', 'organization name', 'org name', 'org', 'company', 'company name', 'business name'],
+    type: ['type', 'organization type', 'org type', 'sector', 'relationship type', 'relationship'],
+    contactPerson: ['contact', 'contact person', 'contact name', 'contactperson', 'primary contact', 'full name'],
+    email: ['email', 'e mail', 'email address', 'contact email'],
+    phone: ['phone', 'phone number', 'telephone', 'tel', 'mobile', 'contact phone'],
+    website: ['website', 'web site', 'url', 'web', 'homepage', 'site'],
+    address: ['address', 'street address', 'mailing address', 'location'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long'],
+    tags: ['tags', 'keywords', 'labels', 'services', 'focus areas'],
+    description: ['description', 'notes', 'about', 'summary', 'details'],
+    source: ['source', 'from', 'source organization', 'from organization', 'source id'],
+    startDate: ['start date', 'start', 'started', 'since', 'date joined', 'joined'],
+    endDate: ['end date', 'end', 'ended', 'until', 'date left'],
+    target: ['target', 'to', 'target organization', 'to organization', 'target id']
+};
+
+function normalizeText(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Map each field to the index of the column that most likely holds it (-1 if none)
+export function guessColumnMapping(headers, fields) {
+    const normalizedHeaders = headers.map(normalizeText);
+    const used = new Set();
+    const mapping = {};
+
+    fields.forEach(field => {
+        const aliases = [normalizeText(field.name), ...(FIELD_ALIASES[field.name] || [])];
+        const index = normalizedHeaders.findIndex((header, i) => !used.has(i) && aliases.includes(header));
+        mapping[field.name] = index;
+        if (index !== -1) used.add(index);
+    });
+
+    return mapping;
+}
+
+// Match "Non-Profit", "non profit" or "non_profit" to a known type id; unknown values pass through
+function resolveType(value, types) {
+    const normalized = normalizeText(value);
+    if (!normalized) return '';
+    const match = types.find(type => normalizeText(type.id) === normalized || normalizeText(type.label) === normalized);
+    return match ? match.id : String(value).trim();
+}
+
+function readRow(cells, mapping) {
+    const record = {};
+    Object.entries(mapping).forEach(([field, index]) => {
+        if (index >= 0) record[field] = String(cells[index] === undefined ? '' : cells[index]).trim();
+    });
+    return record;
+}
+
+function splitTags(value) {
+    return String(value || '').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+// Preview of an organization import. Each item is
+// { row, record, status: 'new' | 'update' | 'duplicate' | 'invalid', matchId, messages }.
+// Rows are matched to existing organizations by id, then by name (case-insensitive);
+// matches are updated when updateExisting is set and skipped otherwise. Rows
+// repeating the name or id of an earlier row are skipped.
+export function buildOrganizationImport(rows, mapping, data, { defaultType = '', updateExisting = false } = {}) {
+    const byId = new Map(data.organizations.map(org => [org.id, org]));
+    const byName = new Map(data.organizations.map(org => [normalizeText(org.name), org]));
+    const seenInFile = new Map();
+    const idsInFile = new Map();
+    // Ids given in the file are taken up front so generated ones never repeat them
+    const assignedIds = [
+        ...data.organizations,
+        ...rows.map(cells => ({ id: readRow(cells, mapping).id })).filter(org => org.id)
+    ];
+
+    return rows.map((cells, index) => {
+        const raw = readRow(cells, mapping);
+        const record = { ...raw };
+        const messages = [];
+        const row = index + 1;
+
+        record.type = resolveType(raw.type, ORGANIZATION_TYPES) || defaultType;
+        if ('tags' in raw) record.tags = splitTags(raw.tags);
+        if (record.website && !/^[a-z][a-z0-9+.-]*:/i.test(record.website)) {
+            record.website = `https://${record.website}`;
+        }
+
+        if (!record.name) {
+            return { row, record, status: 'invalid', matchId: null, messages: ['Missing name'] };
+        }
+        if (!record.type) {
+            messages.push('No type; choose a default type for rows without one');
+            return { row, record, status: 'invalid', matchId: null, messages };
+        }
+        if (record.type && !ORGANIZATION_TYPES.some(type => type.id === record.type)) {
+            messages.push(`Unknown type "${record.type}"`);
+        }
+
+        const nameKey = normalizeText(record.name);
+        if (seenInFile.has(nameKey)) {
+            return { row, record, status: 'duplicate', matchId: null, messages: [`Same name as row ${seenInFile.get(nameKey)}`] };
+        }
+        seenInFile.set(nameKey, row);
+
+        if (record.id && idsInFile.has(record.id)) {
+            return { row, record, status: 'duplicate', matchId: null, messages: [`Same id "${record.id}" as row ${idsInFile.get(record.id)}`] };
+        }
+        if (record.id) idsInFile.set(record.id, row);
+
+        const match = (record.id && byId.get(record.id)) || byName.get(nameKey);
+        if (match) {
+            messages.unshift(`Matches existing "${match.name}" (${match.id})`);
+            return { row, record, status: updateExisting ? 'update' : 'duplicate', matchId: match.id, messages };
+        }
+
+        if (!record.id) {
+            record.id = nextOrganizationId(assignedIds);
+        }
+        assignedIds.push({ id: record.id });
+        return { row, record, status: 'new', matchId: null, messages };
+    });
+}
+
+// Preview of a relationship import. Source and target may be ids or names of
+// existing organizations; relationships that already exist are duplicates.
+export function buildRelationshipImport(rows, mapping, data, { defaultType = '' } = {}) {
+    const byId = new Map(data.organizations.map(org => [org.id, org]));
+    const byName = new Map(data.organizations.map(org => [normalizeText(org.name), org]));
+    const existingKeys = new Set(data.relationships.map(relationshipKey));
+    const resolve = value => byId.get(String(value).trim()) || byName.get(normalizeText(value));
+
+    return rows.map((cells, index) => {
+        const raw = readRow(cells, mapping);
+        const row = index + 1;
+        const messages = [];
+        const source = resolve(raw.source || '');
+        const target = resolve(raw.target || '');
+
+        if (!source) messages.push(`Unknown organization "${raw.source || ''}"`);
+        if (!target) messages.push(`Unknown organization "${raw.target || ''}"`);
+
+        const type = resolveType(raw.type, RELATIONSHIP_TYPES) || defaultType;
+        if (!type) messages.push('No type; choose a default type for rows without one');
+
+        const record = {
+            source: source ? source.id : raw.source,
+            target: target ? target.id : raw.target,
+            type,
+            description: raw.description || '',
+            startDate: raw.startDate,
+            endDate: raw.endDate
+        };
+
+        if (messages.length) {
+            return { row, record, status: 'invalid', matchId: null, messages };
+        }
+        if (!RELATIONSHIP_TYPES.some(known => known.id === type)) {
+            messages.push(`Unknown type "${type}"`);
+        }
+
+        const key = relationshipKey(record);
+        if (existingKeys.has(key)) {
+            return { row, record, status: 'duplicate', matchId: null, messages: ['Relationship already exists', ...messages] };
+        }
+        existingKeys.add(key);
+        return { row, record, status: 'new', matchId: null, messages };
+    });
+}
+
+// Merge the previewed items into the store as a single undoable change
+export function applyImport(store, kind, items, filename = 'file') {
+    const organizations = [];
+    const updates = [];
+    const relationships = [];
+
+    items.forEach(item => {
+        if (kind === 'organizations' && item.status === 'new') organizations.push(item.record);
+        if (kind === 'organizations' && item.status === 'update') {
+            const { id, ...changes } = item.record;
+            updates.push({ id: item.matchId, changes });
+        }
+        if (kind === 'relationships' && item.status === 'new') relationships.push(item.record);
+    });
+
+    const count = organizations.length + updates.length + relationships.length;
+    return store.importRecords({ organizations, updates, relationships }, `Import ${count} ${kind} from ${filename}`);
+}
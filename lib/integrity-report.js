@@ -0,0 +1,91 @@
+// In-page rendering of a validateDataset() report, shared by both views
+
+import { activeDatasetFilename } from './datasets.js';
+
+const MAX_LISTED_ISSUES = 50;
+
+function createIssueList(issues, className) {
+    const list = document.createElement('ul');
+    list.className = `integrity-issues ${className}`;
+
+    issues.slice(0, MAX_LISTED_ISSUES).forEach(issue => {
+        const item = document.createElement('li');
+        const message = document.createElement('span');
+        message.textContent = issue.message;
+        item.appendChild(message);
+
+        if (issue.path) {
+            const path = document.createElement('code');
+            path.textContent = issue.path;
+            item.appendChild(path);
+        }
+        list.appendChild(item);
+    });
+
+    if (issues.length > MAX_LISTED_ISSUES) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${issues.length - MAX_LISTED_ISSUES} more (run "npm run validate" for the full list)`;
+        list.appendChild(more);
+    }
+
+    return list;
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Show the report in the given container, or hide it when there is nothing to say
+export function renderIntegrityReport(container, report) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (!report || (report.errors.length === 0 && report.warnings.length === 0)) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.classList.toggle('has-errors', report.errors.length > 0);
+
+    const details = document.createElement('details');
+    // Errors mean part of the data is missing or wrong, so show them without a click
+    details.open = report.errors.length > 0;
+
+    const summary = document.createElement('summary');
+    const parts = [];
+    if (report.errors.length) parts.push(pluralize(report.errors.length, 'error'));
+    if (report.warnings.length) parts.push(pluralize(report.warnings.length, 'warning'));
+    summary.textContent = `Data integrity: ${parts.join(', ')} in ${activeDatasetFilename()}`;
+    details.appendChild(summary);
+
+    if (report.errors.length) {
+        const note = document.createElement('p');
+        note.textContent = 'Organizations without an id or with a repeated id, and relationships to unknown organizations, are left out. Other records with errors are shown as they are.';
+        details.appendChild(note);
+        details.appendChild(createIssueList(report.errors, 'integrity-errors'));
+    }
+    if (report.warnings.length) {
+        details.appendChild(createIssueList(report.warnings, 'integrity-warnings'));
+    }
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'integrity-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss data integrity report');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => {
+        container.style.display = 'none';
+    });
+
+    container.appendChild(dismiss);
+    container.appendChild(details);
+    container.style.display = 'block';
+}
+
+// Report for when the file could not be fetched or parsed at all
+export function loadFailureReport(error) {
+    return {
+        valid: false,
+        errors: [{ severity: 'error', path: '', message: `Could not load ${activeDatasetFilename()}: ${error.message}` }],
+        warnings: []
+    };
+}
@@ -0,0 +1,147 @@
+// Layouts of the network view besides the plain force simulation, and saved
+// node positions. The layouts are applied as extra forces by script.js, so
+// switching animates; this module only works out where things should go.
+
+import { endpointId } from './model.js';
+import { storageKey } from './datasets.js';
+import { getStorage } from './storage.js';
+
+export const LAYOUTS = [
+    { id: 'force', label: 'Force' },
+    { id: 'radial', label: 'Radial (around focused)' },
+    { id: 'clustered', label: 'Clustered by type' },
+    { id: 'hierarchy', label: 'Funding hierarchy' }
+];
+
+export const SAVED_LAYOUT_STORAGE_KEY = 'ecosystem-saved-layout';
+
+const FUNDING_TYPE = 'funding_relationship';
+
+// Number of hops from `centerId` to every organization it can reach,
+// following relationships either way
+export function hopDistances(data, centerId) {
+    const neighbors = new Map(data.organizations.map(org => [org.id, []]));
+    data.relationships.forEach(rel => {
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (!neighbors.has(sourceId) || !neighbors.has(targetId)) return;
+        neighbors.get(sourceId).push(targetId);
+        neighbors.get(targetId).push(sourceId);
+    });
+
+    const hops = new Map();
+    if (!neighbors.has(centerId)) return hops;
+    hops.set(centerId, 0);
+    const queue = [centerId];
+    for (let i = 0; i < queue.length; i++) {
+        neighbors.get(queue[i]).forEach(neighborId => {
+            if (!hops.has(neighborId)) {
+                hops.set(neighborId, hops.get(queue[i]) + 1);
+                queue.push(neighborId);
+            }
+        });
+    }
+    return hops;
+}
+
+// Level of each organization in the funding flows: funders nobody funds are
+// level 0 and funded organizations sit one level below their lowest funder.
+// Organizations without funding relationships are left out. Cycles are
+// tolerated by never going deeper than the number of organizations involved.
+export function fundingLevels(data) {
+    const funded = new Map();
+    const involved = new Set();
+    data.relationships.forEach(rel => {
+        if (rel.type !== FUNDING_TYPE) return;
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (sourceId === targetId) return;
+        involved.add(sourceId);
+        involved.add(targetId);
+        if (!funded.has(sourceId)) funded.set(sourceId, []);
+        funded.get(sourceId).push(targetId);
+    });
+
+    const hasFunder = new Set([...funded.values()].flat());
+    const levels = new Map();
+    let current = [...involved].filter(id => !hasFunder.has(id));
+    // Everything is in a cycle: start from any funder
+    if (!current.length && involved.size) current = [[...involved][0]];
+    current.forEach(id => levels.set(id, 0));
+
+    for (let level = 1; current.length && level <= involved.size; level++) {
+        const next = [];
+        current.forEach(id => {
+            (funded.get(id) || []).forEach(targetId => {
+                if ((levels.get(targetId) ?? -1) < level) {
+                    levels.set(targetId, level);
+                    next.push(targetId);
+                }
+            });
+        });
+        current = next;
+    }
+    // Organizations only reachable through a cycle that was never entered
+    involved.forEach(id => {
+        if (!levels.has(id)) levels.set(id, 0);
+    });
+    return levels;
+}
+
+// Cluster centers spread evenly on an ellipse inside the given area
+export function clusterCenters(keys, width, height) {
+    const centers = new Map();
+    if (keys.length === 1) {
+        centers.set(keys[0], { x: width / 2, y: height / 2 });
+        return centers;
+    }
+    keys.forEach((key, i) => {
+        const angle = -Math.PI / 2 + i / keys.length * 2 * Math.PI;
+        centers.set(key, {
+            x: width / 2 + Math.cos(angle) * width * 0.35,
+            y: height / 2 + Math.sin(angle) * height * 0.35
+        });
+    });
+    return centers;
+}
+
+// Saved positions as a Map of organization id → { x, y }, or null when none are saved
+export function loadSavedPositions() {
+    const storage = getStorage();
+    if (!storage) return null;
+    try {
+        const saved = JSON.parse(storage.getItem(storageKey(SAVED_LAYOUT_STORAGE_KEY)));
+        if (!saved || typeof saved.positions !== 'object') return null;
+        const positions = new Map();
+        Object.entries(saved.positions).forEach(([id, [x, y]]) => {
+            if (Number.isFinite(x) && Number.isFinite(y)) positions.set(id, { x, y });
+        });
+        return positions;
+    } catch (error) {
+        console.error('Ignoring unreadable saved layout:', error);
+        return null;
+    }
+}
+
+// Returns false when the positions could not be stored (no storage, or too
+// many organizations for what is left of it)
+export function savePositions(positions) {
+    const storage = getStorage();
+    if (!storage) return false;
+    const saved = { savedAt: new Date().toISOString(), positions: {} };
+    positions.forEach(({ x, y }, id) => {
+        saved.positions[id] = [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+    });
+    try {
+        storage.setItem(storageKey(SAVED_LAYOUT_STORAGE_KEY), JSON.stringify(saved));
+        return true;
+    } catch (error) {
+        console.error('Could not store the layout:', error);
+        return false;
+    }
+}
+
+export function clearSavedPositions() {
+    const storage = getStorage();
+    if (storage) storage.removeItem(storageKey(SAVED_LAYOUT_STORAGE_KEY));
+}
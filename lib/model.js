@@ -0,0 +1,287 @@
+// Shared data model for the network and list views: type metadata, loading,
+// normalizing and indexing of organizations.json.
+// Adding an organization or relationship type only requires an entry below,
+// or an entry in the dataset's `organizationTypes` / `relationshipTypes` in
+// datasets.json (see configureTypes).
+
+import { validateDataset, TEXT_FIELDS, isBlank } from './validation.js';
+
+// Organization types in legend / filter order. `shape` is one of NODE_SHAPES
+// (circle when left out).
+export const ORGANIZATION_TYPES = [
+    { id: 'corporation', label: 'Corporations & Industry', color: '#3498db' },
+    { id: 'government_agency', label: 'Government & Public Agencies', color: '#808080' },
+    { id: 'education', label: 'Education', color: '#ff5b00' },
+    { id: 'non_profit', label: 'Non-Profit', color: '#2ecc71' },
+    { id: 'small_business', label: 'Entrepreneurs & Small Businesses', color: '#40E0D0' }, // Turquoise
+    { id: 'investor_funder', label: 'Investors & Funders', color: '#9b59b6' }, // Purple
+    { id: 'category', label: 'Categories', color: '#E4a0f7', shape: 'triangle' } // Light purple
+];
+
+// Relationship types; `category` marks edges that attach organizations to
+// category nodes. `directed` edges go from source to target (funder → funded,
+// member → category) and get an arrowhead; `dash` is an SVG stroke-dasharray.
+export const RELATIONSHIP_TYPES = [
+    { id: 'funding_relationship', label: 'Funding', color: '#27ae60', directed: true },
+    { id: 'collaboration_partnership', label: 'Collaboration Partnership', color: '#2980b9', directed: false },
+    { id: 'partnership', label: 'Partnership', color: '#8e44ad', directed: false },
+    { id: 'collaboration', label: 'Collaboration', color: '#16a085', directed: false },
+    { id: 'category_link', label: 'Category Link', color: '#c39bd3', dash: '6,4', directed: false, category: true },
+    { id: 'category_membership', label: 'Category Membership', color: '#b2babb', dash: '2,3', directed: true, category: true }
+];
+
+export const DEFAULT_TYPE_COLOR = '#95a5a6';
+export const DEFAULT_RELATIONSHIP_COLOR = '#999999';
+
+// Shapes organizations can be drawn as; shapePath() draws them
+export const NODE_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'star', 'hexagon'];
+
+// Palettes for the organization types. The standard one uses each type's own
+// color; the colorblind-safe one gives the types, in order, the Okabe–Ito
+// colors, which stay distinct with the common kinds of color blindness.
+export const COLOR_PALETTES = [
+    { id: 'standard', label: 'Standard colors' },
+    { id: 'colorblind', label: 'Colorblind-safe', colors: ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#999999'] }
+];
+
+// The built-in types, restored when a dataset doesn't define its own
+const DEFAULT_ORGANIZATION_TYPES = ORGANIZATION_TYPES.map(type => ({ ...type }));
+const DEFAULT_RELATIONSHIP_TYPES = RELATIONSHIP_TYPES.map(type => ({ ...type }));
+
+const organizationTypesById = new Map(ORGANIZATION_TYPES.map(type => [type.id, type]));
+const relationshipTypesById = new Map(RELATIONSHIP_TYPES.map(type => [type.id, type]));
+
+export function getOrganizationType(typeId) {
+    return organizationTypesById.get(typeId) || null;
+}
+
+export function getRelationshipType(typeId) {
+    return relationshipTypesById.get(typeId) || null;
+}
+
+export function getTypeColor(typeId) {
+    const type = organizationTypesById.get(typeId);
+    return type ? type.color : DEFAULT_TYPE_COLOR;
+}
+
+export function getTypeShape(typeId) {
+    const type = organizationTypesById.get(typeId);
+    return type && NODE_SHAPES.includes(type.shape) ? type.shape : 'circle';
+}
+
+// Replace the contents of a type list and its id lookup, keeping the same
+// array so modules that imported it see the new types
+function replaceTypes(list, byId, types) {
+    list.splice(0, list.length, ...types);
+    byId.clear();
+    types.forEach(type => byId.set(type.id, type));
+}
+
+// Set up the types of a dataset from its datasets.json entry:
+// - `organizationTypes` and `relationshipTypes` replace the built-in types
+//   when given, e.g. [{ "id": "startup", "label": "Startups", "color": "#e91e63", "shape": "star" }]
+// - `typeColors` recolors organization types by id, e.g. { "non_profit": "#1abc9c" }
+// - `palette` is a COLOR_PALETTES id; the colorblind-safe one overrides both
+export function configureTypes({ organizationTypes, relationshipTypes, typeColors = {} } = {}, palette = 'standard') {
+    const paletteColors = (COLOR_PALETTES.find(option => option.id === palette) || {}).colors;
+    const organizations = (Array.isArray(organizationTypes) && organizationTypes.length ? organizationTypes : DEFAULT_ORGANIZATION_TYPES)
+        .filter(type => type && type.id)
+        .map((type, index) => ({
+            ...type,
+            label: type.label || formatTypeLabel(type.id),
+            color: paletteColors ? paletteColors[index % paletteColors.length]
+                : typeColors[type.id] || type.color || DEFAULT_TYPE_COLOR
+        }));
+    const relationships = (Array.isArray(relationshipTypes) && relationshipTypes.length ? relationshipTypes : DEFAULT_RELATIONSHIP_TYPES)
+        .filter(type => type && type.id)
+        .map(type => ({ ...type, label: type.label || formatTypeLabel(type.id) }));
+
+    replaceTypes(ORGANIZATION_TYPES, organizationTypesById, organizations);
+    replaceTypes(RELATIONSHIP_TYPES, relationshipTypesById, relationships);
+}
+
+// "small_business" → "Small Business", for types configured without a label
+function formatTypeLabel(typeId) {
+    return String(typeId).replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// Corners of a regular polygon (or, with an inner radius ratio below 1, a
+// star) around 0,0 with the same area as a circle of `radius`, so shapes of
+// the same size look equally heavy. The first corner points up.
+function polygonCorners(corners, radius, innerRatio = 1, rotation = 0) {
+    const count = innerRatio < 1 ? corners * 2 : corners;
+    const step = 2 * Math.PI / count;
+    const outer = radius * Math.sqrt(2 * Math.PI / (count * innerRatio * Math.sin(step)));
+    return Array.from({ length: count }, (_, index) => {
+        const r = index % 2 && innerRatio < 1 ? outer * innerRatio : outer;
+        const angle = rotation - Math.PI / 2 + index * step;
+        return `${(r * Math.cos(angle)).toFixed(2)},${(r * Math.sin(angle)).toFixed(2)}`;
+    });
+}
+
+// SVG path data of a shape centered on 0,0, for nodes, markers and legends
+export function shapePath(shape, radius) {
+    switch (shape) {
+        case 'square': return `M${polygonCorners(4, radius, 1, Math.PI / 4).join('L')}Z`;
+        case 'triangle': return `M${polygonCorners(3, radius).join('L')}Z`;
+        case 'diamond': return `M${polygonCorners(4, radius).join('L')}Z`;
+        case 'star': return `M${polygonCorners(5, radius, 0.45).join('L')}Z`;
+        case 'hexagon': return `M${polygonCorners(6, radius, 1, Math.PI / 6).join('L')}Z`;
+        default: return `M${radius},0A${radius},${radius},0,1,1,${-radius},0A${radius},${radius},0,1,1,${radius},0Z`;
+    }
+}
+
+// Upper-cased type name as shown on badges and tooltips: the label of a known
+// organization or relationship type, e.g. "GOVERNMENT & PUBLIC AGENCIES", or
+// the id of an unknown one, e.g. "GOVERNMENT AGENCY"
+export function formatTypeName(typeId) {
+    const type = organizationTypesById.get(typeId) || relationshipTypesById.get(typeId);
+    return (type ? type.label : String(typeId).replace(/_/g, ' ')).toUpperCase();
+}
+
+// How a relationship type is drawn: { color, dash, directed }. Unknown types
+// are plain grey undirected lines.
+export function getRelationshipStyle(typeId) {
+    const type = relationshipTypesById.get(typeId);
+    return {
+        color: (type && type.color) || DEFAULT_RELATIONSHIP_COLOR,
+        dash: (type && type.dash) || null,
+        directed: Boolean(type && type.directed)
+    };
+}
+
+export function isDirectedRelationship(typeId) {
+    return getRelationshipStyle(typeId).directed;
+}
+
+export function isCategoryRelationship(typeId) {
+    const type = relationshipTypesById.get(typeId);
+    return Boolean(type && type.category);
+}
+
+// d3.forceLink replaces relationship source/target ids with the node objects,
+// so anything reading relationships after the simulation starts goes through this
+export function endpointId(end) {
+    return end && typeof end === 'object' ? end.id : end;
+}
+
+// Return a copy of the dataset the views can safely render: organizations
+// without an id and repeated ids are dropped, missing text fields become empty
+// strings, and relationships pointing at unknown organizations are removed so
+// d3.forceLink does not throw.
+export function normalizeDataset(raw) {
+    const organizations = [];
+    const ids = new Set();
+
+    (Array.isArray(raw && raw.organizations) ? raw.organizations : []).forEach(org => {
+        if (!org || typeof org !== 'object' || isBlank(org.id) || ids.has(org.id)) return;
+        ids.add(org.id);
+
+        const clean = { ...org };
+        TEXT_FIELDS.forEach(field => {
+            if (typeof clean[field] !== 'string') {
+                clean[field] = isBlank(clean[field]) ? '' : String(clean[field]);
+            }
+        });
+        if (isBlank(clean.type)) clean.type = 'unknown';
+        if (clean.tags !== undefined && !Array.isArray(clean.tags)) delete clean.tags;
+        if (clean.tags) clean.tags = clean.tags.map(String);
+        organizations.push(clean);
+    });
+
+    const relationships = (Array.isArray(raw && raw.relationships) ? raw.relationships : [])
+        .filter(rel => rel && typeof rel === 'object' && ids.has(rel.source) && ids.has(rel.target))
+        .map(rel => ({
+            ...rel,
+            type: isBlank(rel.type) ? 'unknown' : rel.type,
+            description: typeof rel.description === 'string' ? rel.description : ''
+        }));
+
+    return { ...raw, organizations, relationships };
+}
+
+// Validate against the known types and normalize in one step.
+// `raw` is passed through for code that needs to write the file back out.
+export function prepareDataset(raw) {
+    const report = validateDataset(raw, {
+        organizationTypes: ORGANIZATION_TYPES.map(type => type.id),
+        relationshipTypes: RELATIONSHIP_TYPES.map(type => type.id)
+    });
+    return { raw, data: normalizeDataset(raw), report };
+}
+
+// Fetch (with cache busting), validate and normalize a dataset. `etag` and
+// `lastModified` are the file's ETag and Last-Modified headers, where the host
+// sends them. Throws if the file cannot be fetched or parsed.
+export async function loadDataset(url = 'organizations.json') {
+    const separator = url.includes('?') ? '&' : '?';
+    const response = await fetch(`${url}${separator}t=${Date.now()}`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return {
+        ...prepareDataset(await response.json()),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
+// Build lookup tables for a normalized dataset: id → organization, and per
+// organization its relationships and neighbor ids
+export function indexDataset(data) {
+    const organizationsById = new Map();
+    const relationshipsByOrg = new Map();
+    const neighborsByOrg = new Map();
+
+    data.organizations.forEach(org => {
+        organizationsById.set(org.id, org);
+        relationshipsByOrg.set(org.id, []);
+        neighborsByOrg.set(org.id, new Set());
+    });
+
+    data.relationships.forEach(rel => {
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (!organizationsById.has(sourceId) || !organizationsById.has(targetId)) return;
+
+        relationshipsByOrg.get(sourceId).push(rel);
+        neighborsByOrg.get(sourceId).add(targetId);
+        if (targetId !== sourceId) {
+            relationshipsByOrg.get(targetId).push(rel);
+            neighborsByOrg.get(targetId).add(sourceId);
+        }
+    });
+
+    return {
+        organizationsById,
+        relationshipsByOrg,
+        neighborsByOrg,
+        getOrganization: id => organizationsById.get(id),
+        getRelationships: id => relationshipsByOrg.get(id) || [],
+        getNeighbors: id => neighborsByOrg.get(id) || new Set(),
+        areConnected: (a, b) => Boolean(neighborsByOrg.get(a) && neighborsByOrg.get(a).has(b))
+    };
+}
+
+// Free-text search across the fields both views display
+export function matchesSearch(org, searchTerm) {
+    if (!searchTerm) return true;
+    const term = searchTerm.toLowerCase();
+
+    return org.name.toLowerCase().includes(term) ||
+        org.contactPerson.toLowerCase().includes(term) ||
+        org.email.toLowerCase().includes(term) ||
+        org.description.toLowerCase().includes(term) ||
+        org.address.toLowerCase().includes(term) ||
+        (org.tags && org.tags.some(tag => tag.toLowerCase().includes(term)));
+}
+
+// The organizations with the given ids and the relationships between them,
+// with endpoints as plain ids again
+export function subsetDataset(data, organizationIds) {
+    const organizations = data.organizations.filter(org => organizationIds.has(org.id));
+    const relationships = data.relationships
+        .map(rel => ({ ...rel, source: endpointId(rel.source), target: endpointId(rel.target) }))
+        .filter(rel => organizationIds.has(rel.source) && organizationIds.has(rel.target));
+    return { ...data, organizations, relationships };
+}
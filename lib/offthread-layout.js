@@ -0,0 +1,125 @@
+// Letting a Web Worker (force-worker.js) settle the force layout of a large
+// network, so the page stays responsive meanwhile. The d3 simulation of the
+// network view stays the one place the forces are set up: its forces are
+// described with the values their accessors give for every node and link,
+// the worker runs a copy of it, and the positions it posts are copied back
+// into the simulation's nodes. Dragging still runs on the main thread.
+
+const WORKER_URL = new URL('./force-worker.js', import.meta.url);
+
+// Networks of this many drawn organizations are settled off the main thread
+export const OFF_THREAD_THRESHOLD = 300;
+
+// The kind of d3 force behind each force name of the network view's simulation
+const FORCE_KINDS = {
+    link: 'link',
+    charge: 'manyBody',
+    center: 'center',
+    collision: 'collide',
+    radial: 'radial',
+    x: 'x',
+    y: 'y'
+};
+
+export function canSettleOffThread() {
+    return typeof Worker !== 'undefined';
+}
+
+// What a d3 accessor (or constant) gives for each item, called the way the
+// force calls it
+function evaluate(accessor, items) {
+    return items.map((item, i) => typeof accessor === 'function' ? accessor(item, i, items) : accessor);
+}
+
+function describeForce(name, force, nodes) {
+    const kind = FORCE_KINDS[name];
+    switch (kind) {
+        case 'link': {
+            const links = force.links();
+            return {
+                name,
+                kind,
+                links: links.map(link => [link.source.index, link.target.index]),
+                distance: evaluate(force.distance(), links),
+                strength: evaluate(force.strength(), links),
+                iterations: force.iterations()
+            };
+        }
+        case 'manyBody':
+            return {
+                name,
+                kind,
+                strength: evaluate(force.strength(), nodes),
+                theta: force.theta(),
+                distanceMin: force.distanceMin(),
+                distanceMax: force.distanceMax()
+            };
+        case 'center':
+            return { name, kind, x: force.x(), y: force.y(), strength: force.strength() };
+        case 'collide':
+            return { name, kind, radius: evaluate(force.radius(), nodes), strength: force.strength(), iterations: force.iterations() };
+        case 'radial':
+            return { name, kind, radius: evaluate(force.radius(), nodes), strength: evaluate(force.strength(), nodes), x: force.x(), y: force.y() };
+        case 'x':
+            return { name, kind, x: evaluate(force.x(), nodes), strength: evaluate(force.strength(), nodes) };
+        case 'y':
+            return { name, kind, y: evaluate(force.y(), nodes), strength: evaluate(force.strength(), nodes) };
+        default:
+            throw new Error(`Can't run the "${name}" force off the main thread`);
+    }
+}
+
+// The simulation as plain values for the worker
+export function describeSimulation(simulation) {
+    const nodes = simulation.nodes();
+    return {
+        nodes: nodes.map(d => ({ x: d.x, y: d.y, vx: d.vx, vy: d.vy, fx: d.fx, fy: d.fy })),
+        forces: Object.keys(FORCE_KINDS)
+            .filter(name => simulation.force(name))
+            .map(name => describeForce(name, simulation.force(name), nodes)),
+        alpha: simulation.alpha(),
+        alphaMin: simulation.alphaMin(),
+        alphaDecay: simulation.alphaDecay(),
+        alphaTarget: simulation.alphaTarget(),
+        velocityDecay: simulation.velocityDecay()
+    };
+}
+
+// Stop the simulation and settle it in a worker from its current alpha.
+// onTick() is called whenever the nodes have moved and onEnd() once they
+// have settled. If the worker fails, the simulation continues on the main
+// thread. Returns { stop() } to abandon the worker.
+export function settleOffThread(simulation, { onTick, onEnd }) {
+    const nodes = simulation.nodes();
+    const worker = new Worker(WORKER_URL);
+    simulation.stop();
+
+    worker.onmessage = event => {
+        const { type, positions, alpha } = event.data;
+        nodes.forEach((d, i) => {
+            d.x = positions[2 * i];
+            d.y = positions[2 * i + 1];
+            d.vx = 0;
+            d.vy = 0;
+        });
+        simulation.alpha(alpha);
+        if (type === 'end') {
+            worker.terminate();
+            onEnd();
+        } else {
+            onTick();
+        }
+    };
+    worker.onerror = event => {
+        console.error('Layout worker failed, settling on the main thread:', event.message);
+        worker.terminate();
+        simulation.restart();
+    };
+    worker.postMessage(describeSimulation(simulation));
+
+    return {
+        stop() {
+            worker.terminate();
+        }
+    };
+}
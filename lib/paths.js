@@ -0,0 +1,84 @@
+// Shortest paths between two organizations ("how are we connected?") for the
+// network view's path finder. Relationships are treated as undirected, and
+// every shortest path is found, not just the first one a search reaches.
+
+import { endpointId, isCategoryRelationship } from './model.js';
+
+// id → Map(neighbor id → relationships between the two)
+function buildAdjacency(data, skipCategories) {
+    const adjacency = new Map(data.organizations.map(org => [org.id, new Map()]));
+    const connect = (fromId, toId, rel) => {
+        const neighbors = adjacency.get(fromId);
+        if (!neighbors.has(toId)) neighbors.set(toId, []);
+        neighbors.get(toId).push(rel);
+    };
+
+    data.relationships.forEach(rel => {
+        if (skipCategories && isCategoryRelationship(rel.type)) return;
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (sourceId === targetId || !adjacency.has(sourceId) || !adjacency.has(targetId)) return;
+        connect(sourceId, targetId, rel);
+        connect(targetId, sourceId, rel);
+    });
+
+    return adjacency;
+}
+
+// The shortest paths from `fromId` to `toId`, at most `limit` of them. Each is
+// { organizationIds, steps } where steps[i] lists the relationships joining
+// organizationIds[i] and organizationIds[i + 1] (two organizations can have
+// more than one). `skipCategories` leaves out category memberships and links,
+// so paths can't go "through" a category. Returns { paths, truncated };
+// paths is empty when the two are not connected.
+export function findShortestPaths(data, fromId, toId, { skipCategories = false, limit = 10 } = {}) {
+    const adjacency = buildAdjacency(data, skipCategories);
+    if (!adjacency.has(fromId) || !adjacency.has(toId) || fromId === toId) {
+        return { paths: [], truncated: false };
+    }
+
+    // Breadth-first search recording every predecessor on a shortest route,
+    // stopping after the level that reaches the target
+    const distance = new Map([[fromId, 0]]);
+    const predecessors = new Map([[fromId, []]]);
+    let frontier = [fromId];
+
+    while (frontier.length && !distance.has(toId)) {
+        const next = [];
+        frontier.forEach(id => {
+            adjacency.get(id).forEach((rels, neighborId) => {
+                if (!distance.has(neighborId)) {
+                    distance.set(neighborId, distance.get(id) + 1);
+                    predecessors.set(neighborId, []);
+                    next.push(neighborId);
+                }
+                if (distance.get(neighborId) === distance.get(id) + 1) {
+                    predecessors.get(neighborId).push({ id, rels });
+                }
+            });
+        });
+        frontier = next;
+    }
+
+    if (!distance.has(toId)) return { paths: [], truncated: false };
+
+    // Walk back from the target through the predecessors
+    const paths = [];
+    let truncated = false;
+    const walk = (id, organizationIds, steps) => {
+        if (paths.length >= limit) {
+            truncated = true;
+            return;
+        }
+        if (id === fromId) {
+            paths.push({ organizationIds: [fromId, ...organizationIds], steps });
+            return;
+        }
+        predecessors.get(id).forEach(previous => {
+            walk(previous.id, [id, ...organizationIds], [previous.rels, ...steps]);
+        });
+    };
+    walk(toId, [], []);
+
+    return { paths, truncated };
+}
@@ -0,0 +1,276 @@
+// Search query language shared by the network and list views.
+//
+//   mentoring                       free text: any field (as before)
+//   type:non_profit tag:mentoring   field-qualified terms, implicitly ANDed
+//   contact:"Ying Zhou"             quotes for phrases
+//   tag:funding OR tag:grants       OR binds weaker than AND
+//   -tag:funding, NOT type:category negation
+//   (type:education OR type:non_profit) tag:internship
+//
+// Terms also match with small typos ("mentorng", "tag:entrepeneurship").
+
+import { ORGANIZATION_TYPES, matchesSearch } from './model.js';
+
+// Query field → organization fields it searches. `type` and `tag` have their own matching.
+const QUERY_FIELDS = {
+    id: ['id'],
+    name: ['name'],
+    type: ['type'],
+    tag: ['tags'],
+    contact: ['contactPerson'],
+    email: ['email'],
+    phone: ['phone'],
+    website: ['website'],
+    address: ['address'],
+    description: ['description']
+};
+
+const FIELD_ALIASES = {
+    tags: 'tag',
+    url: 'website',
+    desc: 'description',
+    org: 'name'
+};
+
+// Fields whose words are compared with typo tolerance by free-text terms
+const FUZZY_FIELDS = ['name', 'contactPerson', 'tags'];
+
+export class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+// Split the query into words, quoted phrases, parentheses and operators
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ kind: char, position: i });
+            i++;
+        } else {
+            const start = i;
+            let negated = false;
+            if (char === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+                negated = true;
+                i++;
+            }
+
+            // field:"quoted value", field:value, "quoted value" or value
+            let field = null;
+            const fieldMatch = /^([a-zA-Z]+):/.exec(text.slice(i));
+            if (fieldMatch) {
+                field = fieldMatch[1].toLowerCase();
+                i += fieldMatch[0].length;
+            }
+
+            let value = '';
+            let quoted = false;
+            if (text[i] === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end === -1) throw new QuerySyntaxError('Missing closing quote', i);
+                value = text.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+            } else {
+                while (i < text.length && !/[\s()]/.test(text[i])) {
+                    value += text[i];
+                    i++;
+                }
+            }
+
+            if (!field && !negated && !quoted && /^(AND|OR|NOT)$/.test(value)) {
+                tokens.push({ kind: value, position: start });
+            } else {
+                tokens.push({ kind: 'term', field, value, negated, quoted, position: start });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+function resolveField(name, position) {
+    const field = FIELD_ALIASES[name] || name;
+    if (!QUERY_FIELDS[field]) {
+        const known = Object.keys(QUERY_FIELDS).join(', ');
+        throw new QuerySyntaxError(`Unknown field "${name}:" - use one of ${known}, or put the text in quotes`, position);
+    }
+    return field;
+}
+
+// Recursive descent: or := and (OR and)*, and := unary (AND? unary)*,
+// unary := NOT unary | primary, primary := ( or ) | term
+function parseTokens(tokens) {
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function parseOr() {
+        const parts = [parseAnd()];
+        while (peek() && peek().kind === 'OR') {
+            next();
+            parts.push(parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : { op: 'or', parts };
+    }
+
+    function parseAnd() {
+        const parts = [parseUnary()];
+        while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+            if (peek().kind === 'AND') next();
+            parts.push(parseUnary());
+        }
+        return parts.length === 1 ? parts[0] : { op: 'and', parts };
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token && token.kind === 'NOT') {
+            next();
+            return { op: 'not', part: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (!token) {
+            const last = tokens[tokens.length - 1];
+            throw new QuerySyntaxError(`Expected a search term after ${last.kind}`, last.position);
+        }
+        if (token.kind === '(') {
+            const inner = parseOr();
+            const closing = next();
+            if (!closing || closing.kind !== ')') throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+            return inner;
+        }
+        if (token.kind !== 'term') {
+            throw new QuerySyntaxError(`Unexpected ${token.kind}`, token.position);
+        }
+        if (token.field !== null && token.value === '') {
+            throw new QuerySyntaxError(`Missing value after "${token.field}:"`, token.position);
+        }
+        const term = {
+            op: 'term',
+            field: token.field === null ? null : resolveField(token.field, token.position),
+            value: token.value.toLowerCase()
+        };
+        return token.negated ? { op: 'not', part: term } : term;
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+        const token = tokens[index];
+        throw new QuerySyntaxError(token.kind === ')' ? 'Unmatched closing parenthesis' : `Unexpected ${token.kind}`, token.position);
+    }
+    return ast;
+}
+
+// Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos allowed for a term: none for short words, one up to 7 letters, two beyond
+function allowedTypos(term) {
+    if (term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+}
+
+// Does `text` contain `term`, or (for single words) a word within a typo or two of it?
+function fuzzyIncludes(text, term) {
+    const haystack = String(text || '').toLowerCase();
+    if (haystack.includes(term)) return true;
+    const max = allowedTypos(term);
+    if (!max || /\s/.test(term)) return false;
+    return haystack.split(/[^a-z0-9]+/).some(word => word && editDistance(word, term, max) <= max);
+}
+
+function normalize(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function matchesType(org, value) {
+    const wanted = normalize(value);
+    if (!wanted) return false;
+    const type = ORGANIZATION_TYPES.find(known => known.id === org.type);
+    const candidates = [org.type, type && type.label].filter(Boolean).map(normalize);
+    // Exact id or label, or the start of the id ("type:gov" for government_agency)
+    return candidates.includes(wanted) || normalize(org.type).startsWith(wanted);
+}
+
+function matchesTag(org, value) {
+    const max = allowedTypos(value);
+    return (org.tags || []).some(tag => {
+        const lower = tag.toLowerCase();
+        return lower === value ||
+            lower.split(/\s+/).includes(value) ||
+            (max > 0 && editDistance(lower, value, max) <= max);
+    });
+}
+
+function matchesTerm(org, term) {
+    if (term.field === null) {
+        return matchesSearch(org, term.value) ||
+            FUZZY_FIELDS.some(field => [].concat(org[field] || []).some(text => fuzzyIncludes(text, term.value)));
+    }
+    if (term.field === 'id') return String(org.id).toLowerCase() === term.value;
+    if (term.field === 'type') return matchesType(org, term.value);
+    if (term.field === 'tag') return matchesTag(org, term.value);
+    return QUERY_FIELDS[term.field].some(field => fuzzyIncludes(org[field], term.value));
+}
+
+function evaluate(node, org) {
+    switch (node.op) {
+        case 'and':
+            return node.parts.every(part => evaluate(part, org));
+        case 'or':
+            return node.parts.some(part => evaluate(part, org));
+        case 'not':
+            return !evaluate(node.part, org);
+        default:
+            return matchesTerm(org, node);
+    }
+}
+
+// Parse a query into { text, error, matches(org) }. An empty query matches
+// everything; a query that does not parse falls back to the plain substring
+// search so results don't vanish while a query is being typed, and `error`
+// (a QuerySyntaxError) says what is wrong.
+export function compileQuery(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        return { text: '', error: null, matches: () => true };
+    }
+    try {
+        const ast = parseTokens(tokenize(trimmed));
+        return { text: trimmed, error: null, matches: org => evaluate(ast, org) };
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        return { text: trimmed, error, matches: org => matchesSearch(org, trimmed) };
+    }
+}
@@ -0,0 +1,13 @@
+// localStorage for the modules that keep drafts, layouts, comparisons and
+// preferences in this browser. Callers wrap their reads and writes in
+// try/catch too: entries can be unreadable and a full quota makes setItem throw.
+
+// localStorage, or null where there is none
+export function getStorage() {
+    try {
+        return typeof localStorage === 'undefined' ? null : localStorage;
+    } catch (error) {
+        // Storage can be blocked entirely (e.g. sandboxed iframes)
+        return null;
+    }
+}
@@ -0,0 +1,67 @@
+// Dates for the network view's timeline. Organizations and relationships can
+// have optional `startDate` and `endDate` fields (YYYY-MM-DD); a record is
+// active from its start date through its end date, and records without dates
+// are always active. ISO dates compare correctly as plain strings.
+
+import { endpointId } from './model.js';
+import { DATE_FIELDS, isValidDate } from './validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function hasDates(record) {
+    return DATE_FIELDS.some(field => isValidDate(record[field]));
+}
+
+export function isActiveOn(record, date) {
+    if (isValidDate(record.startDate) && record.startDate > date) return false;
+    if (isValidDate(record.endDate) && record.endDate < date) return false;
+    return true;
+}
+
+// Did the record start within `days` days up to and including `date`?
+export function isNewSince(record, date, days) {
+    return isValidDate(record.startDate) && record.startDate <= date && record.startDate > addDays(date, -days);
+}
+
+export function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// The dates something starts or ends on, sorted, or an empty list when the
+// dataset has no dates at all
+export function timelineDates(data) {
+    const dates = new Set();
+    [...data.organizations, ...data.relationships].forEach(record => {
+        DATE_FIELDS.forEach(field => {
+            if (isValidDate(record[field])) dates.add(record[field]);
+        });
+    });
+    return [...dates].sort();
+}
+
+// The organizations active on `date` and the relationships active on it
+// between two of them. Returns the original objects, like the facets.
+export function filterByDate(data, date) {
+    const organizations = data.organizations.filter(org => isActiveOn(org, date));
+    const activeIds = new Set(organizations.map(org => org.id));
+    const relationships = data.relationships.filter(rel =>
+        isActiveOn(rel, date) &&
+        activeIds.has(endpointId(rel.source)) &&
+        activeIds.has(endpointId(rel.target))
+    );
+    return { organizations, relationships };
+}
+
+// "2021-03-01 – 2023-06-30", "Since 2021-03-01", "Until 2023-06-30" or ''
+export function formatActivePeriod(record) {
+    const start = isValidDate(record.startDate) ? record.startDate : '';
+    const end = isValidDate(record.endDate) ? record.endDate : '';
+    if (start && end) return `${start} – ${end}`;
+    if (start) return `Since ${start}`;
+    if (end) return `Until ${end}`;
+    return '';
+}
@@ -0,0 +1,207 @@
+// Data validation for organizations.json
+// Shared by the network view, the list view and `npm run validate`, so it must
+// stay free of DOM and Node specific APIs. The known type lists come from
+// lib/model.js via prepareDataset().
+
+// Fields without which an organization cannot be drawn at all
+export const REQUIRED_ORGANIZATION_FIELDS = ['id', 'name', 'type'];
+
+// Fields shown in tooltips and cards; missing ones render as blanks
+export const RECOMMENDED_ORGANIZATION_FIELDS = [
+    'contactPerson',
+    'email',
+    'phone',
+    'website',
+    'address',
+    'description',
+    'tags'
+];
+
+export const REQUIRED_RELATIONSHIP_FIELDS = ['source', 'target', 'type'];
+
+// Optional dates (YYYY-MM-DD) on organizations and relationships, for the timeline
+export const DATE_FIELDS = ['startDate', 'endDate'];
+
+// Optional map location fields and their largest allowed value
+const LOCATION_LIMITS = { latitude: 90, longitude: 180 };
+
+// Text fields that search and rendering call string methods on
+export const TEXT_FIELDS = ['name', 'contactPerson', 'email', 'phone', 'website', 'address', 'description'];
+
+export function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// A real calendar date written as YYYY-MM-DD (so not 2024-02-30)
+export function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Dates must be YYYY-MM-DD and not end before they start
+function validateDates(record, path, label, report) {
+    DATE_FIELDS.forEach(field => {
+        if (!isBlank(record[field]) && !isValidDate(record[field])) {
+            addIssue(report, 'error', `${path}.${field}`, `${label} ${field} "${record[field]}" must be a date written as YYYY-MM-DD`);
+        }
+    });
+    if (isValidDate(record.startDate) && isValidDate(record.endDate) && record.endDate < record.startDate) {
+        addIssue(report, 'error', `${path}.endDate`, `${label} ends (${record.endDate}) before it starts (${record.startDate})`);
+    }
+}
+
+function addIssue(report, severity, path, message) {
+    const issue = { severity, path, message };
+    if (severity === 'error') {
+        report.errors.push(issue);
+    } else {
+        report.warnings.push(issue);
+    }
+}
+
+function validateOrganizations(organizations, organizationTypes, report) {
+    const seenIds = new Map();
+
+    organizations.forEach((org, index) => {
+        const path = `organizations[${index}]`;
+
+        if (!org || typeof org !== 'object' || Array.isArray(org)) {
+            addIssue(report, 'error', path, 'Organization must be an object');
+            return;
+        }
+
+        const label = org.name ? `"${org.name}"` : path;
+
+        REQUIRED_ORGANIZATION_FIELDS.forEach(field => {
+            if (isBlank(org[field])) {
+                addIssue(report, 'error', `${path}.${field}`, `Organization ${label} is missing required field "${field}"`);
+            }
+        });
+
+        if (!isBlank(org.id)) {
+            if (seenIds.has(org.id)) {
+                addIssue(report, 'error', `${path}.id`,
+                    `Duplicate organization id "${org.id}" (also used by organizations[${seenIds.get(org.id)}])`);
+            } else {
+                seenIds.set(org.id, index);
+            }
+        }
+
+        if (organizationTypes && !isBlank(org.type) && !organizationTypes.includes(org.type)) {
+            addIssue(report, 'warning', `${path}.type`, `Organization ${label} has unknown type "${org.type}"`);
+        }
+
+        // Category nodes only group other organizations, so contact details are optional
+        if (org.type !== 'category') {
+            RECOMMENDED_ORGANIZATION_FIELDS.forEach(field => {
+                if (isBlank(org[field])) {
+                    addIssue(report, 'warning', `${path}.${field}`, `Organization ${label} has no "${field}"`);
+                }
+            });
+        }
+
+        TEXT_FIELDS.forEach(field => {
+            if (!isBlank(org[field]) && typeof org[field] !== 'string') {
+                addIssue(report, 'error', `${path}.${field}`, `Organization ${label} field "${field}" must be a string`);
+            }
+        });
+
+        if (org.tags !== undefined && (!Array.isArray(org.tags) || org.tags.some(tag => typeof tag !== 'string'))) {
+            addIssue(report, 'error', `${path}.tags`, `Organization ${label} tags must be an array of strings`);
+        }
+
+        validateDates(org, path, `Organization ${label}`, report);
+
+        // Optional map location that overrides the geocoded address (lib/geocode.js)
+        if (isBlank(org.latitude) !== isBlank(org.longitude)) {
+            const missing = isBlank(org.latitude) ? 'latitude' : 'longitude';
+            addIssue(report, 'error', `${path}.${missing}`, `Organization ${label} has a map location without "${missing}"`);
+        }
+        Object.entries(LOCATION_LIMITS).forEach(([field, limit]) => {
+            const value = org[field];
+            if (!isBlank(value) && !(typeof value === 'number' && Math.abs(value) <= limit)) {
+                addIssue(report, 'error', `${path}.${field}`, `Organization ${label} ${field} must be a number from -${limit} to ${limit}`);
+            }
+        });
+    });
+
+    return seenIds;
+}
+
+function validateRelationships(relationships, organizationIds, relationshipTypes, report) {
+    const seenEdges = new Map();
+
+    relationships.forEach((rel, index) => {
+        const path = `relationships[${index}]`;
+
+        if (!rel || typeof rel !== 'object' || Array.isArray(rel)) {
+            addIssue(report, 'error', path, 'Relationship must be an object');
+            return;
+        }
+
+        REQUIRED_RELATIONSHIP_FIELDS.forEach(field => {
+            if (isBlank(rel[field])) {
+                addIssue(report, 'error', `${path}.${field}`, `Relationship is missing required field "${field}"`);
+            }
+        });
+
+        ['source', 'target'].forEach(end => {
+            if (!isBlank(rel[end]) && !organizationIds.has(rel[end])) {
+                addIssue(report, 'error', `${path}.${end}`, `Relationship ${end} "${rel[end]}" does not match any organization id`);
+            }
+        });
+
+        if (!isBlank(rel.source) && rel.source === rel.target) {
+            addIssue(report, 'warning', path, `Relationship connects "${rel.source}" to itself`);
+        }
+
+        if (relationshipTypes && !isBlank(rel.type) && !relationshipTypes.includes(rel.type)) {
+            addIssue(report, 'warning', `${path}.type`, `Relationship ${rel.source} → ${rel.target} has unknown type "${rel.type}"`);
+        }
+
+        validateDates(rel, path, `Relationship ${rel.source} → ${rel.target}`, report);
+
+        if (isBlank(rel.description)) {
+            addIssue(report, 'warning', `${path}.description`, `Relationship ${rel.source} → ${rel.target} has no "description"`);
+        }
+
+        const edgeKey = `${rel.source}|${rel.target}|${rel.type}`;
+        if (seenEdges.has(edgeKey)) {
+            addIssue(report, 'warning', path,
+                `Duplicate ${rel.type} relationship ${rel.source} → ${rel.target} (same as relationships[${seenEdges.get(edgeKey)}])`);
+        } else {
+            seenEdges.set(edgeKey, index);
+        }
+    });
+}
+
+// Check a parsed organizations.json and return { valid, errors, warnings }.
+// Errors are problems the views cannot render around; warnings are data
+// quality issues that still render, just not nicely. Types are only checked
+// when the lists of known type ids are passed in.
+export function validateDataset(data, { organizationTypes, relationshipTypes } = {}) {
+    const report = { valid: true, errors: [], warnings: [] };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        addIssue(report, 'error', '', 'Top level must be a JSON object with "organizations" and "relationships" arrays');
+        report.valid = false;
+        return report;
+    }
+
+    const organizations = Array.isArray(data.organizations) ? data.organizations : [];
+    const relationships = Array.isArray(data.relationships) ? data.relationships : [];
+
+    if (!Array.isArray(data.organizations)) {
+        addIssue(report, 'error', 'organizations', '"organizations" must be an array');
+    }
+    if (!Array.isArray(data.relationships)) {
+        addIssue(report, 'error', 'relationships', '"relationships" must be an array');
+    }
+
+    const organizationIds = validateOrganizations(organizations, organizationTypes, report);
+    validateRelationships(relationships, organizationIds, relationshipTypes, report);
+
+    report.valid = report.errors.length === 0;
+    return report;
+}
@@ -0,0 +1,136 @@
+// View state shared by the network and list views through the URL hash, so a
+// link like index.html#q=funding&focus=org1 opens the same view for a
+// colleague and switching views keeps the search. Each view reads the fields
+// it supports and passes the others through unchanged.
+
+const LIST_FIELD = {
+    defaultValue: null,
+    parse: value => value.split(',').map(item => item.trim()).filter(Boolean),
+    format: list => list.length ? list.join(',') : null
+};
+
+// Hash parameter, default and text conversion for each field. Fields at their
+// default are left out of the URL.
+const VIEW_STATE_FIELDS = {
+    // Dataset id from datasets.json (lib/datasets.js), empty for the default one
+    dataset: { param: 'dataset', defaultValue: '' },
+    search: { param: 'q', defaultValue: '' },
+    type: { param: 'type', defaultValue: '' },
+    sort: { param: 'sort', defaultValue: 'name' },
+    focus: { param: 'focus', defaultValue: '' },
+    // Network zoom/pan as "x,y,scale"
+    zoom: {
+        param: 'zoom',
+        defaultValue: null,
+        parse: value => {
+            const [x, y, k] = value.split(',').map(Number);
+            return [x, y, k].every(Number.isFinite) && k > 0 ? { x, y, k } : null;
+        },
+        format: zoom => `${Math.round(zoom.x * 10) / 10},${Math.round(zoom.y * 10) / 10},${Math.round(zoom.k * 1000) / 1000}`
+    },
+    // Network facets (lib/facets.js) as comma-separated lists
+    hiddenTypes: { param: 'hide', ...LIST_FIELD },
+    hiddenRelationshipTypes: { param: 'hideRel', ...LIST_FIELD },
+    tags: { param: 'tags', ...LIST_FIELD },
+    // Category grouping (lib/grouping.js): "group=categories" and the collapsed category ids
+    grouped: {
+        param: 'group',
+        defaultValue: false,
+        parse: value => value === 'categories',
+        format: grouped => grouped ? 'categories' : null
+    },
+    collapsed: { param: 'collapse', ...LIST_FIELD },
+    // Network analytics (lib/analytics.js) metric that sizes and colors the nodes
+    sizeBy: { param: 'size', defaultValue: '' },
+    colorBy: { param: 'color', defaultValue: 'type' },
+    // Network layout (lib/layouts.js); the radial layout centers on `focus`
+    layout: { param: 'layout', defaultValue: 'force' },
+    // Network renderer (lib/canvas-renderer.js): auto, svg or canvas
+    renderer: { param: 'renderer', defaultValue: 'auto' },
+    // Network live updates: "live=on" reloads the data whenever it changes
+    live: {
+        param: 'live',
+        defaultValue: false,
+        parse: value => value === 'on',
+        format: live => live ? 'on' : null
+    },
+    // Network timeline (lib/timeline.js): the date shown (YYYY-MM-DD, empty for
+    // all dates) and how many days back counts as "new"
+    date: {
+        param: 'date',
+        defaultValue: '',
+        parse: value => /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null
+    },
+    newSince: {
+        param: 'new',
+        defaultValue: 0,
+        parse: value => Math.max(0, parseInt(value, 10) || 0),
+        format: days => days ? String(days) : null
+    },
+    labels: {
+        param: 'labels',
+        defaultValue: true,
+        parse: value => value !== 'off',
+        format: labels => labels ? 'on' : 'off'
+    }
+};
+
+export function defaultViewState() {
+    const state = { other: [] };
+    Object.entries(VIEW_STATE_FIELDS).forEach(([name, field]) => {
+        state[name] = field.defaultValue;
+    });
+    return state;
+}
+
+// Parse a location hash ("#q=...&type=...") into a view state. Parameters this
+// version does not know are kept in `other` so they survive a round trip.
+export function parseViewState(hash) {
+    const state = defaultViewState();
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+
+    params.forEach((value, param) => {
+        const entry = Object.entries(VIEW_STATE_FIELDS).find(([, field]) => field.param === param);
+        if (!entry) {
+            state.other.push([param, value]);
+            return;
+        }
+        const [name, field] = entry;
+        const parsed = field.parse ? field.parse(value) : value;
+        if (parsed !== null && parsed !== undefined) state[name] = parsed;
+    });
+
+    return state;
+}
+
+// The hash for a view state, without the leading "#"
+export function formatViewState(state) {
+    const params = new URLSearchParams();
+    Object.entries(VIEW_STATE_FIELDS).forEach(([name, field]) => {
+        const value = state[name];
+        if (value === undefined || value === null || value === field.defaultValue) return;
+        const text = field.format ? field.format(value) : value;
+        if (text !== null) params.set(field.param, text);
+    });
+    (state.other || []).forEach(([param, value]) => params.append(param, value));
+    // Commas and colons are fine in a URL fragment and keep "zoom=10,20,1.5"
+    // and "q=type:non_profit" readable
+    return params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+}
+
+export function readViewState() {
+    return parseViewState(window.location.hash);
+}
+
+// Update the address bar without adding a history entry for every keystroke
+export function writeViewState(state) {
+    const hash = formatViewState(state);
+    if ((hash ? `#${hash}` : '') === window.location.hash) return;
+    window.history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+}
+
+// Link to another view (index.html or list-view.html) with the same state
+export function viewUrl(page, state) {
+    const hash = formatViewState(state);
+    return hash ? `${page}#${hash}` : page;
+}
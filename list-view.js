@@ -1,62 +1,185 @@
+import {
+    ORGANIZATION_TYPES,
+    prepareDataset,
+    indexDataset,
+    getTypeColor,
+    formatTypeName,
+    isCategoryRelationship,
+    getRelationshipType,
+    isDirectedRelationship
+} from './lib/model.js';
+import { renderIntegrityReport, loadFailureReport } from './lib/integrity-report.js';
+import { relationshipKey } from './lib/dataset-store.js';
+import { openDataSource } from './lib/data-source.js';
+import {
+    openOrganizationEditor,
+    openRelationshipEditor,
+    setupEditorToolbar,
+    refreshEditorToolbar
+} from './lib/editor-ui.js';
+import { readViewState, writeViewState, viewUrl } from './lib/view-state.js';
+import { compileQuery } from './lib/query.js';
+import { CENTRALITY_METRICS, computeAnalytics, formatMetric } from './lib/analytics.js';
+import {
+    CHANGE_STATUSES,
+    diffDatasets,
+    summarizeChanges,
+    describeChangedRecord,
+    formatChangedValue,
+    loadComparison,
+    saveComparison,
+    clearComparison
+} from './lib/diff.js';
+import { openCompareDialog } from './lib/compare-ui.js';
+import { openDataset } from './lib/datasets.js';
+import { html, link, safeUrl, mailtoUrl, telUrl } from './lib/html.js';
+
 // Global variables
 let organizations = [];
 let relationships = [];
+let dataIndex = null;
+// Centrality of each organization (lib/analytics.js), for sorting by it
+let analytics = null;
+let dataSource = null;
+let store = null;
+let currentOrgId = null;
+let currentRelatedOrgs = [];
 let filteredOrganizations = [];
 let searchTerm = '';
+let searchQuery = compileQuery('');
 let typeFilter = '';
 let sortBy = 'name';
-
-// Color scheme for organization types
-const colorScheme = {
-    corporation: '#3498db',
-    education: '#ff5b00',
-    non_profit: '#2ecc71',
-    government_agency: '#808080',
-    small_business: '#40E0D0', // Turquoise for small businesses
-    investor_funder: '#9b59b6', // Purple for investors/funders
-    category: '#E4a0f7', // Light purple for categories
-};
+// Search, type filter, sort and open organization as kept in the URL hash (lib/view-state.js)
+let viewState = readViewState();
+// Comparing versions (lib/diff.js): the comparison shared with the network view
+// and the changes from its earlier version, listed in the change log
+let comparison = null;
+let diff = null;
+let diffNames = new Map();
 
 // Initialize the list view
 async function init() {
+    const reportContainer = document.getElementById('integrity-report');
     try {
-        // Load data
-        const response = await fetch('organizations.json');
-        const data = await response.json();
-        organizations = data.organizations;
-        relationships = data.relationships;
+        // The dataset the link asks for (lib/datasets.js), with its branding
+        await openDataset(viewState, 'List View', recolorTypes);
+        comparison = loadComparison();
+        
+        // Load data from the API server if it is running, else the dataset's file
+        dataSource = await openDataSource({
+            onChange: handleDatasetEdit,
+            onStatus: () => refreshEditorToolbar(dataSource)
+        });
+        store = dataSource.store;
+        useDataset(store.getData());
+        refreshEditorToolbar(dataSource);
         
-        // Initialize with all organizations
-        filteredOrganizations = [...organizations];
+        populateTypeFilter();
+        populateSortOptions();
+        renderChangeLog();
         
         // Setup event listeners
         setupEventListeners();
         
-        // Render organizations
-        renderOrganizations();
+        // Restore filters and the open organization from the link that opened the page
+        applyViewState();
+        window.addEventListener('hashchange', () => {
+            // Another dataset needs everything loaded afresh
+            if (readViewState().dataset !== viewState.dataset) {
+                window.location.reload();
+                return;
+            }
+            viewState = readViewState();
+            applyViewState();
+        });
         
         console.log('List view initialized successfully');
     } catch (error) {
         console.error('Error initializing list view:', error);
+        renderIntegrityReport(reportContainer, loadFailureReport(error));
         showError('Failed to load organization data');
     }
 }
 
+// Validate a raw dataset, show the integrity report and rebuild the lookup index
+function useDataset(raw) {
+    const { data, report } = prepareDataset(raw);
+    renderIntegrityReport(document.getElementById('integrity-report'), report);
+    organizations = data.organizations;
+    relationships = data.relationships;
+    dataIndex = indexDataset(data);
+    analytics = computeAnalytics(data);
+    updateComparison();
+}
+
+// Changes from the earlier version to the current data (or the second file
+// when comparing two files)
+function updateComparison() {
+    diff = null;
+    diffNames = new Map();
+    if (!comparison) return;
+    const before = prepareDataset(comparison.before.data).data;
+    const after = comparison.after ? prepareDataset(comparison.after.data).data : { organizations, relationships };
+    diff = diffDatasets(before, after);
+    [...before.organizations, ...after.organizations].forEach(org => diffNames.set(org.id, org.name));
+}
+
+// Re-render after an edit, undo or discard in the editor
+function handleDatasetEdit() {
+    useDataset(store.getData());
+    renderChangeLog();
+    filterAndRender();
+    refreshEditorToolbar(dataSource);
+    
+    // Keep the detail modal in sync, or close it if its organization was deleted
+    const modal = document.getElementById('detailModal');
+    if (modal.style.display === 'block') {
+        if (currentOrgId && dataIndex.getOrganization(currentOrgId)) {
+            showOrganizationDetails(currentOrgId);
+        } else {
+            closeOrganizationDetails();
+        }
+    }
+}
+
+function populateTypeFilter() {
+    const typeFilterSelect = document.getElementById('typeFilter');
+    ORGANIZATION_TYPES.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type.id;
+        option.textContent = type.label;
+        typeFilterSelect.appendChild(option);
+    });
+}
+
+// Sorting by a network metric puts the most central organizations first
+function populateSortOptions() {
+    const sortSelect = document.getElementById('sortBy');
+    CENTRALITY_METRICS.forEach(metric => {
+        const option = document.createElement('option');
+        option.value = metric.id;
+        option.textContent = `Sort by ${metric.label}`;
+        sortSelect.appendChild(option);
+    });
+}
+
+function isCentralitySort() {
+    return CENTRALITY_METRICS.some(metric => metric.id === sortBy);
+}
+
 function setupEventListeners() {
     // Search functionality
     const searchInput = document.getElementById('searchInput');
     const clearSearch = document.getElementById('clearSearch');
     
     searchInput.addEventListener('input', (e) => {
-        searchTerm = e.target.value.toLowerCase();
-        clearSearch.style.display = searchTerm ? 'flex' : 'none';
+        setSearch(e.target.value);
         filterAndRender();
     });
     
     clearSearch.addEventListener('click', () => {
         searchInput.value = '';
-        searchTerm = '';
-        clearSearch.style.display = 'none';
+        setSearch('');
         filterAndRender();
     });
     
@@ -64,6 +187,7 @@ function setupEventListeners() {
     const typeFilterSelect = document.getElementById('typeFilter');
     typeFilterSelect.addEventListener('change', (e) => {
         typeFilter = e.target.value;
+        viewState.type = typeFilter;
         filterAndRender();
     });
     
@@ -71,51 +195,147 @@ function setupEventListeners() {
     const sortSelect = document.getElementById('sortBy');
     sortSelect.addEventListener('change', (e) => {
         sortBy = e.target.value;
+        viewState.sort = sortBy;
         filterAndRender();
     });
     
-    // Navigation
+    // Navigation keeps the search, filters and open organization
     const networkViewBtn = document.getElementById('networkView');
     networkViewBtn.addEventListener('click', () => {
-        window.location.href = 'index.html';
+        window.location.href = viewUrl('index.html', viewState);
+    });
+    document.getElementById('mapView').addEventListener('click', () => {
+        window.location.href = viewUrl('map-view.html', viewState);
+    });
+    
+    // Compare versions: pick an earlier version, or go back to the current data only
+    document.getElementById('compareVersions').addEventListener('click', () => {
+        openCompareDialog({
+            versions: [{
+                id: 'loaded',
+                label: dataSource.mode === 'file' ? 'organizations.json without unsaved edits' : 'The data as this page loaded it',
+                data: dataSource.baseData
+            }],
+            onCompare: newComparison => {
+                comparison = newComparison;
+                if (!saveComparison(comparison)) {
+                    console.error('The comparison is too large to keep for the network view');
+                }
+                updateComparison();
+                renderChangeLog();
+                filterAndRender();
+            }
+        });
+    });
+    document.getElementById('stopComparing').addEventListener('click', () => {
+        comparison = null;
+        clearComparison();
+        updateComparison();
+        renderChangeLog();
+        filterAndRender();
+    });
+    
+    // Cards and the no-results message's button. Links on a card open as
+    // links; anywhere else on a card opens its details.
+    document.getElementById('organizationsList').addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="clear-filters"]')) {
+            clearFilters();
+            return;
+        }
+        const card = e.target.closest('.organization-card');
+        if (card && !e.target.closest('a')) showOrganizationDetails(card.dataset.orgId);
     });
     
     // Modal functionality
     const modal = document.getElementById('detailModal');
     const closeModal = document.getElementById('closeModal');
     
-    closeModal.addEventListener('click', () => {
-        modal.style.display = 'none';
-    });
+    closeModal.addEventListener('click', closeOrganizationDetails);
     
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
-            modal.style.display = 'none';
+            closeOrganizationDetails();
         }
     });
     
     // Escape key to close modal
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && modal.style.display === 'block') {
-            modal.style.display = 'none';
+            closeOrganizationDetails();
         }
     });
+    
+    // Edit buttons inside the detail modal
+    document.getElementById('modalBody').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        switch (button.dataset.action) {
+            case 'edit-organization':
+                openOrganizationEditor(store, currentOrgId);
+                break;
+            case 'add-relationship':
+                openRelationshipEditor(store, null, { source: currentOrgId });
+                break;
+            case 'edit-relationship': {
+                const item = currentRelatedOrgs[Number(button.dataset.related)];
+                if (item) openRelationshipEditor(store, relationshipKey(item.relationship));
+                break;
+            }
+        }
+    });
+    
+    // Editor toolbar (add, undo, download, discard)
+    setupEditorToolbar(() => store, {
+        onDiscard: () => store.reset(dataSource.baseData)
+    });
+}
+
+// Apply the state from the URL hash: search, type filter, sort order and the
+// organization whose details are open
+function applyViewState() {
+    const typeFilterSelect = document.getElementById('typeFilter');
+    const sortSelect = document.getElementById('sortBy');
+    
+    document.getElementById('searchInput').value = viewState.search;
+    setSearch(viewState.search);
+    
+    // Ignore values the selects do not offer (e.g. a type that no longer exists)
+    const hasOption = (select, value) => [...select.options].some(option => option.value === value);
+    typeFilter = viewState.type = hasOption(typeFilterSelect, viewState.type) ? viewState.type : '';
+    sortBy = viewState.sort = hasOption(sortSelect, viewState.sort) ? viewState.sort : 'name';
+    typeFilterSelect.value = typeFilter;
+    sortSelect.value = sortBy;
+    
+    filterAndRender();
+    
+    if (viewState.focus && dataIndex.getOrganization(viewState.focus)) {
+        showOrganizationDetails(viewState.focus);
+    } else {
+        closeOrganizationDetails();
+    }
+}
+
+// Compile the search query (lib/query.js) and show a syntax error under the search box
+function setSearch(value) {
+    searchTerm = value;
+    searchQuery = compileQuery(value);
+    viewState.search = value;
+    document.getElementById('clearSearch').style.display = searchTerm ? 'flex' : 'none';
+    
+    const searchError = document.getElementById('searchError');
+    searchError.textContent = searchQuery.error ? searchQuery.error.message : '';
+    searchError.hidden = !searchQuery.error;
 }
 
 function filterAndRender() {
+    writeViewState(viewState);
+    
     // Filter organizations
     filteredOrganizations = organizations.filter(org => {
-        const matchesSearch = !searchTerm || 
-            org.name.toLowerCase().includes(searchTerm) ||
-            org.contactPerson.toLowerCase().includes(searchTerm) ||
-            org.email.toLowerCase().includes(searchTerm) ||
-            org.description.toLowerCase().includes(searchTerm) ||
-            org.address.toLowerCase().includes(searchTerm) ||
-            (org.tags && org.tags.some(tag => tag.toLowerCase().includes(searchTerm)));
-        
         const matchesType = !typeFilter || org.type === typeFilter;
         
-        return matchesSearch && matchesType;
+        return searchQuery.matches(org) && matchesType;
     });
     
     // Sort organizations
@@ -127,6 +347,11 @@ function filterAndRender() {
                 return a.type.localeCompare(b.type);
             case 'contact':
                 return a.contactPerson.localeCompare(b.contactPerson);
+            case 'degree':
+            case 'betweenness':
+            case 'closeness':
+                return analytics.metrics.get(b.id)[sortBy] - analytics.metrics.get(a.id)[sortBy] ||
+                    a.name.localeCompare(b.name);
             default:
                 return 0;
         }
@@ -151,31 +376,38 @@ function updateResultsCount() {
     }
 }
 
+// The palette picked in the header recolored the types
+function recolorTypes() {
+    if (organizations.length) renderOrganizations();
+}
+
 function renderOrganizations() {
     const container = document.getElementById('organizationsList');
     
     if (filteredOrganizations.length === 0) {
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="no-results">
                 <h3>No organizations found</h3>
                 <p>Try adjusting your search or filter criteria</p>
-                <button class="btn" onclick="clearFilters()">Clear Filters</button>
+                <button class="btn" data-action="clear-filters">Clear Filters</button>
             </div>
         `;
         return;
     }
     
-    container.innerHTML = filteredOrganizations.map(org => createOrganizationCard(org)).join('');
+    container.innerHTML = html`${filteredOrganizations.map(org => createOrganizationCard(org))}`;
 }
 
 function createOrganizationCard(org) {
-    const typeColor = colorScheme[org.type] || '#95a5a6';
+    const typeColor = getTypeColor(org.type);
     const initials = getInitials(org.name);
     const orgRelationships = getOrganizationRelationships(org.id);
     const connectionBreakdown = getOrganizationConnectionBreakdown(org.id);
     
-    return `
-        <div class="organization-card" onclick="showOrganizationDetails('${org.id}')">
+    // Fields are escaped and links checked by html`` (lib/html.js); clicks are
+    // handled on the list (setupEventListeners)
+    return html`
+        <div class="organization-card${changeClass(org.id)}" data-org-id="${org.id}">
             <div class="organization-header">
                 <div class="organization-icon" style="background-color: ${typeColor}">
                     ${initials}
@@ -183,7 +415,7 @@ function createOrganizationCard(org) {
                 <div class="organization-title">
                     <div class="organization-name">${org.name}</div>
                     <div class="organization-type" style="background-color: ${typeColor}20; color: ${typeColor}">
-                        ${org.type.replace('_', ' ').toUpperCase()}
+                        ${formatTypeName(org.type)}
                     </div>
                 </div>
             </div>
@@ -195,15 +427,15 @@ function createOrganizationCard(org) {
                 </div>
                 <div class="organization-detail">
                     <div class="organization-detail-icon">📧</div>
-                    <span><a href="mailto:${org.email}" style="color: #667eea;">${org.email}</a></span>
+                    <span>${link(mailtoUrl(org.email), org.email)}</span>
                 </div>
                 <div class="organization-detail">
                     <div class="organization-detail-icon">📞</div>
-                    <span><a href="tel:${org.phone}" style="color: #667eea;">${org.phone}</a></span>
+                    <span>${link(telUrl(org.phone), org.phone)}</span>
                 </div>
                 <div class="organization-detail">
                     <div class="organization-detail-icon">🌐</div>
-                    <span><a href="${org.website}" target="_blank" style="color: #667eea;">${org.website}</a></span>
+                    <span>${link(safeUrl(org.website), org.website, { newTab: true })}</span>
                 </div>
                 <div class="organization-detail">
                     <div class="organization-detail-icon">📍</div>
@@ -213,12 +445,18 @@ function createOrganizationCard(org) {
                     <div class="organization-detail-icon">🔗</div>
                     <span>${connectionBreakdown.total} connections</span>
                 </div>
-                ${org.tags ? `
+                ${isCentralitySort() && html`
+                <div class="organization-detail">
+                    <div class="organization-detail-icon">📈</div>
+                    <span>${CENTRALITY_METRICS.map(metric => `${metric.label}: ${formatMetric(metric.id, analytics.metrics.get(org.id)[metric.id])}`).join(' · ')}</span>
+                </div>
+                `}
+                ${org.tags && html`
                 <div class="organization-detail tags-detail">
                     <div class="organization-detail-icon">🏷️</div>
-                    <div class="tags-container">${org.tags.map(tag => `<span style="background: #667eea20; color: #667eea; padding: 2px 6px; border-radius: 10px; font-size: 0.8em; margin-right: 4px; display: inline-block; margin-bottom: 2px;">${tag}</span>`).join('')}</div>
+                    <div class="tags-container">${org.tags.map(tag => html`<span style="background: #667eea20; color: #667eea; padding: 2px 6px; border-radius: 10px; font-size: 0.8em; margin-right: 4px; display: inline-block; margin-bottom: 2px;">${tag}</span>`)}</div>
                 </div>
-                ` : ''}
+                `}
             </div>
             
             <div class="organization-description">
@@ -226,17 +464,73 @@ function createOrganizationCard(org) {
             </div>
             
             <div class="organization-actions">
-                <button class="btn-view-details" onclick="event.stopPropagation(); showOrganizationDetails('${org.id}')">
+                <button class="btn-view-details">
                     View Details
                 </button>
-                <a href="mailto:${org.email}" class="btn-email" onclick="event.stopPropagation()">
+                ${mailtoUrl(org.email) && html`<a href="${mailtoUrl(org.email)}" class="btn-email">
                     📧 Email
-                </a>
+                </a>`}
             </div>
         </div>
     `;
 }
 
+// Cards of organizations added or modified since the compared version are marked
+function changeClass(orgId) {
+    const change = diff && diff.organizationChanges.get(orgId);
+    return change ? ` change-${change.status}` : '';
+}
+
+// Change log: one row per added or removed record and per modified field.
+// Clicking an organization's row opens its details when it still exists.
+function renderChangeLog() {
+    const section = document.getElementById('changeLog');
+    section.hidden = !diff;
+    document.getElementById('stopComparing').disabled = !diff;
+    if (!diff) return;
+    
+    document.getElementById('changeLogTitle').textContent =
+        `Changes from ${comparison.before.name} to ${comparison.after ? comparison.after.name : 'the current data'}`;
+    document.getElementById('changeLogSummary').textContent =
+        `Organizations: ${summarizeChanges(diff, 'organization')}. Relationships: ${summarizeChanges(diff, 'relationship')}.`;
+    
+    const body = document.getElementById('changeLogBody');
+    body.innerHTML = '';
+    const nameOf = id => diffNames.get(id) || id;
+    const rows = diff.changes.flatMap(change => change.fields.length
+        ? change.fields.map(field => ({ change, field }))
+        : [{ change, field: null }]);
+    
+    if (!rows.length) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'No differences.';
+        return;
+    }
+    
+    rows.forEach(({ change, field }) => {
+        const status = CHANGE_STATUSES.find(item => item.id === change.status);
+        const row = body.insertRow();
+        row.className = `change-${change.status}`;
+        [
+            status.label,
+            change.kind === 'organization' ? 'Organization' : 'Relationship',
+            describeChangedRecord(change, nameOf),
+            field || '',
+            field ? formatChangedValue(change.before[field]) : '',
+            field ? formatChangedValue(change.after[field]) : ''
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+        if (change.kind === 'organization' && dataIndex.getOrganization(change.key)) {
+            row.classList.add('clickable');
+            row.title = 'Show details';
+            row.addEventListener('click', () => showOrganizationDetails(change.key));
+        }
+    });
+}
+
 function getInitials(name) {
     return name.split(' ')
         .map(word => word.charAt(0))
@@ -246,24 +540,18 @@ function getInitials(name) {
 }
 
 function getOrganizationRelationships(orgId) {
-    return relationships.filter(rel => 
-        rel.source === orgId || rel.target === orgId
-    );
+    return dataIndex.getRelationships(orgId);
 }
 
 function getOrganizationConnectionBreakdown(orgId) {
     const allRelationships = getOrganizationRelationships(orgId);
     
     const orgToOrgRelationships = allRelationships.filter(rel => 
-        rel.type === 'funding_relationship' || 
-        rel.type === 'collaboration_partnership' ||
-        rel.type === 'partnership' ||
-        rel.type === 'collaboration'
+        getRelationshipType(rel.type) && !isCategoryRelationship(rel.type)
     );
     
     const categoryRelationships = allRelationships.filter(rel => 
-        rel.type === 'category_link' || 
-        rel.type === 'category_membership'
+        isCategoryRelationship(rel.type)
     );
     
     // Calculate indirect connections through categories
@@ -290,56 +578,60 @@ function getOrganizationConnectionBreakdown(orgId) {
 }
 
 function showOrganizationDetails(orgId) {
-    const org = organizations.find(o => o.id === orgId);
+    const org = dataIndex.getOrganization(orgId);
     if (!org) return;
     
     const orgRelationships = getOrganizationRelationships(orgId);
     const connectionBreakdown = getOrganizationConnectionBreakdown(orgId);
-    const typeColor = colorScheme[org.type] || '#95a5a6';
+    const typeColor = getTypeColor(org.type);
     
     // Get related organizations
     const relatedOrgs = orgRelationships.map(rel => {
         const relatedId = rel.source === orgId ? rel.target : rel.source;
-        const relatedOrg = organizations.find(o => o.id === relatedId);
+        const relatedOrg = dataIndex.getOrganization(relatedId);
         return {
             org: relatedOrg,
             relationship: rel,
-            isSource: rel.source === orgId
+            isSource: rel.source === orgId,
+            directed: isDirectedRelationship(rel.type)
         };
     }).filter(item => item.org);
     
+    currentOrgId = orgId;
+    currentRelatedOrgs = relatedOrgs;
+    
     // Update modal content
     document.getElementById('modalTitle').textContent = org.name;
-    document.getElementById('modalBody').innerHTML = `
+    document.getElementById('modalBody').innerHTML = html`
         <div class="modal-section">
             <h3>Basic Information</h3>
             <div class="modal-info">
                 <div class="modal-label">Organization Type:</div>
                 <div class="modal-value" style="color: ${typeColor}; font-weight: 600;">
-                    ${org.type.replace('_', ' ').toUpperCase()}
+                    ${formatTypeName(org.type)}
                 </div>
                 <div class="modal-label">Contact Person:</div>
                 <div class="modal-value">${org.contactPerson}</div>
                 <div class="modal-label">Email:</div>
                 <div class="modal-value">
-                    <a href="mailto:${org.email}" style="color: #667eea;">${org.email}</a>
+                    ${link(mailtoUrl(org.email), org.email)}
                 </div>
                 <div class="modal-label">Phone:</div>
                 <div class="modal-value">
-                    <a href="tel:${org.phone}" style="color: #667eea;">${org.phone}</a>
+                    ${link(telUrl(org.phone), org.phone)}
                 </div>
                 <div class="modal-label">Website:</div>
                 <div class="modal-value">
-                    <a href="${org.website}" target="_blank" style="color: #667eea;">${org.website}</a>
+                    ${link(safeUrl(org.website), org.website, { newTab: true })}
                 </div>
                 <div class="modal-label">Address:</div>
                 <div class="modal-value">${org.address}</div>
-                ${org.tags ? `
+                ${org.tags && html`
                 <div class="modal-label">Tags:</div>
                 <div class="modal-value tags-modal">
-                    ${org.tags.map(tag => `<span style="background: #667eea20; color: #667eea; padding: 4px 8px; border-radius: 12px; font-size: 0.9em; margin-right: 6px; display: inline-block; margin-bottom: 4px;">${tag}</span>`).join('')}
+                    ${org.tags.map(tag => html`<span style="background: #667eea20; color: #667eea; padding: 4px 8px; border-radius: 12px; font-size: 0.9em; margin-right: 6px; display: inline-block; margin-bottom: 4px;">${tag}</span>`)}
                 </div>
-                ` : ''}
+                `}
             </div>
         </div>
         
@@ -351,26 +643,41 @@ function showOrganizationDetails(orgId) {
         <div class="modal-section">
             <h3>Relationships (${connectionBreakdown.total})</h3>
             <div class="modal-relationships">
-                ${relatedOrgs.map(item => `
+                ${relatedOrgs.map((item, index) => html`
                     <div class="relationship-item">
+                        <button class="btn-edit-relationship" data-action="edit-relationship" data-related="${index}">Edit</button>
                         <div class="relationship-type">
-                            ${item.isSource ? '→' : '←'} ${item.relationship.type.replace('_', ' ').toUpperCase()}
+                            ${!item.directed ? '↔' : item.isSource ? '→' : '←'} ${formatTypeName(item.relationship.type)}
                         </div>
                         <div style="font-weight: 600; margin-bottom: 5px;">
-                            ${item.isSource ? 'To' : 'From'}: ${item.org.name}
+                            ${!item.directed ? 'With' : item.isSource ? 'To' : 'From'}: ${item.org.name}
                         </div>
                         <div class="relationship-description">
                             ${item.relationship.description}
                         </div>
                     </div>
-                `).join('')}
-                ${relatedOrgs.length === 0 ? '<p style="color: #999; text-align: center; padding: 20px;">No relationships found</p>' : ''}
+                `)}
+                ${relatedOrgs.length === 0 && html`<p style="color: #999; text-align: center; padding: 20px;">No relationships found</p>`}
             </div>
         </div>
+        
+        <div class="modal-section modal-edit-actions">
+            <button class="btn" data-action="edit-organization">Edit Organization</button>
+            <button class="btn btn-secondary" data-action="add-relationship">Add Relationship</button>
+        </div>
     `;
     
     // Show modal
     document.getElementById('detailModal').style.display = 'block';
+    viewState.focus = orgId;
+    writeViewState(viewState);
+}
+
+function closeOrganizationDetails() {
+    document.getElementById('detailModal').style.display = 'none';
+    currentOrgId = null;
+    viewState.focus = '';
+    writeViewState(viewState);
 }
 
 function clearFilters() {
@@ -378,23 +685,26 @@ function clearFilters() {
     document.getElementById('typeFilter').value = '';
     document.getElementById('sortBy').value = 'name';
     
-    searchTerm = '';
+    setSearch('');
     typeFilter = '';
     sortBy = 'name';
+    viewState.type = '';
+    viewState.sort = 'name';
     
-    document.getElementById('clearSearch').style.display = 'none';
     filterAndRender();
 }
 
 function showError(message) {
     const container = document.getElementById('organizationsList');
-    container.innerHTML = `
+    container.innerHTML = html`
         <div class="no-results">
             <h3>Error</h3>
             <p>${message}</p>
-            <button class="btn" onclick="location.reload()">Retry</button>
+            <button class="btn" data-action="retry">Retry</button>
         </div>
     `;
+    // Shown when loading failed, before the list's listeners are set up
+    container.querySelector('[data-action="retry"]').addEventListener('click', () => window.location.reload());
 }
 
 // Initialize when DOM is loaded
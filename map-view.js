@@ -0,0 +1,606 @@
+import {
+    prepareDataset,
+    indexDataset,
+    endpointId,
+    formatTypeName,
+    getTypeColor,
+    getTypeShape,
+    shapePath,
+    getRelationshipStyle,
+    isDirectedRelationship,
+    isCategoryRelationship,
+    RELATIONSHIP_TYPES
+} from './lib/model.js';
+import { renderIntegrityReport, loadFailureReport } from './lib/integrity-report.js';
+import { openDataSource } from './lib/data-source.js';
+import { readViewState, writeViewState, viewUrl } from './lib/view-state.js';
+import { createFacets, applyFacets, hasActiveFacets, facetOptions } from './lib/facets.js';
+import { compileQuery } from './lib/query.js';
+import { loadGeocodeCache, locateOrganization } from './lib/geocode.js';
+import { openDataset } from './lib/datasets.js';
+import { html } from './lib/html.js';
+
+// Global variables
+// The dataset without categories: they group organizations but are not places
+let data = null;
+let dataIndex = null;
+let geocodeCache = new Map();
+let visible = null;
+let svg, tileLayer, arcLayer, markerLayer, zoom;
+let markers, arcs;
+// Organizations on the map: { org, location, ux, uy, dx, dy } with the
+// location projected onto the unit square and a pixel offset for shared addresses
+let placed = [];
+let unplaced = [];
+let showArcs = true;
+let searchTerm = '';
+let searchQuery = compileQuery('');
+let showAllTags = false;
+const TAG_FACET_LIMIT = 12;
+
+// Search, filters and focused organization as kept in the URL hash (lib/view-state.js)
+let viewState = readViewState();
+let facets = facetsFromViewState(viewState);
+
+// OpenStreetMap tiles, from zoom level 3 (a continent) to 18 (a street)
+const TILE_SIZE = 256;
+const MIN_TILE_ZOOM = 3;
+const MAX_TILE_ZOOM = 18;
+const MARKER_RADIUS = 7;
+// Organizations at the same address are spread around it this many pixels apart
+const COLOCATED_SPACING = 16;
+// The map opens on organizations within this distance of the median location,
+// so one far away (in another state) doesn't shrink New York to a dot
+const FIT_RADIUS_KM = 80;
+
+// Web Mercator with the whole world as a unit square around the origin; the
+// zoom transform scales it to pixels
+const unitProjection = d3.geoMercator().scale(1 / (2 * Math.PI)).translate([0, 0]);
+
+// Initialize the map view
+async function init() {
+    try {
+        // The dataset the link asks for (lib/datasets.js), with its branding
+        await openDataset(viewState, 'Map View', recolorTypes);
+
+        // Same data as the other views (including unsaved editor changes), and the geocoded addresses
+        const [dataSource, cache] = await Promise.all([openDataSource(), loadGeocodeCache()]);
+        geocodeCache = cache;
+        useDataset(dataSource.store.getData());
+
+        setupMap();
+        setupEventListeners();
+
+        // Restore search, filters and focus from the link that opened the page
+        applyViewState();
+        svg.call(zoom.transform, fitTransform());
+        const focused = placed.find(d => d.org.id === viewState.focus);
+        if (focused) svg.call(zoom.transform, transformCenteredOn(focused, Math.max(d3.zoomTransform(svg.node()).k, TILE_SIZE * 2 ** 14)));
+
+        window.addEventListener('hashchange', () => {
+            // Another dataset needs everything loaded afresh
+            if (readViewState().dataset !== viewState.dataset) {
+                window.location.reload();
+                return;
+            }
+            viewState = readViewState();
+            facets = facetsFromViewState(viewState);
+            applyViewState();
+        });
+
+        console.log('Map view initialized successfully');
+    } catch (error) {
+        console.error('Error initializing map view:', error);
+        renderIntegrityReport(document.getElementById('integrity-report'), loadFailureReport(error));
+    }
+}
+
+// Validate a raw dataset, show the integrity report and leave the categories out
+function useDataset(raw) {
+    const { data: prepared, report } = prepareDataset(raw);
+    renderIntegrityReport(document.getElementById('integrity-report'), report);
+    dataIndex = indexDataset(prepared);
+    data = {
+        organizations: prepared.organizations.filter(org => org.type !== 'category'),
+        relationships: prepared.relationships.filter(rel => !isCategoryRelationship(rel.type))
+    };
+}
+
+function setupMap() {
+    svg = d3.select('#map-svg');
+
+    // Tiles at the back, then relationships, then organizations
+    tileLayer = svg.append('g').attr('class', 'map-tiles');
+    createArrowMarkers();
+    arcLayer = svg.append('g').attr('class', 'arcs');
+    markerLayer = svg.append('g').attr('class', 'markers');
+
+    // Zooming scales the unit-square world; the extent keeps to the tile zoom levels
+    zoom = d3.zoom()
+        .scaleExtent([TILE_SIZE * 2 ** MIN_TILE_ZOOM, TILE_SIZE * 2 ** MAX_TILE_ZOOM])
+        .on('zoom', positionMap);
+    svg.call(zoom);
+
+    // Clicking the map clears the focused organization
+    svg.on('click', (event) => {
+        if (event.target.closest('.marker')) return;
+        setFocusedOrganization(null);
+    });
+}
+
+function setupEventListeners() {
+    d3.select('#searchInput').on('input', function() {
+        setSearch(this.value);
+    });
+    d3.select('#clearSearch').on('click', function() {
+        d3.select('#searchInput').property('value', '');
+        setSearch('');
+    });
+
+    d3.select('#showArcs').on('change', function() {
+        showArcs = this.checked;
+        arcLayer.style('display', showArcs ? null : 'none');
+    });
+    d3.select('#fitMap').on('click', function() {
+        svg.transition().duration(750).call(zoom.transform, fitTransform());
+    });
+
+    d3.select('#clearFacets').on('click', clearFacets);
+    d3.select('#moreTags').on('click', function() {
+        showAllTags = !showAllTags;
+        renderFacets();
+    });
+
+    // The other views open with the same search, filters and focus
+    d3.select('#networkView').on('click', function() {
+        window.location.href = viewUrl('index.html', viewState);
+    });
+    d3.select('#listView').on('click', function() {
+        window.location.href = viewUrl('list-view.html', viewState);
+    });
+}
+
+// Apply the state from the URL hash: search, filters and focused organization
+function applyViewState() {
+    d3.select('#searchInput').property('value', viewState.search);
+    searchTerm = viewState.search;
+    searchQuery = compileQuery(searchTerm);
+    showSearchState();
+    if (viewState.focus && !dataIndex.getOrganization(viewState.focus)) viewState.focus = '';
+    renderMap();
+}
+
+// The palette picked in the header recolored the types
+function recolorTypes() {
+    if (data) renderMap();
+}
+
+// Place the organizations the filters leave, draw them and their relationships
+function renderMap() {
+    visible = applyFacets(data, facets);
+
+    placed = [];
+    unplaced = [];
+    visible.organizations.forEach(org => {
+        const location = locateOrganization(org, geocodeCache);
+        if (!location) {
+            unplaced.push(org);
+            return;
+        }
+        const [ux, uy] = unitProjection([location.lng, location.lat]);
+        placed.push({ org, location, ux, uy, dx: 0, dy: 0 });
+    });
+    spreadColocated(placed);
+
+    const placedById = new Map(placed.map(d => [d.org.id, d]));
+    const arcData = visible.relationships
+        .filter(rel => placedById.has(endpointId(rel.source)) && placedById.has(endpointId(rel.target)))
+        .map(rel => ({ rel, from: placedById.get(endpointId(rel.source)), to: placedById.get(endpointId(rel.target)) }));
+
+    arcs = arcLayer.selectAll('path')
+        .data(arcData)
+        .join('path')
+        .attr('class', 'arc')
+        .attr('stroke', d => getRelationshipStyle(d.rel.type).color)
+        .attr('stroke-dasharray', d => getRelationshipStyle(d.rel.type).dash)
+        .attr('marker-end', d => isDirectedRelationship(d.rel.type) ? `url(#map-arrow-${d.rel.type})` : null)
+        .on('mouseover', (event, d) => showTooltip(event, d, 'relationship'))
+        .on('mouseout', hideTooltip);
+
+    markers = markerLayer.selectAll('path')
+        .data(placed, d => d.org.id)
+        .join('path')
+        .attr('class', 'marker')
+        .attr('d', d => shapePath(getTypeShape(d.org.type), MARKER_RADIUS))
+        .attr('fill', d => getTypeColor(d.org.type))
+        .on('mouseover', (event, d) => {
+            showTooltip(event, d, 'organization');
+            highlightConnections(d.org.id);
+        })
+        .on('mouseout', () => {
+            hideTooltip();
+            updateHighlighting();
+        })
+        .on('click', (event, d) => setFocusedOrganization(d.org.id));
+
+    positionMap();
+    updateHighlighting();
+    renderFacets();
+    renderLegend();
+    renderUnplaced();
+}
+
+// Organizations sharing an address (a campus, a coworking space) go on a
+// small circle around it instead of on top of each other
+function spreadColocated(items) {
+    const groups = d3.group(items, d => `${d.location.lat.toFixed(4)},${d.location.lng.toFixed(4)}`);
+    groups.forEach(group => {
+        if (group.length < 2) return;
+        const radius = COLOCATED_SPACING * group.length / (2 * Math.PI);
+        group.forEach((d, i) => {
+            const angle = i / group.length * 2 * Math.PI - Math.PI / 2;
+            d.dx = Math.max(radius, COLOCATED_SPACING / 2) * Math.cos(angle);
+            d.dy = Math.max(radius, COLOCATED_SPACING / 2) * Math.sin(angle);
+        });
+    });
+}
+
+// Screen position of a placed organization under the current zoom
+function screenPoint(d, transform = d3.zoomTransform(svg.node())) {
+    return [transform.k * d.ux + transform.x + d.dx, transform.k * d.uy + transform.y + d.dy];
+}
+
+// Relationships as arcs bending to the left of their direction, so the two
+// directions between the same organizations don't overlap
+function arcPath(d, transform) {
+    const [x1, y1] = screenPoint(d.from, transform);
+    const [x2, y2] = screenPoint(d.to, transform);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = Math.hypot(dx, dy);
+    if (!length) return null;
+    // End at the marker's edge so arrowheads stay visible
+    const inset = isDirectedRelationship(d.rel.type) ? MARKER_RADIUS + 2 : 0;
+    const mx = (x1 + x2) / 2 + dy * 0.2;
+    const my = (y1 + y2) / 2 - dx * 0.2;
+    const ex = x2 - (x2 - mx) / Math.hypot(x2 - mx, y2 - my) * inset;
+    const ey = y2 - (y2 - my) / Math.hypot(x2 - mx, y2 - my) * inset;
+    return `M${x1},${y1}Q${mx},${my} ${ex},${ey}`;
+}
+
+// Move markers, arcs and tiles to the current zoom
+function positionMap() {
+    const transform = d3.zoomTransform(svg.node());
+    drawTiles(transform);
+    if (markers) {
+        markers.attr('transform', d => `translate(${screenPoint(d, transform).join(',')})`);
+        arcs.attr('d', d => arcPath(d, transform));
+    }
+}
+
+// The tiles covering the view at the zoom level nearest the current scale
+function drawTiles(transform) {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    const level = Math.max(MIN_TILE_ZOOM, Math.min(MAX_TILE_ZOOM, Math.round(Math.log2(transform.k / TILE_SIZE))));
+    const count = 2 ** level;
+    const size = transform.k / count;
+    // Top left corner of the world on screen
+    const left = transform.x - transform.k / 2;
+    const top = transform.y - transform.k / 2;
+
+    const tiles = [];
+    const firstColumn = Math.max(0, Math.floor(-left / size));
+    const lastColumn = Math.min(count - 1, Math.floor((width - left) / size));
+    const firstRow = Math.max(0, Math.floor(-top / size));
+    const lastRow = Math.min(count - 1, Math.floor((height - top) / size));
+    for (let column = firstColumn; column <= lastColumn; column++) {
+        for (let row = firstRow; row <= lastRow; row++) {
+            tiles.push({ level, column, row });
+        }
+    }
+
+    tileLayer.selectAll('image')
+        .data(tiles, d => `${d.level}/${d.column}/${d.row}`)
+        .join('image')
+        .attr('href', d => `https://tile.openstreetmap.org/${d.level}/${d.column}/${d.row}.png`)
+        // Half a pixel of overlap hides the seams between tiles
+        .attr('x', d => left + d.column * size)
+        .attr('y', d => top + d.row * size)
+        .attr('width', size + 0.5)
+        .attr('height', size + 0.5);
+}
+
+// Zoom that shows the organizations near the middle of the ecosystem
+function fitTransform() {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    if (!placed.length) {
+        return d3.zoomIdentity.translate(width / 2, height / 2).scale(TILE_SIZE * 2 ** MIN_TILE_ZOOM);
+    }
+
+    const center = [d3.median(placed, d => d.location.lng), d3.median(placed, d => d.location.lat)];
+    const near = placed.filter(d => d3.geoDistance(center, [d.location.lng, d.location.lat]) * 6371 <= FIT_RADIUS_KM);
+    const shown = near.length ? near : placed;
+
+    const [x0, x1] = d3.extent(shown, d => d.ux);
+    const [y0, y1] = d3.extent(shown, d => d.uy);
+    const [minScale, maxScale] = zoom.scaleExtent();
+    // Leave room around the edges; a single organization gets a street-level view
+    const scale = Math.max(minScale, Math.min(maxScale / 4, 0.85 * Math.min(width / (x1 - x0 || 1e-9), height / (y1 - y0 || 1e-9))));
+    return d3.zoomIdentity
+        .translate(width / 2 - scale * (x0 + x1) / 2, height / 2 - scale * (y0 + y1) / 2)
+        .scale(scale);
+}
+
+function transformCenteredOn(d, scale) {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    return d3.zoomIdentity
+        .translate(width / 2 - scale * d.ux - d.dx, height / 2 - scale * d.uy - d.dy)
+        .scale(scale);
+}
+
+function createArrowMarkers() {
+    const defs = svg.append('defs');
+    RELATIONSHIP_TYPES.filter(type => type.directed).forEach(type => {
+        defs.append('marker')
+            .attr('id', `map-arrow-${type.id}`)
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 10)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M0,-5L10,0L0,5')
+            .attr('fill', getRelationshipStyle(type.id).color);
+    });
+}
+
+function setFocusedOrganization(organizationId) {
+    viewState.focus = organizationId || '';
+    writeViewState(viewState);
+    updateHighlighting();
+}
+
+// Compile the search query (lib/query.js), show a syntax error under the search box and dim the rest
+function setSearch(value) {
+    searchTerm = value;
+    searchQuery = compileQuery(value);
+    viewState.search = value;
+    writeViewState(viewState);
+    showSearchState();
+    updateHighlighting();
+}
+
+function showSearchState() {
+    d3.select('#clearSearch').style('display', searchTerm ? 'flex' : 'none');
+    d3.select('#searchError')
+        .property('hidden', !searchQuery.error)
+        .text(searchQuery.error ? searchQuery.error.message : '');
+}
+
+// Dim organizations the search doesn't match; a focused organization shows its connections
+function updateHighlighting() {
+    if (!markers) return;
+    const matching = d => !searchTerm || searchQuery.matches(d.org);
+
+    const searchResults = d3.select('#search-results');
+    if (searchTerm) {
+        const found = placed.filter(matching).length;
+        const off = unplaced.filter(org => searchQuery.matches(org)).length;
+        searchResults
+            .style('display', 'block')
+            .text(`Found ${found} of ${placed.length} organizations on the map` + (off ? ` (+${off} not on the map)` : ''));
+    } else {
+        searchResults.style('display', 'none');
+    }
+
+    markers
+        .classed('focused', d => d.org.id === viewState.focus)
+        .style('opacity', d => matching(d) ? 1 : 0.25);
+    arcs.style('opacity', d => matching(d.from) && matching(d.to) ? 0.7 : 0.1);
+
+    if (placed.some(d => d.org.id === viewState.focus)) highlightConnections(viewState.focus);
+}
+
+function highlightConnections(organizationId) {
+    const connected = new Set([organizationId]);
+    arcs.each(d => {
+        if (d.from.org.id === organizationId) connected.add(d.to.org.id);
+        if (d.to.org.id === organizationId) connected.add(d.from.org.id);
+    });
+    const touches = d => d.from.org.id === organizationId || d.to.org.id === organizationId;
+    arcs.style('opacity', d => touches(d) ? 1 : 0.1);
+    markers.style('opacity', d => connected.has(d.org.id) ? 1 : 0.25);
+}
+
+function showTooltip(event, d, type) {
+    const tooltip = d3.select('#tooltip');
+
+    if (type === 'organization') {
+        const org = d.org;
+        // Fields are escaped by html`` (lib/html.js)
+        tooltip.html(html`
+            <h4>${org.name}</h4>
+            <p><strong>Type:</strong> ${formatTypeName(org.type)}</p>
+            <p><strong>Address:</strong> ${org.address}</p>
+            ${d.location.source === 'manual' && html`<p><strong>Location:</strong> set by hand</p>`}
+            <p><strong>Contact:</strong> ${org.contactPerson}</p>
+            <p><strong>Connections on the map:</strong> ${arcs.filter(arc => arc.from === d || arc.to === d).size()}</p>
+        `);
+    } else {
+        const direction = isDirectedRelationship(d.rel.type)
+            ? html`<p><strong>From:</strong> ${d.from.org.name}</p><p><strong>To:</strong> ${d.to.org.name}</p>`
+            : html`<p><strong>Between:</strong> ${d.from.org.name} ↔ ${d.to.org.name}</p>`;
+        tooltip.html(html`
+            <h4>${formatTypeName(d.rel.type)}</h4>
+            ${direction}
+            <p><strong>Description:</strong> ${d.rel.description}</p>
+        `);
+    }
+
+    // Next to the pointer, on whichever side has room
+    const tooltipWidth = 300;
+    const placeOnLeft = event.clientX + tooltipWidth + 30 > window.innerWidth;
+    tooltip
+        .classed('tooltip-left', placeOnLeft)
+        .classed('tooltip-right', !placeOnLeft)
+        .style('left', `${placeOnLeft ? event.clientX - tooltipWidth - 20 : event.clientX + 20}px`)
+        .style('top', `${Math.max(10, event.clientY - 40)}px`)
+        .style('display', 'block')
+        .style('opacity', 1);
+}
+
+function hideTooltip() {
+    d3.select('#tooltip')
+        .style('opacity', 0)
+        .style('display', 'none')
+        .classed('tooltip-left', false)
+        .classed('tooltip-right', false);
+}
+
+// Organization and relationship types in the colors of the other views
+function renderLegend() {
+    const legend = d3.select('#legend');
+    legend.selectAll('*').remove();
+    const options = facetOptions(data);
+
+    legend.append('h4').text('Organization Types');
+    options.organizationTypes
+        .filter(d => d.id !== 'category' && d.count > 0)
+        .forEach(d => {
+            const item = legend.append('div').attr('class', 'legend-item');
+            item.append('div').attr('class', `legend-symbol shape-${getTypeShape(d.id)}`).style('background-color', d.color);
+            item.append('span').text(d.label);
+        });
+
+    legend.append('h4').attr('class', 'legend-heading').text('Relationship Types');
+    options.relationshipTypes
+        .filter(d => d.count > 0)
+        .forEach(d => {
+            const style = getRelationshipStyle(d.id);
+            const item = legend.append('div').attr('class', 'legend-item');
+            item.append('div')
+                .attr('class', 'legend-symbol line')
+                .style('border-top-color', style.color)
+                .style('border-top-style', style.dash ? 'dashed' : 'solid');
+            item.append('span').text(`${d.label}${style.directed ? ' →' : ''}`);
+        });
+
+    legend.append('div')
+        .attr('class', 'legend-note')
+        .text('Categories are not shown on the map');
+}
+
+function renderUnplaced() {
+    d3.select('#unmappedSummary').text(unplaced.length ? `${unplaced.length} organizations` : 'none');
+    d3.select('#unmappedList')
+        .selectAll('li')
+        .data(unplaced, org => org.id)
+        .join('li')
+        .text(org => org.address ? `${org.name}: ${org.address}` : `${org.name}: no address`);
+}
+
+function facetsFromViewState(state) {
+    return createFacets({
+        hiddenOrganizationTypes: state.hiddenTypes || [],
+        hiddenRelationshipTypes: state.hiddenRelationshipTypes || [],
+        tags: state.tags || []
+    });
+}
+
+// Show/hide a type or select/deselect a tag, then redraw
+function toggleFacet(kind, value) {
+    const values = facets[kind];
+    if (values.has(value)) {
+        values.delete(value);
+    } else {
+        values.add(value);
+    }
+    saveFacetsToUrl();
+    renderMap();
+}
+
+function clearFacets() {
+    facets = createFacets();
+    saveFacetsToUrl();
+    renderMap();
+}
+
+function saveFacetsToUrl() {
+    viewState.hiddenTypes = [...facets.hiddenOrganizationTypes];
+    viewState.hiddenRelationshipTypes = [...facets.hiddenRelationshipTypes];
+    viewState.tags = [...facets.tags];
+    writeViewState(viewState);
+}
+
+// Facet panel above the map, as in the network view (categories left out)
+function renderFacets() {
+    const options = facetOptions(data);
+
+    renderFacetGroup('#organizationTypeFacets', options.organizationTypes.filter(d => d.id !== 'category'), {
+        isActive: d => !facets.hiddenOrganizationTypes.has(d.id),
+        onToggle: d => toggleFacet('hiddenOrganizationTypes', d.id),
+        swatch: 'node'
+    });
+
+    renderFacetGroup('#relationshipTypeFacets', options.relationshipTypes.filter(d => !isCategoryRelationship(d.id)), {
+        isActive: d => !facets.hiddenRelationshipTypes.has(d.id),
+        onToggle: d => toggleFacet('hiddenRelationshipTypes', d.id),
+        swatch: 'link'
+    });
+
+    // Only the most common tags unless expanded; selected tags always stay visible
+    const tags = showAllTags
+        ? options.tags
+        : options.tags.filter((tag, i) => i < TAG_FACET_LIMIT || facets.tags.has(tag.id));
+    renderFacetGroup('#tagFacets', tags, {
+        isActive: d => facets.tags.has(d.id),
+        onToggle: d => toggleFacet('tags', d.id)
+    });
+
+    d3.select('#moreTags')
+        .style('display', options.tags.length > TAG_FACET_LIMIT ? null : 'none')
+        .text(showAllTags ? 'Fewer tags' : `All ${options.tags.length} tags`);
+
+    d3.select('#clearFacets').property('disabled', !hasActiveFacets(facets));
+    d3.select('#facetSummary').text(hasActiveFacets(facets)
+        ? `Showing ${visible.organizations.length} of ${data.organizations.length} organizations and ${visible.relationships.length} of ${data.relationships.length} relationships`
+        : '');
+}
+
+function renderFacetGroup(selector, options, { isActive, onToggle, swatch }) {
+    const container = d3.select(selector);
+    container.selectAll('*').remove();
+
+    const buttons = container.selectAll('button')
+        .data(options)
+        .enter()
+        .append('button')
+        .attr('type', 'button')
+        .attr('class', 'facet-option')
+        .classed('active', isActive)
+        .attr('aria-pressed', d => isActive(d))
+        .on('click', (event, d) => onToggle(d));
+
+    if (swatch === 'node') {
+        buttons.append('span')
+            .attr('class', d => `facet-swatch shape-${getTypeShape(d.id)}`)
+            .style('background-color', d => d.color);
+    } else if (swatch === 'link') {
+        buttons.append('span')
+            .attr('class', 'facet-swatch facet-swatch-link')
+            .style('background-color', d => getRelationshipStyle(d.id).color);
+    }
+
+    buttons.append('span')
+        .text(d => d.label);
+
+    buttons.append('span')
+        .attr('class', 'facet-count')
+        .text(d => d.count);
+}
+
+// Initialize the map when the page loads
+document.addEventListener('DOMContentLoaded', init);
@@ -1,46 +1,275 @@
+import {
+    prepareDataset,
+    indexDataset,
+    endpointId,
+    getTypeColor,
+    getTypeShape,
+    shapePath,
+    DEFAULT_TYPE_COLOR,
+    formatTypeName,
+    getOrganizationType,
+    getRelationshipType,
+    getRelationshipStyle,
+    isDirectedRelationship,
+    RELATIONSHIP_TYPES,
+    normalizeDataset,
+    subsetDataset
+} from './lib/model.js';
+import { renderIntegrityReport, loadFailureReport } from './lib/integrity-report.js';
+import { relationshipKey } from './lib/dataset-store.js';
+import { openDataSource } from './lib/data-source.js';
+import {
+    openOrganizationEditor,
+    openRelationshipEditor,
+    setupEditorToolbar,
+    refreshEditorToolbar
+} from './lib/editor-ui.js';
+import { openExportDialog, openImageExportDialog } from './lib/export-ui.js';
+import { readViewState, writeViewState, viewUrl } from './lib/view-state.js';
+import { createFacets, applyFacets, hasActiveFacets, facetOptions } from './lib/facets.js';
+import { compileQuery } from './lib/query.js';
+import { findShortestPaths } from './lib/paths.js';
+import { CENTRALITY_METRICS, GROUP_METRICS, computeAnalytics, computeAnalyticsOffThread, formatMetric } from './lib/analytics.js';
+import { groupByCategory, isGroupedMembership } from './lib/grouping.js';
+import {
+    LAYOUTS,
+    hopDistances,
+    fundingLevels,
+    clusterCenters,
+    loadSavedPositions,
+    savePositions,
+    clearSavedPositions
+} from './lib/layouts.js';
+import {
+    timelineDates,
+    filterByDate,
+    isActiveOn,
+    isNewSince,
+    addDays,
+    daysBetween,
+    formatActivePeriod
+} from './lib/timeline.js';
+import {
+    CHANGE_STATUSES,
+    diffDatasets,
+    withRemovedRecords,
+    summarizeChanges,
+    describeChangedRecord,
+    loadComparison,
+    saveComparison,
+    clearComparison
+} from './lib/diff.js';
+import { openCompareDialog } from './lib/compare-ui.js';
+import { openDataset } from './lib/datasets.js';
+import { html, link, safeUrl, mailtoUrl, telUrl } from './lib/html.js';
+import { RENDERERS, resolveRenderer, createCanvasRenderer } from './lib/canvas-renderer.js';
+import { OFF_THREAD_THRESHOLD, canSettleOffThread, settleOffThread } from './lib/offthread-layout.js';
+
 // Global variables
 let data = null;
-let svg, g, simulation;
+let dataIndex = null;
+let dataSource = null;
+let store = null;
+let editMode = false;
+let svg, g, zoom, simulation;
 let nodes, links, nodeLabels;
+// Sideways offset of each drawn relationship, so several relationships between
+// the same two organizations curve apart instead of overlapping
+let linkOffsets = new Map();
+const LINK_CURVE_SPACING = 18;
 let showLabels = true;
 let nodeSize = 10;
 let linkDistance = 100;
 let searchTerm = '';
+let searchQuery = compileQuery('');
+// Search, focused node, zoom and labels as kept in the URL hash (lib/view-state.js)
+let viewState = readViewState();
+let zoomWriteTimer = null;
+// Hidden organization/relationship types and required tags; `visible` is what
+// is left of the data after applying them and is all the simulation sees
+let facets = facetsFromViewState(viewState);
+let visible = null;
+
+// Category grouping (lib/grouping.js): while viewState.grouped, categories are
+// hulls around their members and the viewState.collapsed ones single nodes.
+// `drawn` is what the simulation sees: `visible`, grouped when grouping is on.
+let grouping = null;
+let drawn = null;
+// Join key of each drawn relationship (see keyLinks)
+const linkKeys = new WeakMap();
+let hulls = null;
+const HULL_PADDING = 12;
+let showAllTags = false;
+const TAG_FACET_LIMIT = 12;
+
+// Path finder ("how are we connected?"): the two organizations picked, the
+// shortest paths between them and the one highlighted (null highlights all)
+let pathFrom = '';
+let pathTo = '';
+let pathResult = null;
+let selectedPath = null;
+
+// Analytics (lib/analytics.js) of the network as shown; viewState.sizeBy and
+// viewState.colorBy pick the metric that sizes and colors the nodes. They are
+// only worked out while something shows them (see refreshAnalytics), so
+// `analytics` is null until then. `analyticsCache` keeps the last ones worked
+// out with and without categories, with the key of the network they are for;
+// `analyticsJob` is the worker working them out for a large network.
+let analytics = null;
+const analyticsCache = new Map();
+let analyticsJob = null;
+let analyticsIncludeCategories = true;
+let analyticsSort = 'betweenness';
+const ANALYTICS_TABLE_LIMIT = 10;
+
+// Layouts (lib/layouts.js): nodes pinned in the force layout (dragged there,
+// or restored from saved positions), the radial layout's center and the
+// rings/labels the current layout draws behind the network
+let pinned = new Map();
+let hasSavedPositions = false;
+let egoCenterId = '';
+let layoutGuides = null;
+let defaultLinkStrength = null;
+const LAYOUT_BAND_MARGIN = 80;
+
+// Large networks (lib/canvas-renderer.js, lib/offthread-layout.js): `renderer`
+// is what draws the network now, 'svg' or 'canvas' (viewState.renderer may be
+// 'auto'), and `hovered` the node or link under the pointer on the canvas.
+// The simulation's ticks, and those of a layout settling in a worker
+// (`layoutWorker`), reach the drawing through `layoutEvents`. `drawnIndex`
+// holds the drawn organizations by id and the drawn relationships of each.
+let renderer = 'svg';
+let canvasRenderer = null;
+let canvasDrawRequested = false;
+let hovered = null;
+let layoutWorker = null;
+let layoutEvents = null;
+let drawnIndex = null;
+
+// Timeline (lib/timeline.js): viewState.date is the date shown ('' shows every
+// date) and viewState.newSince how many days back counts as new. Playback
+// moves the date forward in about TIMELINE_STEPS steps.
+let timelineTimer = null;
+const TIMELINE_STEPS = 100;
+const TIMELINE_INTERVAL = 600;
+
+// Comparing versions (lib/diff.js): the comparison kept in localStorage and
+// the changes from its earlier version to the data shown, which then includes
+// the removed organizations and relationships. `previousData` is the data
+// before the last reload, offered as a version to compare with.
+let comparison = null;
+let diff = null;
+let previousData = null;
 
-// Color scheme for different organization types
-const colorScheme = {
-    corporation: '#3498db',
-    education: '#ff5b00',
-    non_profit: '#2ecc71',
-    government_agency: '#808080',
-    small_business: '#40E0D0', // Turquoise for small businesses
-    investor_funder: '#9b59b6', // Purple for investors/funders
-    category: '#E4a0f7', // Red for categories
+// Keyboard and screen readers: the arrow keys move between nodes in these
+// directions, and a node's label lists up to this many of its connections
+const ARROW_DIRECTIONS = {
+    ArrowRight: [1, 0],
+    ArrowLeft: [-1, 0],
+    ArrowDown: [0, 1],
+    ArrowUp: [0, -1]
 };
+const SCREEN_READER_CONNECTION_LIMIT = 8;
+
+// Detail panel: the organizations and relationships opened in it, as
+// { kind: 'organization' | 'relationship', id } where the id of a relationship
+// is its relationshipKey. The panel shows the one at detailIndex; its Back and
+// Forward buttons move through the others.
+let detailHistory = [];
+let detailIndex = -1;
+
+// Updates: how long organizations and relationships take to grow or fade in
+// and out when the data or filters change, and how often live updates look
+// for changes to the data
+const UPDATE_DURATION = 500;
+const LIVE_UPDATE_INTERVAL = 10000;
+let liveUpdateTimer = null;
+let checkingForUpdates = false;
+
+// Validate a raw dataset, show the integrity report and rebuild the lookup index.
+// While comparing versions, records removed since the earlier one are added back.
+function useDataset(raw) {
+    const { data: prepared, report } = prepareDataset(raw);
+    renderIntegrityReport(document.getElementById('integrity-report'), report);
+    diff = comparison ? diffDatasets(prepareDataset(comparison.before.data).data, prepared) : null;
+    const shown = diff ? withRemovedRecords(prepared, diff) : prepared;
+    dataIndex = indexDataset(shown);
+    return shown;
+}
+
+// The store's data, or the second file while comparing two files
+function shownRawData() {
+    return comparison && comparison.after ? comparison.after.data : store.getData();
+}
+
+// Load data from the API server if it is running, else the dataset's file
+// (where unsaved editor changes take precedence over the file)
+async function loadData() {
+    try {
+        dataSource = await openDataSource({
+            onChange: handleDatasetEdit,
+            onStatus: () => refreshEditorToolbar(dataSource)
+        });
+    } catch (error) {
+        renderIntegrityReport(document.getElementById('integrity-report'), loadFailureReport(error));
+        throw error;
+    }
+    
+    store = dataSource.store;
+    refreshEditorToolbar(dataSource);
+    return useDataset(shownRawData());
+}
+
+// Redraw the network after an edit, undo or discard in the editor
+function handleDatasetEdit() {
+    data = useDataset(shownRawData());
+    redrawNetwork();
+    refreshEditorToolbar(dataSource);
+}
 
 // Initialize the application
 async function init() {
     try {
-        // Load data with cache busting
-        const response = await fetch(`organizations.json?t=${Date.now()}`);
-        data = await response.json();
+        // The dataset the link asks for (lib/datasets.js), with its branding and
+        // what this browser keeps for it
+        await openDataset(viewState, 'Visualization', recolorTypes);
+        pinned = loadSavedPositions() || new Map();
+        hasSavedPositions = pinned.size > 0;
+        comparison = loadComparison();
+        data = await loadData();
         console.log('Loaded data:', data);
         
         // Setup SVG and simulation
         setupVisualization();
         
         // Create the network
-        createNetwork();
+        updateNetwork(1);
         
         // Setup event listeners
         setupEventListeners();
         
+        // Restore search, labels, zoom and focus from the link that opened the page
+        applyViewState();
+        window.addEventListener('hashchange', () => {
+            // Another dataset needs everything loaded afresh
+            if (readViewState().dataset !== viewState.dataset) {
+                window.location.reload();
+                return;
+            }
+            viewState = readViewState();
+            facets = facetsFromViewState(viewState);
+            redrawNetwork();
+            applyViewState();
+        });
+        
         console.log('Ecosystem visualization initialized successfully');
     } catch (error) {
         console.error('Error initializing visualization:', error);
     }
 }
 
+// Set up the SVG, zoom and simulation once; updateNetwork() then draws the
+// data into them and keeps them as the data, filters and view change
 function setupVisualization() {
     // Get SVG element and set dimensions
     svg = d3.select('#network-svg');
@@ -50,162 +279,521 @@ function setupVisualization() {
     // Create main group for zoom/pan
     g = svg.append('g');
     
-    // Setup zoom behavior
-    const zoom = d3.zoom()
+    // Setup zoom behavior. On the canvas, pressing on a node drags it instead.
+    zoom = d3.zoom()
         .scaleExtent([0.1, 4])
+        .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+            !(renderer === 'canvas' && event.type !== 'wheel' && canvasItemAt(event).node))
         .on('zoom', (event) => {
             g.attr('transform', event.transform);
+            requestCanvasDraw();
+            // The user taking over stops following a node from a shared link
+            if (event.sourceEvent) stopFollowingNode();
+            saveZoomToUrl(event.transform);
         });
     
     svg.call(zoom);
+    // Keep the current zoom when the network is redrawn after an edit
+    g.attr('transform', d3.zoomTransform(svg.node()));
+    
+    // Clicking the background clears the focused node
+    svg.on('click', (event) => {
+        if (event.target === svg.node() && renderer === 'svg') setFocusedNode(null);
+    });
     
-    // Create simulation
-    simulation = d3.forceSimulation(data.organizations)
-        .force('link', d3.forceLink(data.relationships).id(d => d.id).distance(linkDistance))
+    // Create the simulation; updateNetwork() gives it the organizations and
+    // relationships to lay out
+    simulation = d3.forceSimulation([])
+        .stop()
+        .force('link', d3.forceLink([]).id(d => d.id).distance(linkDistance))
         .force('charge', d3.forceManyBody().strength(-300))
         .force('center', d3.forceCenter(width / 2, height / 2))
-        .force('collision', d3.forceCollide().radius(d => nodeSize + 5));
+        .force('collision', d3.forceCollide().radius(d => nodeRadius(d) + 5));
+    // Restored when switching back to the force layout
+    defaultLinkStrength = simulation.force('link').strength();
+    
+    // The drawing and following a node listen to the ticks here, whether the
+    // simulation runs on the page or in a worker
+    layoutEvents = d3.dispatch('tick', 'end');
+    simulation
+        .on('tick', () => layoutEvents.call('tick'))
+        .on('end', () => layoutEvents.call('end'));
+    
+    // One layer per kind of element, which updateNetwork() fills. Rings and
+    // labels of the current layout sit behind everything else. Screen readers
+    // get the nodes and the network table, not the drawing.
+    layoutGuides = g.append('g')
+        .attr('class', 'layout-guides')
+        .attr('aria-hidden', 'true');
+    g.append('g')
+        .attr('class', 'hulls')
+        .attr('aria-hidden', 'true');
+    g.append('g')
+        .attr('class', 'links')
+        .attr('aria-hidden', 'true');
+    g.append('g')
+        .attr('class', 'nodes')
+        .attr('role', 'group')
+        .attr('aria-label', 'Organizations')
+        .attr('aria-describedby', 'networkKeyboardHelp');
+    g.append('g')
+        .attr('class', 'node-labels')
+        .attr('aria-hidden', 'true');
 }
 
-function createNetwork() {
-    const width = parseInt(svg.style('width'));
-    const height = parseInt(svg.style('height'));
+// What the simulation lays out: only the organizations and relationships that
+// exist on the timeline's date and that the facets leave, grouped when
+// grouping is on. Organizations already drawn keep their place, also when a
+// reload or an edit made new objects of them; ones new to a drawn network
+// start next to their neighbors.
+function prepareDrawn() {
+    const previous = new Map(simulation.nodes().map(d => [d.id, d]));
+    visible = applyFacets(viewState.date ? filterByDate(data, viewState.date) : data, facets);
+    grouping = viewState.grouped ? groupByCategory(visible, new Set(viewState.collapsed || [])) : null;
+    drawn = grouping ? { organizations: grouping.organizations, relationships: grouping.relationships } : visible;
+    drawnIndex = indexDrawn(drawn);
+    keyLinks(drawn.relationships);
+    refreshAnalytics();
     
-    // Create links
-    console.log('Creating links with relationships:', data.relationships);
-    links = g.append('g')
-        .attr('class', 'links')
-        .selectAll('line')
-        .data(data.relationships)
-        .enter().append('line')
-        .attr('class', 'link')
-        .attr('stroke-width', 2)
-        .on('mouseover', function(event, d) {
-            console.log('Hovering over relationship:', d);
-            showTooltip(event, d, 'relationship');
-        })
-        .on('mouseout', hideTooltip);
+    drawn.organizations.forEach(d => {
+        const before = previous.get(d.id);
+        if (!before || before === d || d.x !== undefined) return;
+        d.x = before.x;
+        d.y = before.y;
+        d.vx = before.vx;
+        d.vy = before.vy;
+    });
+    if (previous.size) drawn.organizations.filter(d => d.x === undefined).forEach(placeEnteringNode);
+}
+
+// Next to the organization's drawn neighbors, else in the middle of the view
+function placeEnteringNode(d) {
+    const neighbors = drawnIndex.relationshipsByOrg.get(d.id)
+        .map(rel => drawnIndex.organizationsById.get(endpointId(rel.source) === d.id ? endpointId(rel.target) : endpointId(rel.source)))
+        .filter(neighbor => neighbor && neighbor.x !== undefined);
+    const x = neighbors.length ? d3.mean(neighbors, n => n.x) : parseInt(svg.style('width')) / 2;
+    const y = neighbors.length ? d3.mean(neighbors, n => n.y) : parseInt(svg.style('height')) / 2;
+    const angle = Math.random() * 2 * Math.PI;
+    d.x = x + Math.cos(angle) * linkDistance / 2;
+    d.y = y + Math.sin(angle) * linkDistance / 2;
+}
+
+// The drawn organizations by id and the drawn relationships of each, so
+// highlighting and the screen reader labels don't scan every relationship
+function indexDrawn({ organizations, relationships }) {
+    const organizationsById = new Map(organizations.map(org => [org.id, org]));
+    const relationshipsByOrg = new Map(organizations.map(org => [org.id, []]));
+    relationships.forEach(rel => {
+        const sourceId = endpointId(rel.source);
+        const targetId = endpointId(rel.target);
+        if (relationshipsByOrg.has(sourceId)) relationshipsByOrg.get(sourceId).push(rel);
+        if (targetId !== sourceId && relationshipsByOrg.has(targetId)) relationshipsByOrg.get(targetId).push(rel);
+    });
+    return { organizationsById, relationshipsByOrg };
+}
+
+// Links are joined by relationshipKey, numbered from the second time the same
+// source, target and type occur: the data may repeat a relationship (the
+// validator only warns), and each copy has to keep its own link element
+function keyLinks(relationships) {
+    const counts = new Map();
+    relationships.forEach(rel => {
+        const key = relationshipKey(rel);
+        const count = counts.get(key) || 0;
+        counts.set(key, count + 1);
+        linkKeys.set(rel, count ? `${key}|${count}` : key);
+    });
+}
+
+// Draw with SVG elements or on the canvas (lib/canvas-renderer.js), as picked
+// in the layout panel or, automatically, by the size of the network. On the
+// canvas the SVG only takes the pointer events, and what is under the pointer
+// is looked up in the drawing.
+function setupRenderer() {
+    renderer = resolveRenderer(viewState.renderer, drawn.organizations.length);
+    const canvas = document.getElementById('network-canvas');
+    canvas.hidden = renderer !== 'canvas';
+    svg.classed('canvas-mode', renderer === 'canvas');
+    hovered = null;
+    if (renderer !== 'canvas') {
+        svg.on('.canvas', null).on('.drag', null);
+        return;
+    }
     
-    // Create nodes
-    nodes = g.append('g')
-        .attr('class', 'nodes')
-        .selectAll('circle')
-        .data(data.organizations)
-        .enter().append('circle')
-        .attr('class', 'node')
-        .attr('r', d => {
-            const radius = d.type === 'category' ? nodeSize * 1.3 : nodeSize;
-            if (d.type === 'category') {
-                console.log('Category node:', d.name, 'radius:', radius);
-            }
-            return radius;
+    if (!canvasRenderer) {
+        canvasRenderer = createCanvasRenderer(canvas, svg.node());
+        // Redraw when highlighting, filters or the theme restyle the elements,
+        // or the keyboard focus moves
+        new MutationObserver(requestCanvasDraw).observe(svg.node(), {
+            subtree: true,
+            childList: true,
+            attributeFilter: ['class', 'style', 'd', 'fill']
+        });
+        new MutationObserver(requestCanvasDraw).observe(document.documentElement, { attributeFilter: ['data-theme'] });
+        svg.on('focusin.redraw focusout.redraw', requestCanvasDraw);
+    }
+    
+    svg.on('mousemove.canvas', handleCanvasHover)
+        .on('mouseleave.canvas', () => setHovered(null, null))
+        .on('click.canvas', handleCanvasClick)
+        .on('dblclick.canvas', event => {
+            const { node } = canvasItemAt(event);
+            if (node) unpinNode(node);
         })
-        .attr('fill', d => colorScheme[d.type] || '#95a5a6')
-        .attr('stroke', '#fff')
-        .attr('stroke-width', 2)
         .call(d3.drag()
-            .on('start', dragstarted)
-            .on('drag', dragged)
-            .on('end', dragended))
-        .on('mouseover', function(event, d) {
-            showTooltip(event, d, 'organization');
-            // Highlight connected nodes and links
-            highlightConnections(d.id);
-        })
-        .on('mouseout', function(event, d) {
-            hideTooltip();
-            // Remove highlighting
-            removeHighlighting();
-        })
-        .on('click', function(event, d) {
-            // Center on clicked node
-            centerOnNode(d);
+            .container(() => g.node())
+            .subject(event => canvasRenderer.nodeAt(event.x, event.y))
+            .on('start', event => dragstarted(event, event.subject))
+            .on('drag', event => dragged(event, event.subject))
+            .on('end', event => dragended(event, event.subject)));
+}
+
+// What is under the pointer on the canvas: { node, link, hull }, at most one set
+function canvasItemAt(event) {
+    const [x, y] = d3.zoomTransform(svg.node()).invert(d3.pointer(event.touches ? event.touches[0] : event, svg.node()));
+    const node = canvasRenderer.nodeAt(x, y);
+    if (node) return { node };
+    const link = canvasRenderer.linkAt(x, y);
+    if (link) return { link };
+    return { hull: canvasRenderer.hullAt(x, y) };
+}
+
+// The same tooltips and highlighting as the SVG elements' mouseover and mouseout
+function handleCanvasHover(event) {
+    const { node, link } = canvasItemAt(event);
+    setHovered(node || link, event);
+}
+
+function setHovered(item, event) {
+    if (item === hovered) return;
+    hovered = item;
+    svg.style('cursor', item ? 'pointer' : null);
+    if (!item) {
+        hideTooltip();
+        removeHighlighting();
+    } else if (item.source) {
+        showTooltip(event, item, 'relationship');
+    } else {
+        showTooltip(event, item, 'organization');
+        highlightConnections(item.id);
+    }
+    requestCanvasDraw();
+}
+
+function handleCanvasClick(event) {
+    const { node, link, hull } = canvasItemAt(event);
+    if (node) {
+        activateNode(node);
+    } else if (link) {
+        activateLink(link);
+    } else if (hull) {
+        toggleCategory(hull.category.id);
+    } else {
+        setFocusedNode(null);
+    }
+}
+
+// Redraw the canvas once before the next frame, however often this is called
+function requestCanvasDraw() {
+    if (renderer !== 'canvas' || canvasDrawRequested) return;
+    canvasDrawRequested = true;
+    window.requestAnimationFrame(() => {
+        canvasDrawRequested = false;
+        if (renderer !== 'canvas' || !nodes) return;
+        canvasRenderer.draw({
+            transform: d3.zoomTransform(svg.node()),
+            nodes,
+            links,
+            labels: nodeLabels,
+            hulls,
+            guides: layoutGuides,
+            hovered,
+            linkPath,
+            hullPath,
+            hullLabelPosition,
+            nodeRadius,
+            isDirected: d => isDirectedRelationship(d.type)
+        });
+    });
+}
+
+// Move the SVG elements to the simulation's positions. On the canvas this is
+// only done for image exports, which are made from the SVG.
+function updateSvgPositions() {
+    hulls.select('path').attr('d', hullPath);
+    hulls.select('text')
+        .attr('x', d => hullLabelPosition(d).x)
+        .attr('y', d => hullLabelPosition(d).y);
+    
+    links.attr('d', linkPath);
+    
+    nodes
+        .attr('transform', d => `translate(${d.x},${d.y})`);
+    
+    nodeLabels
+        .attr('x', d => d.x)
+        .attr('y', d => d.y);
+}
+
+// Restart the layout from `alpha` (1 lays the network out afresh). Large
+// networks settle in a worker (lib/offthread-layout.js) so the page stays
+// responsive; smaller ones, and browsers without workers, on the page.
+function restartLayout(alpha) {
+    stopLayoutWorker();
+    simulation.alpha(alpha);
+    if (drawn.organizations.length >= OFF_THREAD_THRESHOLD && canSettleOffThread()) {
+        layoutWorker = settleOffThread(simulation, {
+            onTick: () => layoutEvents.call('tick'),
+            onEnd: () => {
+                layoutWorker = null;
+                layoutEvents.call('end');
+            }
+        });
+        return;
+    }
+    simulation.restart();
+}
+
+function stopLayoutWorker() {
+    if (!layoutWorker) return;
+    layoutWorker.stop();
+    layoutWorker = null;
+}
+
+// Draw the current data with keyed joins: elements of organizations and
+// relationships still drawn stay (with their positions, focus and
+// highlighting), new ones grow or fade in and removed ones shrink or fade
+// out. The layout then restarts from `alpha`.
+function updateNetwork(alpha) {
+    const firstDraw = simulation.nodes().length === 0;
+    prepareDrawn();
+    setupRenderer();
+    // Nothing grows or fades in when the network is first drawn
+    const animate = !firstDraw;
+    
+    // Arrowheads for directed relationship types, in the color of their edges
+    createArrowMarkers();
+    linkOffsets = computeLinkOffsets(drawn.relationships);
+    
+    // Hulls around the members of each expanded category while grouped;
+    // clicking one collapses the category
+    const drawnById = drawnIndex.organizationsById;
+    const groups = grouping
+        ? [...grouping.members]
+            .filter(([, memberIds]) => memberIds.length)
+            .map(([categoryId, memberIds]) => ({
+                category: drawnById.get(categoryId),
+                members: memberIds.map(id => drawnById.get(id))
+            }))
+        : [];
+    hulls = g.select('.hulls')
+        .selectAll('g.hull')
+        .data(groups, d => d.category.id)
+        .join(enter => {
+            const hull = enter.append('g')
+                .attr('class', 'hull')
+                .on('click', (event, d) => toggleCategory(d.category.id));
+            hull.append('path');
+            hull.append('text').attr('class', 'hull-label');
+            hull.append('title');
+            return hull;
         });
+    hulls.select('path')
+        .attr('fill', (d, i) => d3.schemeSet2[i % d3.schemeSet2.length])
+        .attr('stroke', (d, i) => d3.schemeSet2[i % d3.schemeSet2.length]);
+    hulls.select('text')
+        .text(d => d.category.name);
+    hulls.select('title')
+        .text(d => `${d.category.name}: click to collapse into one node`);
+    
+    // Create links, styled per relationship type. Elements on their way out
+    // (.exiting) are left out of the joins.
+    links = g.select('.links')
+        .selectAll('path.link:not(.exiting)')
+        .data(drawn.relationships, d => linkKeys.get(d))
+        .join(
+            enter => enter.append('path')
+                .attr('class', 'link')
+                .on('mouseover', (event, d) => showTooltip(event, d, 'relationship'))
+                .on('mouseout', hideTooltip)
+                .on('click', (event, d) => activateLink(d))
+                .call(fadeIn, 'stroke-opacity', animate),
+            update => update,
+            exit => exit.call(fadeOut, 'stroke-opacity')
+        )
+        // Memberships are shown by the hulls while grouped
+        .classed('grouped-membership', d => grouping && isGroupedMembership(d, grouping))
+        .classed('aggregated', d => Boolean(d.aggregated))
+        .classed('new-since', isNew)
+        .call(markChanges, relationshipChange)
+        .attr('stroke', d => getRelationshipStyle(d.type).color)
+        .attr('stroke-dasharray', d => getRelationshipStyle(d.type).dash)
+        .attr('marker-end', d => isDirectedRelationship(d.type) ? `url(#arrow-${d.type})` : null);
+    
+    // Create nodes, in the shape of their type. Each one is a button in the Tab
+    // order, labeled with the organization and its connections.
+    nodes = g.select('.nodes')
+        .selectAll('path.node:not(.exiting)')
+        .data(drawn.organizations, d => d.id)
+        .join(
+            enter => enter.append('path')
+                .attr('class', 'node')
+                .attr('role', 'button')
+                .attr('transform', d => d.x === undefined ? null : `translate(${d.x},${d.y})`)
+                .attr('d', nodeShape)
+                .attr('stroke', '#fff')
+                .attr('stroke-width', 2)
+                .call(d3.drag()
+                    .on('start', dragstarted)
+                    .on('drag', dragged)
+                    .on('end', dragended))
+                .on('mouseover', function(event, d) {
+                    showTooltip(event, d, 'organization');
+                    // Highlight connected nodes and links
+                    highlightConnections(d.id);
+                })
+                .on('mouseout', function(event, d) {
+                    hideTooltip();
+                    // Remove highlighting
+                    removeHighlighting();
+                })
+                .on('click', (event, d) => activateNode(d))
+                // The keyboard gets the same details and highlighting as the mouse
+                .on('keydown', handleNodeKeydown)
+                .on('focus', function(event, d) {
+                    keepNodeInView(d);
+                    showTooltip(nodePointerEvent(d), d, 'organization');
+                    highlightConnections(d.id);
+                })
+                .on('blur', function() {
+                    hideTooltip();
+                    removeHighlighting();
+                })
+                .on('dblclick', function(event, d) {
+                    // Release a pinned node (and don't let the zoom double-click zoom in)
+                    event.stopPropagation();
+                    unpinNode(d);
+                })
+                .call(growIn, animate),
+            update => update.attr('d', nodeShape),
+            exit => exit.call(shrinkOut)
+        )
+        .attr('tabindex', d => isCategoryAnchor(d) ? null : 0)
+        .attr('aria-label', describeNodeForScreenReader)
+        .classed('category-anchor', isCategoryAnchor)
+        .classed('collapsed-category', isCollapsedCategory)
+        .attr('fill', nodeColor)
+        .classed('focused', d => d.id === viewState.focus)
+        .classed('new-since', isNew)
+        .call(markChanges, organizationChange);
     
     // Create node labels
-    nodeLabels = g.append('g')
-        .attr('class', 'node-labels')
-        .selectAll('text')
-        .data(data.organizations)
-        .enter().append('text')
-        .attr('class', 'node-label')
-        .text(d => d.name)
-        .attr('text-anchor', 'middle')
-        .attr('dy', nodeSize + 15)
-        .style('opacity', showLabels ? 1 : 0)
-        .style('pointer-events', 'none');
-    
-    // Create legend inside SVG
+    nodeLabels = g.select('.node-labels')
+        .selectAll('text.node-label:not(.exiting)')
+        .data(drawn.organizations, d => d.id)
+        .join(
+            enter => enter.append('text')
+                .attr('class', 'node-label')
+                .attr('text-anchor', 'middle')
+                .attr('x', d => d.x)
+                .attr('y', d => d.y)
+                .style('pointer-events', 'none')
+                .call(fadeIn, 'fill-opacity', animate),
+            update => update,
+            exit => exit.call(fadeOut, 'fill-opacity')
+        )
+        .classed('category-anchor', isCategoryAnchor)
+        .text(d => isCollapsedCategory(d) ? `${d.name} (${grouping.collapsedMembers.get(d.id).length})` : d.name)
+        .attr('dy', d => nodeRadius(d) + 15)
+        .style('opacity', showLabels ? 1 : 0);
+    
+    // Create legend inside SVG and the facet panel (counts change with edits)
     createLegend();
+    renderNetworkTable();
+    renderDetailPanel();
+    renderFacets();
+    renderTimeline();
+    renderComparison();
+    renderPathFinder();
+    renderAnalytics();
+    d3.select('#groupCategories')
+        .classed('active', Boolean(viewState.grouped))
+        .attr('aria-pressed', Boolean(viewState.grouped))
+        .text(viewState.grouped ? 'Ungroup Categories' : 'Group Categories');
     
     // Update simulation
-    simulation.nodes(data.organizations);
-    simulation.force('link').links(data.relationships);
-    
-    // Update positions on tick
-    simulation.on('tick', () => {
-        links
-            .attr('x1', d => d.source.x)
-            .attr('y1', d => d.source.y)
-            .attr('x2', d => d.target.x)
-            .attr('y2', d => d.target.y);
-        
-        nodes
-            .attr('cx', d => d.x)
-            .attr('cy', d => d.y);
-        
-        nodeLabels
-            .attr('x', d => d.x)
-            .attr('y', d => d.y);
-    });
+    simulation.nodes(drawn.organizations);
+    simulation.force('link').links(drawn.relationships);
+    applyLayout();
+    
+    // Update positions on tick: the SVG elements, or the canvas drawn from them
+    layoutEvents.on('tick.draw', renderer === 'canvas' ? requestCanvasDraw : updateSvgPositions);
     
     // Start simulation
-    simulation.alpha(1).restart();
+    restartLayout(alpha);
+}
+
+// Nodes entering the network grow from nothing, and leaving ones shrink away
+// (out of the Tab order at once)
+function growIn(selection, animate) {
+    if (!animate) return;
+    selection.attr('d', emptyNodeShape)
+        .transition().duration(UPDATE_DURATION).attr('d', nodeShape);
+}
+
+function shrinkOut(selection) {
+    selection.classed('exiting', true)
+        .attr('tabindex', null)
+        .transition().duration(UPDATE_DURATION).attr('d', emptyNodeShape).remove();
+}
+
+function emptyNodeShape(d) {
+    return shapePath(getTypeShape(d.type), 0);
+}
+
+// Links and labels entering the network fade in; the inline opacity goes
+// again once they have, leaving the stylesheet's
+function fadeIn(selection, property, animate) {
+    if (!animate) return;
+    selection.style(property, 0)
+        .transition().duration(UPDATE_DURATION).style(property, null);
+}
+
+function fadeOut(selection, property) {
+    selection.classed('exiting', true)
+        .transition().duration(UPDATE_DURATION).style(property, 0).remove();
 }
 
 function setupEventListeners() {
     // Search functionality
     d3.select('#searchInput').on('input', function() {
-        searchTerm = this.value.toLowerCase();
-        const clearButton = d3.select('#clearSearch');
-        clearButton.style('display', searchTerm ? 'flex' : 'none');
-        filterNodes();
+        setSearch(this.value);
     });
     
     // Clear search button
     d3.select('#clearSearch').on('click', function() {
         d3.select('#searchInput').property('value', '');
-        searchTerm = '';
-        d3.select('#clearSearch').style('display', 'none');
-        filterNodes();
+        setSearch('');
     });
     
     // Node size control
     d3.select('#nodeSize').on('input', function() {
         nodeSize = +this.value;
-        nodes.attr('r', d => {
-            const radius = d.type === 'category' ? nodeSize * 1.4 : nodeSize;
-            if (d.type === 'category') {
-                console.log('Updating category node:', d.name, 'radius:', radius);
-            }
-            return radius;
-        });
-        nodeLabels.attr('dy', nodeSize + 15);
-        simulation.force('collision').radius(nodeSize + 5);
-        simulation.alpha(0.3).restart();
+        updateNodeSizes();
     });
     
     // Link distance control
     d3.select('#linkDistance').on('input', function() {
         linkDistance = +this.value;
         simulation.force('link').distance(linkDistance);
-        simulation.alpha(0.3).restart();
+        restartLayout(0.3);
     });
     
     // Reset view button
     d3.select('#resetView').on('click', function() {
+        stopFollowingNode();
         svg.transition().duration(750).call(
-            d3.zoom().transform,
+            zoom.transform,
             d3.zoomIdentity
         );
     });
@@ -215,68 +803,372 @@ function setupEventListeners() {
         showLabels = !showLabels;
         nodeLabels.transition().duration(300)
             .style('opacity', showLabels ? 1 : 0);
+        viewState.labels = showLabels;
+        writeViewState(viewState);
+    });
+    
+    // Facet panel: reset all facets, expand the tag list
+    d3.select('#clearFacets').on('click', clearFacets);
+    d3.select('#moreTags').on('click', function() {
+        showAllTags = !showAllTags;
+        renderFacets();
+    });
+    
+    // Path finder panel: pick two organizations, swap them, skip category hops
+    d3.select('#pathFinder').on('toggle', function() {
+        removeHighlighting();
+    });
+    d3.select('#pathFrom').on('change', function() {
+        pathFrom = this.value;
+        updatePath();
+    });
+    d3.select('#pathTo').on('change', function() {
+        pathTo = this.value;
+        updatePath();
+    });
+    d3.select('#swapPath').on('click', function() {
+        [pathFrom, pathTo] = [pathTo, pathFrom];
+        renderPathFinder();
+    });
+    d3.select('#pathSkipCategories').on('change', updatePath);
+    d3.select('#clearPath').on('click', function() {
+        pathFrom = '';
+        pathTo = '';
+        renderPathFinder();
+    });
+    
+    // Group categories into hulls; ungrouping expands every collapsed category again
+    d3.select('#groupCategories').on('click', function() {
+        viewState.grouped = !viewState.grouped;
+        viewState.collapsed = [];
+        writeViewState(viewState);
+        redrawNetwork();
+    });
+    
+    // Layout panel: switch layouts, save or reset the positions of the force layout
+    LAYOUTS.forEach(layout => {
+        d3.select('#layoutSelect').append('option').attr('value', layout.id).text(layout.label);
+    });
+    d3.select('#layoutSelect').on('change', function() {
+        setLayout(this.value);
+    });
+    RENDERERS.forEach(option => {
+        d3.select('#rendererSelect').append('option').attr('value', option.id).text(option.label);
+    });
+    d3.select('#rendererSelect')
+        .property('value', viewState.renderer)
+        .on('change', function() {
+            viewState.renderer = this.value;
+            writeViewState(viewState);
+            redrawNetwork();
+        });
+    d3.select('#savePositions').on('click', saveCurrentPositions);
+    d3.select('#resetPositions').on('click', resetPositions);
+    
+    // Compare panel: pick an earlier version, or go back to the current data only
+    d3.select('#compareVersions').on('click', function() {
+        openCompareDialog({ versions: comparableVersions(), onCompare: startComparing });
+    });
+    d3.select('#stopComparing').on('click', stopComparing);
+    
+    // Timeline panel: scrub or play through the dates, highlight recent additions
+    d3.select('#timelinePlay').on('click', toggleTimelinePlayback);
+    d3.select('#timelineSlider').on('input', function() {
+        stopTimelinePlayback();
+        setTimelineDate(addDays(timelineDates(data)[0], +this.value));
+    });
+    d3.select('#timelineAll').on('click', function() {
+        stopTimelinePlayback();
+        setTimelineDate('');
+    });
+    d3.select('#newSince').on('change', function() {
+        viewState.newSince = +this.value;
+        writeViewState(viewState);
+        markNewSince();
+        createLegend();
+    });
+    
+    // Analytics panel: size/color nodes by a metric, include categories or not
+    CENTRALITY_METRICS.forEach(metric => {
+        d3.select('#sizeBy').append('option').attr('value', metric.id).text(metric.label);
+    });
+    [...GROUP_METRICS, ...CENTRALITY_METRICS].forEach(metric => {
+        d3.select('#colorBy').append('option').attr('value', metric.id).text(metric.label);
+    });
+    d3.select('#sizeBy').on('change', function() {
+        viewState.sizeBy = this.value;
+        writeViewState(viewState);
+        refreshAnalytics();
+        updateNodeSizes();
+        createLegend();
+    });
+    d3.select('#colorBy').on('change', function() {
+        viewState.colorBy = this.value;
+        writeViewState(viewState);
+        refreshAnalytics();
+        nodes.attr('fill', nodeColor);
+        createLegend();
+    });
+    d3.select('#analyticsPanel').on('toggle', function() {
+        refreshAnalytics();
+        renderAnalytics();
+    });
+    d3.select('#analyticsCategories').on('change', function() {
+        analyticsIncludeCategories = this.checked;
+        refreshAnalytics();
+        updateNodeSizes();
+        createLegend();
+        renderAnalytics();
     });
     
-    // Reload data button
+    // Reload data button, and reloading whenever the data changes
     d3.select('#reloadData').on('click', function() {
         reloadData();
     });
+    d3.select('#liveUpdates').on('change', function() {
+        viewState.live = this.checked;
+        writeViewState(viewState);
+        setLiveUpdates(viewState.live);
+    });
+    
+    // Export button: all organizations or only those the search leaves visible
+    d3.select('#exportNetwork').on('click', function() {
+        openExportDialog({
+            getData: getExportDataset,
+            getFilteredData: () => {
+                const visibleIds = getVisibleOrganizationIds();
+                if (!visibleIds) return null;
+                const subset = subsetDataset(getExportDataset(), visibleIds);
+                subset.relationships = subset.relationships.filter(rel =>
+                    !facets.hiddenRelationshipTypes.has(rel.type) &&
+                    (!viewState.date || isActiveOn(rel, viewState.date))
+                );
+                return subset;
+            }
+        });
+    });
+    
+    // Export image button: the network as shown, with the legend
+    d3.select('#exportImage').on('click', function() {
+        hideTooltip();
+        // The image is made from the SVG, which the canvas leaves where it was
+        if (renderer === 'canvas') updateSvgPositions();
+        openImageExportDialog({
+            svgElement: document.getElementById('network-svg'),
+            legendElement: document.getElementById('legend')
+        });
+    });
     
     // List view button
     d3.select('#listView').on('click', function() {
-        window.location.href = 'list-view.html';
+        window.location.href = viewUrl('list-view.html', viewState);
+    });
+    d3.select('#mapView').on('click', function() {
+        window.location.href = viewUrl('map-view.html', viewState);
+    });
+    
+    // Edit mode: clicking nodes and links opens the editor instead of centering
+    d3.select('#editMode').on('click', function() {
+        editMode = !editMode;
+        d3.select(this)
+            .classed('active', editMode)
+            .attr('aria-pressed', editMode)
+            .text(editMode ? 'Done Editing' : 'Edit Mode');
+        d3.select('#network-svg').classed('edit-mode', editMode);
+    });
+    
+    // Detail panel: organizations and relationships in it open in it too
+    d3.select('#detailPanelBody').on('click', function(event) {
+        const organization = event.target.closest('[data-org-id]');
+        if (organization) {
+            openDetails({ kind: 'organization', id: organization.dataset.orgId });
+            return;
+        }
+        const relationship = event.target.closest('[data-relationship-key]');
+        if (relationship) openDetails({ kind: 'relationship', id: relationship.dataset.relationshipKey });
+    });
+    d3.select('#detailBack').on('click', () => stepDetails(-1));
+    d3.select('#detailForward').on('click', () => stepDetails(1));
+    d3.select('#detailClose').on('click', closeDetailPanel);
+    d3.select('#detailPanel').on('keydown', function(event) {
+        if (event.key === 'Escape') closeDetailPanel();
+    });
+    
+    // Editor toolbar (add, undo, download, discard)
+    setupEditorToolbar(() => store, {
+        onDiscard: () => store.reset(dataSource.baseData)
+    });
+}
+
+// While grouped, an expanded category is drawn as its hull; its node only anchors the members
+function isCategoryAnchor(d) {
+    return Boolean(grouping && grouping.members.has(d.id));
+}
+
+function isCollapsedCategory(d) {
+    return Boolean(grouping && grouping.collapsedMembers.has(d.id));
+}
+
+// Collapse or expand a category. Expanded members start out around the category
+// node so they visibly spread out of it.
+function toggleCategory(categoryId) {
+    const collapsed = new Set(viewState.collapsed || []);
+    if (collapsed.has(categoryId)) {
+        collapsed.delete(categoryId);
+        const category = dataIndex.getOrganization(categoryId);
+        (grouping.collapsedMembers.get(categoryId) || []).forEach(id => {
+            const member = dataIndex.getOrganization(id);
+            member.x = category.x + (Math.random() - 0.5) * 20;
+            member.y = category.y + (Math.random() - 0.5) * 20;
+            member.vx = 0;
+            member.vy = 0;
+        });
+    } else {
+        collapsed.add(categoryId);
+    }
+    viewState.collapsed = [...collapsed];
+    writeViewState(viewState);
+    hideTooltip();
+    redrawNetwork();
+}
+
+// The drawn node for an organization: itself, or the collapsed category standing in for it
+function drawnNodeFor(organizationId) {
+    const node = drawnIndex.organizationsById.get(organizationId);
+    if (node || !grouping) return node;
+    const entry = [...grouping.collapsedMembers].find(([, memberIds]) => memberIds.includes(organizationId));
+    return entry && drawnIndex.organizationsById.get(entry[0]);
+}
+
+// A rounded outline around a category's members: the convex hull of a ring of
+// points around each member, so one or two members still get a bubble
+function hullPath(d) {
+    const points = [];
+    d.members.forEach(member => {
+        const radius = nodeRadius(member) + HULL_PADDING;
+        for (let i = 0; i < 8; i++) {
+            const angle = i / 8 * 2 * Math.PI;
+            points.push([member.x + radius * Math.cos(angle), member.y + radius * Math.sin(angle)]);
+        }
+    });
+    const hull = d3.polygonHull(points);
+    return hull ? d3.line().curve(d3.curveCatmullRomClosed)(hull) : null;
+}
+
+// A category's name goes above the top of its outline
+function hullLabelPosition(d) {
+    return {
+        x: d3.mean(d.members, m => m.x),
+        y: d3.min(d.members, m => m.y - nodeRadius(m)) - HULL_PADDING - 6
+    };
+}
+
+// Made again on every update, as the palette may have recolored the types
+function createArrowMarkers() {
+    svg.selectAll('defs.arrow-markers').remove();
+    const defs = svg.append('defs').attr('class', 'arrow-markers');
+    RELATIONSHIP_TYPES.filter(type => type.directed).forEach(type => {
+        defs.append('marker')
+            .attr('id', `arrow-${type.id}`)
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 10)
+            .attr('refY', 0)
+            .attr('markerWidth', 5)
+            .attr('markerHeight', 5)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M0,-5L10,0L0,5')
+            .attr('fill', getRelationshipStyle(type.id).color);
+    });
+}
+
+// Relationships between the same two organizations are spread around the
+// straight line; a single relationship stays straight
+function computeLinkOffsets(relationships) {
+    const offsets = new Map();
+    const byPair = d3.group(relationships, rel => [endpointId(rel.source), endpointId(rel.target)].sort().join('|'));
+    byPair.forEach(group => {
+        group.forEach((rel, i) => {
+            const offset = (i - (group.length - 1) / 2) * LINK_CURVE_SPACING;
+            // Bend to the same side whichever way round the relationship is stored
+            offsets.set(rel, endpointId(rel.source) < endpointId(rel.target) ? offset : -offset);
+        });
     });
+    return offsets;
+}
+
+// Straight or curved edge; directed edges stop at the target's rim so the arrowhead shows
+function linkPath(d) {
+    const { x: sx, y: sy } = d.source;
+    const { x: tx, y: ty } = d.target;
+    const length = Math.hypot(tx - sx, ty - sy) || 1;
+    const offset = linkOffsets.get(d) || 0;
+    // A quadratic curve peaks halfway to its control point, hence the doubled offset
+    const cx = (sx + tx) / 2 - (ty - sy) / length * offset * 2;
+    const cy = (sy + ty) / 2 + (tx - sx) / length * offset * 2;
+    
+    let ex = tx;
+    let ey = ty;
+    if (isDirectedRelationship(d.type)) {
+        const fromX = offset ? cx : sx;
+        const fromY = offset ? cy : sy;
+        const approach = Math.hypot(tx - fromX, ty - fromY) || 1;
+        const inset = nodeRadius(d.target) + 2;
+        ex = tx - (tx - fromX) / approach * inset;
+        ey = ty - (ty - fromY) / approach * inset;
+    }
+    
+    return offset ? `M${sx},${sy}Q${cx},${cy} ${ex},${ey}` : `M${sx},${sy}L${ex},${ey}`;
 }
 
 function showTooltip(event, d, type) {
-    console.log('showTooltip called', type, d);
     const tooltip = d3.select('#tooltip');
     
     if (type === 'organization') {
-        tooltip.html(`
+        // Fields are escaped and links checked by html`` (lib/html.js)
+        tooltip.html(html`
             <h4>${d.name}</h4>
             <p><strong>Contact:</strong> ${d.contactPerson}</p>
-            <p><strong>Email:</strong> <a href="mailto:${d.email}" style="color: #667eea;">${d.email}</a></p>
-            <p><strong>Phone:</strong> <a href="tel:${d.phone}" style="color: #667eea;">${d.phone}</a></p>
-            <p><strong>Website:</strong> <a href="${d.website}" target="_blank" style="color: #667eea;">${d.website}</a></p>
+            <p><strong>Email:</strong> ${link(mailtoUrl(d.email), d.email)}</p>
+            <p><strong>Phone:</strong> ${link(telUrl(d.phone), d.phone)}</p>
+            <p><strong>Website:</strong> ${link(safeUrl(d.website), d.website, { newTab: true })}</p>
             <p><strong>Address:</strong> ${d.address}</p>
-            <p><strong>Type:</strong> ${d.type.replace('_', ' ').toUpperCase()}</p>
-            <p class="tags-line"><strong>Tags:</strong> ${d.tags ? d.tags.map(tag => `<span class="tag-badge">${tag}</span>`).join('') : 'None'}</p>
+            <p><strong>Type:</strong> ${formatTypeName(d.type)}</p>
+            ${formatActivePeriod(d) && html`<p><strong>Active:</strong> ${formatActivePeriod(d)}</p>`}
+            ${describeChange(organizationChange(d))}
+            ${describeNodeMetrics(d)}
+            ${isCollapsedCategory(d) && html`<p><strong>Collapsed:</strong> ${grouping.collapsedMembers.get(d.id).length} organizations, click to expand</p>`}
+            <p class="tags-line"><strong>Tags:</strong> ${d.tags ? d.tags.map(tag => html`<span class="tag-badge">${tag}</span>`) : 'None'}</p>
             <p><strong>Description:</strong> ${d.description}</p>
         `);
     } else if (type === 'relationship') {
-        console.log('Relationship tooltip data:', d);
         // Handle both string IDs and D3 objects
-        const sourceId = typeof d.source === 'string' ? d.source : d.source.id;
-        const targetId = typeof d.target === 'string' ? d.target : d.target.id;
-        console.log('Source ID:', sourceId, 'Target ID:', targetId);
+        const sourceId = endpointId(d.source);
+        const targetId = endpointId(d.target);
         
-        const sourceOrg = data.organizations.find(org => org.id === sourceId);
-        const targetOrg = data.organizations.find(org => org.id === targetId);
-        console.log('Source org found:', sourceOrg);
-        console.log('Target org found:', targetOrg);
+        const sourceOrg = dataIndex.getOrganization(sourceId);
+        const targetOrg = dataIndex.getOrganization(targetId);
         
-        // Determine if this is a mutual relationship
-        const isMutual = d.type.includes('mutual') || d.type.includes('collaboration') || d.type.includes('partnership');
-        
-        // Create relationship direction text
+        // Direction comes from the relationship type (lib/model.js)
         let directionText = '';
-        if (isMutual) {
-            directionText = `
+        if (!isDirectedRelationship(d.type)) {
+            directionText = html`
                 <p><strong>Between:</strong> ${sourceOrg ? sourceOrg.name : 'Unknown'} ↔ ${targetOrg ? targetOrg.name : 'Unknown'}</p>
-                <p><strong>Type:</strong> Mutual ${d.type.replace('_', ' ').toUpperCase()}</p>
+                <p><strong>Type:</strong> Mutual ${formatTypeName(d.type)}</p>
             `;
         } else {
-            directionText = `
+            directionText = html`
                 <p><strong>From:</strong> ${sourceOrg ? sourceOrg.name : 'Unknown'}</p>
                 <p><strong>To:</strong> ${targetOrg ? targetOrg.name : 'Unknown'}</p>
-                <p><strong>Type:</strong> ${d.type.replace('_', ' ').toUpperCase()}</p>
+                <p><strong>Type:</strong> ${formatTypeName(d.type)}</p>
             `;
         }
         
-        tooltip.html(`
-            <h4>${d.type.replace('_', ' ').toUpperCase()}</h4>
+        tooltip.html(html`
+            <h4>${formatTypeName(d.type)}</h4>
             ${directionText}
+            ${formatActivePeriod(d) && html`<p><strong>Active:</strong> ${formatActivePeriod(d)}</p>`}
+            ${describeChange(relationshipChange(d))}
             <p><strong>Description:</strong> ${d.description}</p>
         `);
     }
@@ -352,186 +1244,1593 @@ function hideTooltip() {
 }
 
 function highlightConnections(nodeId) {
+    // Neighbors through the links that are shown (hidden relationship types don't count)
+    const connected = new Set([nodeId]);
+    (drawnIndex.relationshipsByOrg.get(nodeId) || []).forEach(d => {
+        connected.add(endpointId(d.source));
+        connected.add(endpointId(d.target));
+    });
+    
     // Highlight connected links
     links.style('opacity', d => 
         d.source.id === nodeId || d.target.id === nodeId ? 1 : 0.3
     );
     
     // Highlight connected nodes
-    nodes.style('opacity', d => {
-        const isConnected = data.relationships.some(rel => 
-            (rel.source === nodeId && rel.target === d.id) ||
-            (rel.target === nodeId && rel.source === d.id)
-        );
-        return isConnected || d.id === nodeId ? 1 : 0.3;
-    });
+    nodes.style('opacity', d => connected.has(d.id) ? 1 : 0.3);
     
     // Highlight connected labels
-    nodeLabels.style('opacity', d => {
-        const isConnected = data.relationships.some(rel => 
-            (rel.source === nodeId && rel.target === d.id) ||
-            (rel.target === nodeId && rel.source === d.id)
-        );
-        return isConnected || d.id === nodeId ? 1 : 0.3;
-    });
+    nodeLabels.style('opacity', d => connected.has(d.id) ? 1 : 0.3);
 }
 
 function removeHighlighting() {
-    links.style('opacity', 0.6);
-    nodes.style('opacity', 1);
+    // Go back to the path or search dimming rather than showing everything
+    if (getPathHighlight()) {
+        highlightPath();
+        return;
+    }
+    if (searchTerm) {
+        filterNodes();
+        return;
+    }
+    links.classed('on-path', false).style('opacity', 0.6);
+    nodes.classed('on-path', false).style('opacity', 1);
     nodeLabels.style('opacity', showLabels ? 1 : 0);
 }
 
-function centerOnNode(d) {
-    const width = parseInt(svg.style('width'));
-    const height = parseInt(svg.style('height'));
-    
-    svg.transition().duration(750).call(
-        d3.zoom().transform,
-        d3.zoomIdentity.translate(
-            width / 2 - d.x,
-            height / 2 - d.y
-        ).scale(1.5)
-    );
+// What clicking a node, or pressing Enter on it, does: edit it in edit mode,
+// pick it in the path finder, expand a collapsed category, else focus it
+function activateNode(d) {
+    if (editMode && !isRemoved(organizationChange(d))) {
+        hideTooltip();
+        openOrganizationEditor(store, d.id);
+        return;
+    }
+    // While the path finder is open, clicks pick its organizations
+    if (isPathFinderOpen()) {
+        pickPathOrganization(d.id);
+        return;
+    }
+    // A collapsed category expands back into its members
+    if (isCollapsedCategory(d)) {
+        toggleCategory(d.id);
+        return;
+    }
+    // Center on clicked node, remember it in the URL and show its details
+    openDetails({ kind: 'organization', id: d.id });
 }
 
-// Drag functions
-function dragstarted(event, d) {
-    if (!event.active) simulation.alphaTarget(0.3).restart();
-    d.fx = d.x;
-    d.fy = d.y;
+// What clicking a link does: edit it in edit mode, else show its details
+function activateLink(d) {
+    // Stand-ins for the relationships of collapsed members can't be edited as one,
+    // nor can removed ones while comparing versions
+    if (editMode && !d.aggregated && !isRemoved(relationshipChange(d))) {
+        hideTooltip();
+        openRelationshipEditor(store, relationshipKey(d));
+        return;
+    }
+    if (!isPathFinderOpen()) openDetails({ kind: 'relationship', id: relationshipKey(d) });
 }
 
-function dragged(event, d) {
-    d.fx = event.x;
-    d.fy = event.y;
+// The drawn relationships of a node as { relationship, other, text }, where
+// text reads from the node's side, e.g. "Funding to NYC Fund"
+function drawnConnections(d) {
+    return (drawnIndex.relationshipsByOrg.get(d.id) || [])
+        .map(rel => {
+            const outgoing = endpointId(rel.source) === d.id;
+            const other = drawnIndex.organizationsById.get(endpointId(outgoing ? rel.target : rel.source));
+            const type = getRelationshipType(rel.type);
+            const label = type ? type.label : formatTypeName(rel.type);
+            const direction = !isDirectedRelationship(rel.type) ? 'with' : outgoing ? 'to' : 'from';
+            return { relationship: rel, other, text: `${label} ${direction} ${other ? other.name : 'Unknown'}` };
+        })
+        .filter(connection => connection.other);
 }
 
-function dragended(event, d) {
-    if (!event.active) simulation.alphaTarget(0);
-    d.fx = null;
-    d.fy = null;
+// Label read by screen readers for a node: the organization, its type and
+// what it is connected to (the first few, the rest counted)
+function describeNodeForScreenReader(d) {
+    const connections = drawnConnections(d);
+    const listed = connections.slice(0, SCREEN_READER_CONNECTION_LIMIT).map(connection => connection.text);
+    if (connections.length > listed.length) listed.push(`and ${connections.length - listed.length} more`);
+    const type = getOrganizationType(d.type);
+    const parts = [
+        `${d.name}, ${type ? type.label : formatTypeName(d.type)}`,
+        connections.length === 1 ? '1 connection' : `${connections.length} connections`
+    ];
+    if (listed.length) parts.push(listed.join('; '));
+    if (isCollapsedCategory(d)) parts.push(`collapsed category of ${grouping.collapsedMembers.get(d.id).length} organizations, press Enter to expand`);
+    return parts.join('. ');
 }
 
-function createLegend() {
-    const legendContainer = d3.select('#legend');
-    
-    // Clear existing legend
-    legendContainer.selectAll('*').remove();
-    
-    // Legend title
-    legendContainer.append('h4')
-        .text('Organization Types');
-    
-    // Legend items
-    const legendData = [
-        { type: 'corporation', label: 'Corporations & Industry', color: colorScheme.corporation },
-        { type: 'government_agency', label: 'Government & Public Agencies', color: colorScheme.government_agency },
-        { type: 'education', label: 'Education', color: colorScheme.education },
-        { type: 'non_profit', label: 'Non-Profit', color: colorScheme.non_profit },
-        { type: 'small_business', label: 'Entrepreneurs & Small Businesses', color: colorScheme.small_business },
-        { type: 'investor_funder', label: 'Investors & Funders', color: colorScheme.investor_funder },
-        { type: 'category', label: 'Categories', color: colorScheme.category, shape: 'triangle' }
-    ];
-    
-    // Create legend items
-    const legendItems = legendContainer.selectAll('.legend-item')
-        .data(legendData)
-        .enter()
-        .append('div')
-        .attr('class', 'legend-item');
+// A stand-in for a mouse event at the middle of a node, for placing the
+// tooltip of a node focused with the keyboard (worked out from the zoom, as
+// the element isn't moved when the network is drawn on the canvas)
+function nodePointerEvent(d) {
+    const rect = svg.node().getBoundingClientRect();
+    const [x, y] = d3.zoomTransform(svg.node()).apply([d.x, d.y]);
+    return {
+        pageX: rect.left + x + window.scrollX,
+        pageY: rect.top + y + window.scrollY
+    };
+}
+
+// Pan a node focused with the keyboard into view when it is outside of it
+function keepNodeInView(d) {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    const [x, y] = d3.zoomTransform(svg.node()).apply([d.x, d.y]);
+    if (x >= 0 && x <= width && y >= 0 && y <= height) return;
+    stopFollowingNode();
+    svg.transition().duration(300).call(zoom.translateTo, d.x, d.y);
+}
+
+// Keyboard on a node: Enter or Space act like a click, the arrow keys move
+// to the connected organization in that direction (or the nearest one when
+// none is connected that way) and Escape clears the focus
+function handleNodeKeydown(event, d) {
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        activateNode(d);
+        return;
+    }
+    if (event.key === 'Escape') {
+        closeDetailPanel();
+        setFocusedNode(null);
+        hideTooltip();
+        return;
+    }
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (!direction) return;
+    event.preventDefault();
     
-    // Add symbols
-    legendItems.each(function(d) {
-        const item = d3.select(this);
-        
-        if (d.shape === 'triangle') {
-            item.append('div')
-                .attr('class', 'legend-symbol triangle')
-                .style('border-bottom-color', d.color);
-        } else {
-            item.append('div')
-                .attr('class', 'legend-symbol')
-                .style('background-color', d.color);
+    const connections = drawnConnections(d).filter(connection => !isCategoryAnchor(connection.other));
+    const connection = nearestInDirection(d, connections, connection => connection.other, direction, Infinity);
+    if (connection) {
+        moveKeyboardFocus(connection.other, connection.text);
+        return;
+    }
+    const candidates = drawn.organizations.filter(org => org !== d && !isCategoryAnchor(org));
+    const nearest = nearestInDirection(d, candidates, org => org, direction, 1);
+    if (nearest) moveKeyboardFocus(nearest, `${nearest.name}, not connected`);
+}
+
+// The item whose node lies closest to `from` in a direction ([dx, dy]),
+// favoring those straight ahead. Only nodes within the cone of the given
+// width (sideways distance per distance ahead) count.
+function nearestInDirection(from, items, nodeOf, [dx, dy], coneWidth) {
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(item => {
+        const node = nodeOf(item);
+        const ahead = (node.x - from.x) * dx + (node.y - from.y) * dy;
+        const sideways = Math.abs((node.x - from.x) * dy - (node.y - from.y) * dx);
+        if (ahead <= 0 || sideways > ahead * coneWidth) return;
+        const score = ahead + 2 * sideways;
+        if (score < bestScore) {
+            best = item;
+            bestScore = score;
         }
-        
-        item.append('span')
-            .text(d.label);
     });
+    return best;
 }
 
-function filterNodes() {
-    if (!data || !nodes) return;
-    
-    // Filter organizations based on search term
-    const filteredOrgs = data.organizations.filter(org => {
-        if (!searchTerm) return true;
-        
-        return org.name.toLowerCase().includes(searchTerm) ||
-               org.contactPerson.toLowerCase().includes(searchTerm) ||
-               org.email.toLowerCase().includes(searchTerm) ||
-               org.description.toLowerCase().includes(searchTerm) ||
-               org.address.toLowerCase().includes(searchTerm) ||
-               (org.tags && org.tags.some(tag => tag.toLowerCase().includes(searchTerm)));
+function moveKeyboardFocus(target, announcement) {
+    const element = nodes.filter(d => d === target).node();
+    if (!element) return;
+    announce(announcement);
+    element.focus();
+}
+
+// Read out a message to screen readers without moving the focus
+function announce(message) {
+    const announcer = document.getElementById('networkAnnouncer');
+    if (announcer) announcer.textContent = message;
+}
+
+// The hidden table of the drawn organizations and their connections, the
+// screen reader version of the network; rebuilt with every redraw
+function renderNetworkTable() {
+    const body = document.querySelector('#networkTable tbody');
+    if (!body) return;
+    const organizations = drawn.organizations
+        .filter(d => !isCategoryAnchor(d))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    body.innerHTML = html`${organizations.map(d => {
+        const type = getOrganizationType(d.type);
+        const connections = drawnConnections(d);
+        return html`
+            <tr>
+                <th scope="row">${d.name}</th>
+                <td>${type ? type.label : formatTypeName(d.type)}</td>
+                <td>${connections.length ? connections.map(connection => connection.text).join('; ') : 'None'}</td>
+            </tr>
+        `;
+    })}`;
+}
+
+// Open an organization or relationship ({ kind, id }) in the detail panel,
+// after the one shown; what was ahead of that for Forward is dropped
+function openDetails(entry) {
+    pushDetails(entry);
+    showDetailEntry();
+}
+
+function pushDetails(entry) {
+    const current = detailHistory[detailIndex];
+    if (current && current.kind === entry.kind && current.id === entry.id) return;
+    detailHistory = [...detailHistory.slice(0, detailIndex + 1), entry];
+    detailIndex = detailHistory.length - 1;
+}
+
+// Back (-1) or Forward (1) through the detail panel's history
+function stepDetails(step) {
+    const index = detailIndex + step;
+    if (index < 0 || index >= detailHistory.length) return;
+    detailIndex = index;
+    showDetailEntry();
+}
+
+// Show the current entry of the detail panel; an organization is focused too,
+// and centered unless filters or the timeline hide it
+function showDetailEntry() {
+    const entry = detailHistory[detailIndex];
+    if (entry.kind === 'organization') {
+        if (drawnNodeFor(entry.id)) {
+            focusNode(entry.id);
+        } else {
+            setFocusedNode(entry.id);
+        }
+    }
+    renderDetailPanel();
+}
+
+// Closing the panel also clears the focus, as closing the details does in the list view
+function closeDetailPanel() {
+    detailHistory = [];
+    detailIndex = -1;
+    setFocusedNode(null);
+    renderDetailPanel();
+}
+
+// The organization or relationship of a detail panel entry, or undefined when
+// it was deleted. Stand-ins for the relationships of collapsed members are
+// only among the drawn ones.
+function detailRecord(entry) {
+    if (entry.kind === 'organization') return dataIndex.getOrganization(entry.id);
+    return [...drawn.relationships, ...data.relationships].find(rel => relationshipKey(rel) === entry.id);
+}
+
+function relationshipLabel(typeId) {
+    const type = getRelationshipType(typeId);
+    return type ? type.label : formatTypeName(typeId);
+}
+
+// A button that opens an organization in the detail panel
+function organizationButton(org) {
+    return org
+        ? html`<button type="button" class="detail-link" data-org-id="${org.id}">${org.name}</button>`
+        : 'Unknown';
+}
+
+// Render the detail panel from the current data, so edits, reloads and
+// comparisons show up in it. It closes when what it shows was deleted.
+function renderDetailPanel() {
+    const panel = document.getElementById('detailPanel');
+    if (!panel) return;
+    const entry = detailHistory[detailIndex];
+    const record = entry && detailRecord(entry);
+    if (entry && !record) {
+        detailHistory = [];
+        detailIndex = -1;
+    }
+    panel.hidden = !record;
+    d3.select('.visualization-container').classed('has-detail-panel', Boolean(record));
+    if (!record) return;
+    
+    document.getElementById('detailBack').disabled = detailIndex <= 0;
+    document.getElementById('detailForward').disabled = detailIndex >= detailHistory.length - 1;
+    document.getElementById('detailPanelTitle').textContent = entry.kind === 'organization'
+        ? record.name
+        : relationshipLabel(record.type);
+    document.getElementById('detailPanelBody').innerHTML = entry.kind === 'organization'
+        ? organizationDetails(record)
+        : relationshipDetails(record);
+}
+
+// Everything about an organization, with its relationships (like the list
+// view's details) leading on to the organizations at their other end
+function organizationDetails(org) {
+    const type = getOrganizationType(org.type);
+    const relationships = dataIndex.getRelationships(org.id);
+    return html`
+        <p class="detail-type">
+            <span class="detail-swatch shape-${getTypeShape(org.type)}" style="background: ${getTypeColor(org.type)}"></span>
+            ${type ? type.label : formatTypeName(org.type)}
+        </p>
+        <dl class="detail-fields">
+            <dt>Contact</dt><dd>${org.contactPerson}</dd>
+            <dt>Email</dt><dd>${link(mailtoUrl(org.email), org.email)}</dd>
+            <dt>Phone</dt><dd>${link(telUrl(org.phone), org.phone)}</dd>
+            <dt>Website</dt><dd>${link(safeUrl(org.website), org.website, { newTab: true })}</dd>
+            <dt>Address</dt><dd>${org.address}</dd>
+            ${formatActivePeriod(org) && html`<dt>Active</dt><dd>${formatActivePeriod(org)}</dd>`}
+        </dl>
+        ${describeChange(organizationChange(org))}
+        ${describeNodeMetrics(org)}
+        ${org.tags && org.tags.length > 0 && html`<p class="tags-line">${org.tags.map(tag => html`<span class="tag-badge">${tag}</span>`)}</p>`}
+        ${org.description && html`<p class="detail-description">${org.description}</p>`}
+        <h4>Relationships (${relationships.length})</h4>
+        <ul class="detail-relationships">
+            ${relationships.map(rel => {
+                const outgoing = endpointId(rel.source) === org.id;
+                const other = dataIndex.getOrganization(endpointId(outgoing ? rel.target : rel.source));
+                const directed = isDirectedRelationship(rel.type);
+                return html`
+                    <li class="detail-relationship">
+                        <button type="button" class="detail-link detail-relationship-type" data-relationship-key="${relationshipKey(rel)}">
+                            ${!directed ? '↔' : outgoing ? '→' : '←'} ${relationshipLabel(rel.type)}
+                        </button>
+                        <div>${!directed ? 'With' : outgoing ? 'To' : 'From'}: ${organizationButton(other)}</div>
+                        ${rel.description && html`<div class="detail-relationship-description">${rel.description}</div>`}
+                    </li>
+                `;
+            })}
+        </ul>
+        ${relationships.length === 0 && html`<p class="detail-empty">No relationships</p>`}
+    `;
+}
+
+function relationshipDetails(rel) {
+    const source = dataIndex.getOrganization(endpointId(rel.source));
+    const target = dataIndex.getOrganization(endpointId(rel.target));
+    const directed = isDirectedRelationship(rel.type);
+    return html`
+        <dl class="detail-fields">
+            <dt>${directed ? 'From' : 'Between'}</dt><dd>${organizationButton(source)}</dd>
+            <dt>${directed ? 'To' : 'And'}</dt><dd>${organizationButton(target)}</dd>
+            ${formatActivePeriod(rel) && html`<dt>Active</dt><dd>${formatActivePeriod(rel)}</dd>`}
+        </dl>
+        ${describeChange(relationshipChange(rel))}
+        ${rel.description && html`<p class="detail-description">${rel.description}</p>`}
+        ${rel.aggregated && html`
+            <h4>Relationships of collapsed members (${rel.aggregated.length})</h4>
+            <ul class="detail-relationships">
+                ${rel.aggregated.map(original => html`
+                    <li class="detail-relationship">
+                        ${organizationButton(dataIndex.getOrganization(endpointId(original.source)))}
+                        ${directed ? '→' : '↔'}
+                        ${organizationButton(dataIndex.getOrganization(endpointId(original.target)))}
+                    </li>
+                `)}
+            </ul>
+        `}
+    `;
+}
+
+// Zoom transform that puts a node in the middle of the view
+function transformCenteredOn(d, scale) {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    
+    return d3.zoomIdentity.translate(
+        width / 2 - d.x * scale,
+        height / 2 - d.y * scale
+    ).scale(scale);
+}
+
+function centerOnNode(d, scale = 1.5) {
+    stopFollowingNode();
+    svg.transition().duration(750).call(zoom.transform, transformCenteredOn(d, scale));
+}
+
+// A node focused by a shared link moves while the layout settles, so keep it
+// centered until the simulation ends or the user zooms or pans
+function followNode(d, scale) {
+    layoutEvents.on('tick.follow', () => {
+        svg.call(zoom.transform, transformCenteredOn(d, scale));
     });
+    layoutEvents.on('end.follow', stopFollowingNode);
+}
+
+function stopFollowingNode() {
+    if (!layoutEvents) return;
+    layoutEvents.on('tick.follow', null);
+    layoutEvents.on('end.follow', null);
+}
+
+// Focus an organization and bring it to the middle of the view; the radial
+// layout moves it there itself, with the rest of the network around it
+function focusNode(organizationId) {
+    setFocusedNode(organizationId);
+    if (viewState.layout === 'radial') {
+        applyLayout();
+        restartLayout(0.8);
+        const width = parseInt(svg.style('width'));
+        const height = parseInt(svg.style('height'));
+        centerOnNode({ x: width / 2, y: height / 2 }, d3.zoomTransform(svg.node()).k);
+        return;
+    }
+    centerOnNode(drawnNodeFor(organizationId));
+}
+
+function setFocusedNode(nodeId) {
+    viewState.focus = nodeId || '';
+    if (nodes) nodes.classed('focused', d => d.id === viewState.focus);
+    writeViewState(viewState);
+}
+
+// Compile the search query (lib/query.js), show a syntax error under the search box and filter
+function setSearch(value) {
+    searchTerm = value;
+    searchQuery = compileQuery(value);
+    d3.select('#clearSearch').style('display', searchTerm ? 'flex' : 'none');
+    d3.select('#searchError')
+        .property('hidden', !searchQuery.error)
+        .text(searchQuery.error ? searchQuery.error.message : '');
+    viewState.search = value;
+    writeViewState(viewState);
+    filterNodes();
+}
+
+// Zoom events fire continuously while panning; only the final transform goes to the URL
+function saveZoomToUrl(transform) {
+    clearTimeout(zoomWriteTimer);
+    zoomWriteTimer = setTimeout(() => {
+        const identity = transform.k === 1 && transform.x === 0 && transform.y === 0;
+        viewState.zoom = identity ? null : { x: transform.x, y: transform.y, k: transform.k };
+        writeViewState(viewState);
+    }, 300);
+}
+
+// Apply the state from the URL hash: search, labels, zoom and focused node
+function applyViewState() {
+    showLabels = viewState.labels;
+    // Metrics the panel doesn't offer fall back to the defaults
+    viewState.sizeBy = d3.select('#sizeBy').property('value', viewState.sizeBy).property('value');
+    viewState.colorBy = d3.select('#colorBy').property('value', viewState.colorBy).property('value') || 'type';
+    d3.select('#colorBy').property('value', viewState.colorBy);
+    refreshAnalytics();
+    styleNodes();
+    createLegend();
+    d3.select('#searchInput').property('value', viewState.search);
+    setSearch(viewState.search);
+    setLiveUpdates(viewState.live);
     
-    // Update search results counter
-    const searchResults = d3.select('#search-results');
-    if (searchTerm) {
-        searchResults
-            .style('display', 'block')
-            .text(`Found ${filteredOrgs.length} of ${data.organizations.length} organizations`);
+    const focused = viewState.focus && dataIndex.getOrganization(viewState.focus);
+    if (viewState.focus && !focused) viewState.focus = '';
+    nodes.classed('focused', d => d.id === viewState.focus);
+    
+    const { x = 0, y = 0, k = 1 } = viewState.zoom || {};
+    svg.call(zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    if (focused) {
+        followNode(drawnNodeFor(focused.id) || focused, viewState.zoom ? k : 1.5);
+        // A shared link to an organization opens its details too
+        pushDetails({ kind: 'organization', id: focused.id });
+        renderDetailPanel();
+    }
+}
+
+// Drag functions
+// Dragging runs the simulation on the page, also for large networks
+function dragstarted(event, d) {
+    stopLayoutWorker();
+    if (!event.active) simulation.alphaTarget(0.3).restart();
+    d.fx = d.x;
+    d.fy = d.y;
+}
+
+function dragged(event, d) {
+    d.fx = event.x;
+    d.fy = event.y;
+}
+
+// In the force layout a dragged node stays where it is dropped until it is
+// double-clicked; the other layouts take it back to its place
+function dragended(event, d) {
+    if (!event.active) simulation.alphaTarget(0);
+    if (viewState.layout === 'force') {
+        pinned.set(d.id, { x: d.fx, y: d.fy });
+        nodes.classed('pinned', n => pinned.has(n.id));
+        updateLayoutControls();
+        return;
+    }
+    const center = viewState.layout === 'radial' && d.id === egoCenterId;
+    d.fx = center ? parseInt(svg.style('width')) / 2 : null;
+    d.fy = center ? parseInt(svg.style('height')) / 2 : null;
+}
+
+function unpinNode(d) {
+    if (!pinned.delete(d.id) || viewState.layout !== 'force') return;
+    d.fx = null;
+    d.fy = null;
+    nodes.classed('pinned', n => pinned.has(n.id));
+    updateLayoutControls();
+    restartLayout(0.3);
+}
+
+// Switch the simulation's forces to the current layout. Nodes then move to
+// their new places with the simulation, which animates the switch.
+function applyLayout() {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    // Layouts this version doesn't know fall back to the force layout
+    if (!LAYOUTS.some(layout => layout.id === viewState.layout)) viewState.layout = 'force';
+    const layout = viewState.layout;
+    const organizations = drawn.organizations;
+    
+    // Pins only hold in the force layout; the others place every node
+    organizations.forEach(d => {
+        const pin = layout === 'force' && pinned.get(d.id);
+        d.fx = pin ? pin.x : null;
+        d.fy = pin ? pin.y : null;
+        // Nodes new to the view start where they were pinned
+        if (pin && d.x === undefined) {
+            d.x = pin.x;
+            d.y = pin.y;
+        }
+    });
+    nodes.classed('pinned', d => layout === 'force' && pinned.has(d.id));
+    
+    simulation
+        .force('center', layout === 'force' ? d3.forceCenter(width / 2, height / 2) : null)
+        .force('radial', null)
+        .force('x', null)
+        .force('y', null);
+    simulation.force('charge').strength(-300);
+    // Relationships only loosely hold nodes together when a layout places them
+    simulation.force('link').strength(layout === 'force' ? defaultLinkStrength : 0.05);
+    
+    let guides = { rings: [], labels: [] };
+    if (layout === 'radial') {
+        guides = applyRadialLayout(organizations, width, height);
+    } else if (layout === 'clustered') {
+        guides = applyClusteredLayout(organizations, width, height);
+    } else if (layout === 'hierarchy') {
+        guides = applyHierarchyLayout(organizations, width, height);
+    }
+    drawLayoutGuides(guides);
+    updateLayoutControls();
+}
+
+// Rings of organizations 1, 2, ... hops from the center (the focused node,
+// else the last center, else the organization with the most relationships);
+// organizations it can't reach go on an outer ring
+function applyRadialLayout(organizations, width, height) {
+    const byId = new Map(organizations.map(d => [d.id, d]));
+    const center = (viewState.focus && drawnNodeFor(viewState.focus)) ||
+        byId.get(egoCenterId) ||
+        d3.greatest(organizations, d => drawnIndex.relationshipsByOrg.get(d.id).length);
+    if (!center) return { rings: [], labels: [] };
+    egoCenterId = center.id;
+    center.fx = width / 2;
+    center.fy = height / 2;
+    
+    const hops = hopDistances(drawn, center.id);
+    const maxHop = d3.max([...hops.values()]) || 0;
+    const unreachable = organizations.some(d => !hops.has(d.id));
+    const ringRadius = hop => hop * linkDistance * 1.2;
+    
+    simulation
+        .force('radial', d3.forceRadial(d => ringRadius(hops.has(d.id) ? hops.get(d.id) : maxHop + 1), width / 2, height / 2).strength(1))
+        .force('charge').strength(-150);
+    
+    const rings = d3.range(1, maxHop + 1).map(hop => ({ r: ringRadius(hop), label: hop === 1 ? '1 hop' : `${hop} hops` }));
+    if (unreachable) rings.push({ r: ringRadius(maxHop + 1), label: 'Not connected' });
+    return {
+        rings: rings.map(ring => ({ ...ring, x: width / 2, y: height / 2 })),
+        labels: []
+    };
+}
+
+// One cluster per organization type, spread around the middle of the view
+function applyClusteredLayout(organizations, width, height) {
+    const types = [...new Set(organizations.map(d => d.type))].sort();
+    const centers = clusterCenters(types, width, height);
+    simulation
+        .force('x', d3.forceX(d => centers.get(d.type).x).strength(0.3))
+        .force('y', d3.forceY(d => centers.get(d.type).y).strength(0.3))
+        .force('charge').strength(-100);
+    return {
+        rings: [],
+        labels: types.map(type => ({
+            text: (getOrganizationType(type) || { label: formatTypeName(type) }).label,
+            x: centers.get(type).x,
+            y: centers.get(type).y - Math.min(width, height) * 0.15
+        }))
+    };
+}
+
+// Funding flows top to bottom: funders first, then what they fund, and so on;
+// organizations without funding relationships in a band at the bottom
+function applyHierarchyLayout(organizations, width, height) {
+    const levels = fundingLevels(drawn);
+    const deepest = d3.max([...levels.values()]);
+    const bandCount = (deepest === undefined ? 0 : deepest + 1) + 1;
+    const bandY = band => bandCount === 1
+        ? height / 2
+        : LAYOUT_BAND_MARGIN + band * (height - 2 * LAYOUT_BAND_MARGIN) / (bandCount - 1);
+    const bandOf = d => levels.has(d.id) ? levels.get(d.id) : bandCount - 1;
+    
+    simulation
+        .force('x', d3.forceX(width / 2).strength(0.05))
+        .force('y', d3.forceY(d => bandY(bandOf(d))).strength(1))
+        .force('charge').strength(-200);
+    
+    const bandLabel = band => {
+        if (band === bandCount - 1) return 'No funding relationships';
+        return band === 0 ? 'Funders' : `Funded (step ${band})`;
+    };
+    return {
+        rings: [],
+        labels: d3.range(bandCount).map(band => ({ text: bandLabel(band), x: 20, y: bandY(band) - 20, anchor: 'start' }))
+    };
+}
+
+function drawLayoutGuides({ rings, labels }) {
+    layoutGuides.selectAll('*').remove();
+    
+    layoutGuides.selectAll('circle')
+        .data(rings)
+        .enter().append('circle')
+        .attr('class', 'layout-ring')
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', d => d.r);
+    
+    layoutGuides.selectAll('text')
+        .data([
+            ...rings.map(ring => ({ text: ring.label, x: ring.x, y: ring.y - ring.r - 4 })),
+            ...labels
+        ])
+        .enter().append('text')
+        .attr('class', 'layout-label')
+        .attr('x', d => d.x)
+        .attr('y', d => d.y)
+        .attr('text-anchor', d => d.anchor || 'middle')
+        .text(d => d.text);
+}
+
+// Layout select, and the pin buttons that only apply to the force layout
+function updateLayoutControls() {
+    const forceLayout = viewState.layout === 'force';
+    d3.select('#layoutSelect').property('value', viewState.layout);
+    d3.select('#rendererSelect').property('value', viewState.renderer);
+    d3.select('#rendererStatus').text(viewState.renderer === 'auto' ? `drawing with ${renderer === 'canvas' ? 'the canvas' : 'SVG'}` : '');
+    d3.select('#savePositions').property('disabled', !forceLayout);
+    d3.select('#resetPositions').property('disabled', !pinned.size && !hasSavedPositions);
+    
+    const status = [];
+    if (!forceLayout) status.push('Switch to the force layout to pin nodes');
+    else if (pinned.size) status.push(`${pinned.size} pinned`);
+    if (hasSavedPositions) status.push('positions saved in this browser');
+    d3.select('#layoutStatus').text(status.join(' · '));
+}
+
+function setLayout(layoutId) {
+    viewState.layout = layoutId;
+    writeViewState(viewState);
+    applyLayout();
+    restartLayout(0.8);
+}
+
+// Pin every node where it is now and remember the positions in this browser
+function saveCurrentPositions() {
+    drawn.organizations.forEach(d => {
+        d.fx = d.x;
+        d.fy = d.y;
+        pinned.set(d.id, { x: d.x, y: d.y });
+    });
+    hasSavedPositions = savePositions(pinned);
+    nodes.classed('pinned', true);
+    updateLayoutControls();
+}
+
+// Unpin everything, forget the saved positions and lay the network out afresh
+function resetPositions() {
+    pinned.clear();
+    clearSavedPositions();
+    hasSavedPositions = false;
+    applyLayout();
+    restartLayout(1);
+}
+
+function createLegend() {
+    const legendContainer = d3.select('#legend');
+    
+    // Clear existing legend
+    legendContainer.selectAll('*').remove();
+    
+    const options = facetOptions(data);
+    
+    // Legend title
+    legendContainer.append('h4')
+        .text('Organization Types');
+    
+    // Create legend items; clicking one hides or shows that type
+    appendLegendItems(legendContainer, options.organizationTypes, 'hiddenOrganizationTypes')
+        .each(function(d) {
+            const item = d3.select(this);
+            
+            item.append('div')
+                .attr('class', `legend-symbol shape-${getTypeShape(d.id)}`)
+                .style('background-color', d.color);
+            
+            item.append('span')
+                .text(`${d.label} (${d.count})`);
+        });
+    
+    // Relationship types used in the data, drawn like their edges; → marks directed ones
+    legendContainer.append('h4')
+        .attr('class', 'legend-heading')
+        .text('Relationship Types');
+    const relationshipTypes = options.relationshipTypes
+        .filter(d => d.count > 0 || facets.hiddenRelationshipTypes.has(d.id));
+    appendLegendItems(legendContainer, relationshipTypes, 'hiddenRelationshipTypes')
+        .each(function(d) {
+            const item = d3.select(this);
+            const style = getRelationshipStyle(d.id);
+            
+            item.append('div')
+                .attr('class', 'legend-symbol line')
+                .attr('data-dash', style.dash)
+                .style('border-top-color', style.color)
+                .style('border-top-style', style.dash ? 'dashed' : 'solid');
+            
+            item.append('span')
+                .text(`${d.label}${style.directed ? ' →' : ''} (${d.count})`);
+        });
+    
+    // Say what node color and size mean when the analytics panel sets them
+    const notes = [];
+    if (isMetric(GROUP_METRICS, viewState.colorBy)) {
+        notes.push(`Color: ${metricLabel(viewState.colorBy)}`);
+    } else if (isMetric(CENTRALITY_METRICS, viewState.colorBy)) {
+        notes.push(`Color: ${metricLabel(viewState.colorBy)} (purple low, yellow high)`);
+    }
+    if (isMetric(CENTRALITY_METRICS, viewState.sizeBy)) {
+        notes.push(`Size: ${metricLabel(viewState.sizeBy)}`);
+    }
+    if (viewState.date) {
+        notes.push(`As of ${viewState.date}`);
+    }
+    if (viewState.newSince) {
+        notes.push(`Green outline: added in the ${viewState.newSince} days up to ${newSinceReferenceDate()}`);
+    }
+    if (diff) {
+        notes.push(`Compared with ${comparison.before.name}: green outline added, red removed, orange modified`);
+    }
+    if (viewState.grouped) {
+        notes.push('Categories are grouped: click a group to collapse it, a collapsed category to expand it');
+    }
+    legendContainer.selectAll('.legend-note')
+        .data(notes)
+        .enter()
+        .append('div')
+        .attr('class', 'legend-note')
+        .text(d => d);
+}
+
+// Legend rows that hide or show a type when clicked (facets[kind] holds the hidden ones)
+function appendLegendItems(container, options, kind) {
+    return container.selectAll(null)
+        .data(options)
+        .enter()
+        .append('div')
+        .attr('class', 'legend-item')
+        .classed('inactive', d => facets[kind].has(d.id))
+        .attr('role', 'button')
+        .attr('tabindex', 0)
+        .attr('aria-pressed', d => !facets[kind].has(d.id))
+        .attr('title', d => facets[kind].has(d.id) ? 'Click to show' : 'Click to hide')
+        .on('click', (event, d) => toggleFacet(kind, d.id))
+        .on('keydown', (event, d) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                toggleFacet(kind, d.id);
+            }
+        });
+}
+
+function facetsFromViewState(state) {
+    return createFacets({
+        hiddenOrganizationTypes: state.hiddenTypes || [],
+        hiddenRelationshipTypes: state.hiddenRelationshipTypes || [],
+        tags: state.tags || []
+    });
+}
+
+// Show/hide a type or select/deselect a tag, then rebuild the simulation without the filtered nodes
+function toggleFacet(kind, value) {
+    const values = facets[kind];
+    if (values.has(value)) {
+        values.delete(value);
+    } else {
+        values.add(value);
+    }
+    saveFacetsToUrl();
+    redrawNetwork();
+}
+
+function clearFacets() {
+    facets = createFacets();
+    saveFacetsToUrl();
+    redrawNetwork();
+}
+
+function saveFacetsToUrl() {
+    viewState.hiddenTypes = [...facets.hiddenOrganizationTypes];
+    viewState.hiddenRelationshipTypes = [...facets.hiddenRelationshipTypes];
+    viewState.tags = [...facets.tags];
+    writeViewState(viewState);
+}
+
+// Facet panel above the network: organization types, relationship types and tags with counts
+function renderFacets() {
+    const options = facetOptions(data);
+    
+    renderFacetGroup('#organizationTypeFacets', options.organizationTypes, {
+        isActive: d => !facets.hiddenOrganizationTypes.has(d.id),
+        onToggle: d => toggleFacet('hiddenOrganizationTypes', d.id),
+        swatch: 'node'
+    });
+    
+    renderFacetGroup('#relationshipTypeFacets', options.relationshipTypes, {
+        isActive: d => !facets.hiddenRelationshipTypes.has(d.id),
+        onToggle: d => toggleFacet('hiddenRelationshipTypes', d.id),
+        swatch: 'link'
+    });
+    
+    // Only the most common tags unless expanded; selected tags always stay visible
+    const tags = showAllTags
+        ? options.tags
+        : options.tags.filter((tag, i) => i < TAG_FACET_LIMIT || facets.tags.has(tag.id));
+    renderFacetGroup('#tagFacets', tags, {
+        isActive: d => facets.tags.has(d.id),
+        onToggle: d => toggleFacet('tags', d.id)
+    });
+    
+    d3.select('#moreTags')
+        .style('display', options.tags.length > TAG_FACET_LIMIT ? null : 'none')
+        .text(showAllTags ? 'Fewer tags' : `All ${options.tags.length} tags`);
+    
+    d3.select('#clearFacets').property('disabled', !hasActiveFacets(facets));
+    d3.select('#facetSummary').text(hasActiveFacets(facets)
+        ? `Showing ${visible.organizations.length} of ${data.organizations.length} organizations and ${visible.relationships.length} of ${data.relationships.length} relationships`
+        : '');
+}
+
+function renderFacetGroup(selector, options, { isActive, onToggle, swatch }) {
+    const container = d3.select(selector);
+    container.selectAll('*').remove();
+    
+    const buttons = container.selectAll('button')
+        .data(options)
+        .enter()
+        .append('button')
+        .attr('type', 'button')
+        .attr('class', 'facet-option')
+        .classed('active', isActive)
+        .attr('aria-pressed', d => isActive(d))
+        .on('click', (event, d) => onToggle(d));
+    
+    if (swatch === 'node') {
+        buttons.append('span')
+            .attr('class', d => `facet-swatch shape-${getTypeShape(d.id)}`)
+            .style('background-color', d => d.color);
+    } else if (swatch === 'link') {
+        buttons.append('span')
+            .attr('class', 'facet-swatch facet-swatch-link')
+            .style('background-color', d => getRelationshipStyle(d.id).color);
+    }
+    
+    buttons.append('span')
+        .text(d => d.label);
+    
+    buttons.append('span')
+        .attr('class', 'facet-count')
+        .text(d => d.count);
+}
+
+// Compare panel: what changed since the earlier version, organizations first;
+// clicking a change shows the organization (or the relationship's source)
+function renderComparison() {
+    d3.select('#stopComparing').property('disabled', !diff);
+    // The second file is shown while comparing two files, so it can't be edited
+    const editable = !(comparison && comparison.after);
+    d3.select('#editMode')
+        .property('disabled', !editable)
+        .attr('title', editable ? null : 'Stop comparing to edit the data');
+    if (!editable && editMode) d3.select('#editMode').dispatch('click');
+    
+    d3.select('#compareSummary').text(diff
+        ? `${comparison.before.name} → ${comparison.after ? comparison.after.name : 'current data'}`
+        : '');
+    d3.select('#compareMessage').text(diff
+        ? `Organizations: ${summarizeChanges(diff, 'organization')}. Relationships: ${summarizeChanges(diff, 'relationship')}. The list view has the full change log.`
+        : 'Load an earlier version of the data to see what was added, removed or modified since.');
+    
+    const changeList = d3.select('#changeList');
+    changeList.selectAll('*').remove();
+    if (!diff) return;
+    const nameOf = id => {
+        const org = dataIndex.getOrganization(id);
+        return org ? org.name : id;
+    };
+    const items = changeList.selectAll('li')
+        .data(diff.changes.length ? diff.changes : [null])
+        .enter()
+        .append('li');
+    items.filter(change => !change)
+        .text('No differences.');
+    items.filter(change => change)
+        .attr('class', change => `change-item change-${change.status}`)
+        .attr('title', 'Show in the network')
+        .text(change => {
+            const status = CHANGE_STATUSES.find(item => item.id === change.status);
+            const fields = change.fields.length ? `: ${change.fields.join(', ')}` : '';
+            return `${status.label} ${change.kind}: ${describeChangedRecord(change, nameOf)}${fields}`;
+        })
+        .on('click', (event, change) => {
+            const record = change.after || change.before;
+            focusNode(change.kind === 'organization' ? record.id : endpointId(record.source));
+        });
+}
+
+function startComparing(newComparison) {
+    comparison = newComparison;
+    if (!saveComparison(comparison)) {
+        console.error('The comparison is too large to keep for the list view');
+    }
+    data = useDataset(shownRawData());
+    redrawNetwork();
+    d3.select('#comparePanel').property('open', true);
+}
+
+function stopComparing() {
+    comparison = null;
+    clearComparison();
+    data = useDataset(shownRawData());
+    redrawNetwork();
+}
+
+// Versions this page has in memory to compare with
+function comparableVersions() {
+    const versions = [];
+    if (previousData) {
+        versions.push({ id: 'previous', label: 'The data before the last reload', data: previousData });
+    }
+    versions.push({
+        id: 'loaded',
+        label: dataSource.mode === 'file' ? 'organizations.json without unsaved edits' : 'The data as this page loaded it',
+        data: dataSource.baseData
+    });
+    return versions;
+}
+
+function organizationChange(d) {
+    return diff ? diff.organizationChanges.get(d.id) || null : null;
+}
+
+// Stand-ins for the relationships of collapsed members have no change of their own
+function relationshipChange(d) {
+    return diff && !d.aggregated ? diff.relationshipChanges.get(relationshipKey(d)) || null : null;
+}
+
+function isRemoved(change) {
+    return Boolean(change && change.status === 'removed');
+}
+
+// change-added, change-removed or change-modified on the changed nodes or links
+function markChanges(selection, changeOf) {
+    CHANGE_STATUSES.forEach(status => {
+        selection.classed(`change-${status.id}`, d => {
+            const change = changeOf(d);
+            return Boolean(change && change.status === status.id);
+        });
+    });
+}
+
+function describeChange(change) {
+    if (!change) return '';
+    const status = CHANGE_STATUSES.find(item => item.id === change.status);
+    const fields = change.fields.length ? `: ${change.fields.join(', ')}` : '';
+    return html`<p><strong>${status.label}</strong> since ${comparison.before.name}${fields}</p>`;
+}
+
+// Timeline panel: the slider spans the first to the last start or end date in
+// the data; without any dates only the explanation is shown
+function renderTimeline() {
+    const dates = timelineDates(data);
+    d3.select('#timelineControls').style('display', dates.length ? null : 'none');
+    d3.select('#timelineSummary').text(viewState.date ? `as of ${viewState.date}` : '');
+    d3.select('#timelineMessage').text(dates.length
+        ? `Dates run from ${dates[0]} to ${dates[dates.length - 1]}. Organizations and relationships without dates are always shown.`
+        : 'Nothing in this dataset has a start or end date yet. Add them in the editor to watch the network grow over time.');
+    
+    // Links can ask for a number of days the menu doesn't list
+    const newSince = d3.select('#newSince');
+    if (viewState.newSince && newSince.select(`option[value="${viewState.newSince}"]`).empty()) {
+        newSince.append('option').attr('value', viewState.newSince).text(`${viewState.newSince} days`);
+    }
+    newSince.property('value', viewState.newSince);
+    
+    if (!dates.length) return;
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    // Dates outside the data's range sit at the ends of the slider
+    const shown = !viewState.date || viewState.date > last ? last : viewState.date < first ? first : viewState.date;
+    d3.select('#timelineSlider')
+        .attr('max', daysBetween(first, last))
+        .property('value', daysBetween(first, shown));
+    d3.select('#timelineDate').text(viewState.date || 'All dates');
+    d3.select('#timelineAll').property('disabled', !viewState.date);
+    d3.select('#timelinePlay')
+        .text(timelineTimer ? 'Pause' : 'Play')
+        .attr('aria-pressed', Boolean(timelineTimer));
+}
+
+// Which organizations and relationships exist on a date, as a comparable string
+function timelineSnapshot(date) {
+    const active = date ? filterByDate(data, date) : data;
+    const organizations = new Set(active.organizations);
+    const relationships = new Set(active.relationships);
+    return data.organizations.map(org => organizations.has(org) ? 1 : 0).join('') +
+        data.relationships.map(rel => relationships.has(rel) ? 1 : 0).join('');
+}
+
+// Show the network as it was on `date` ('' for all dates). The simulation is
+// only rebuilt when organizations or relationships appear or disappear.
+function setTimelineDate(date) {
+    const changed = timelineSnapshot(date) !== timelineSnapshot(viewState.date);
+    viewState.date = date;
+    writeViewState(viewState);
+    if (changed) {
+        placeArrivingOrganizations(date ? filterByDate(data, date) : data);
+        redrawNetwork();
     } else {
+        renderTimeline();
+        markNewSince();
+        createLegend();
+    }
+}
+
+// Organizations drawn for the first time start next to one they are connected
+// to (or in the middle) instead of flying in from the corner
+function placeArrivingOrganizations(active) {
+    const width = parseInt(svg.style('width'));
+    const height = parseInt(svg.style('height'));
+    active.organizations.filter(org => !Number.isFinite(org.x)).forEach(org => {
+        const neighbor = active.relationships
+            .map(rel => {
+                if (endpointId(rel.source) === org.id) return dataIndex.getOrganization(endpointId(rel.target));
+                if (endpointId(rel.target) === org.id) return dataIndex.getOrganization(endpointId(rel.source));
+                return null;
+            })
+            .find(other => other && Number.isFinite(other.x));
+        const anchor = neighbor || { x: width / 2, y: height / 2 };
+        org.x = anchor.x + (Math.random() - 0.5) * 20;
+        org.y = anchor.y + (Math.random() - 0.5) * 20;
+    });
+}
+
+function toggleTimelinePlayback() {
+    if (timelineTimer) {
+        stopTimelinePlayback();
+        return;
+    }
+    const dates = timelineDates(data);
+    if (!dates.length) return;
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    const step = Math.max(1, Math.ceil(daysBetween(first, last) / TIMELINE_STEPS));
+    // Carry on from a paused date, otherwise start from the beginning
+    let date = viewState.date && viewState.date >= first && viewState.date < last ? viewState.date : first;
+    timelineTimer = setInterval(() => {
+        date = addDays(date, step);
+        if (date >= last) {
+            stopTimelinePlayback();
+            date = last;
+        }
+        setTimelineDate(date);
+    }, TIMELINE_INTERVAL);
+    setTimelineDate(date);
+}
+
+function stopTimelinePlayback() {
+    if (!timelineTimer) return;
+    clearInterval(timelineTimer);
+    timelineTimer = null;
+    renderTimeline();
+}
+
+// "New" is relative to the timeline's date, or today when showing all dates
+function newSinceReferenceDate() {
+    return viewState.date || new Date().toISOString().slice(0, 10);
+}
+
+function isNew(d) {
+    return viewState.newSince > 0 && isNewSince(d, newSinceReferenceDate(), viewState.newSince);
+}
+
+function markNewSince() {
+    if (!nodes) return;
+    nodes.classed('new-since', isNew);
+    links.classed('new-since', isNew);
+}
+
+function isPathFinderOpen() {
+    return document.getElementById('pathFinder').open;
+}
+
+// Fill the organization pickers (after every redraw, as edits can add or
+// remove organizations) and recompute the paths
+function renderPathFinder() {
+    if (pathFrom && !dataIndex.getOrganization(pathFrom)) pathFrom = '';
+    if (pathTo && !dataIndex.getOrganization(pathTo)) pathTo = '';
+    
+    const organizations = [...data.organizations].sort((a, b) => a.name.localeCompare(b.name));
+    [['#pathFrom', pathFrom], ['#pathTo', pathTo]].forEach(([selector, value]) => {
+        const select = d3.select(selector);
+        select.selectAll('option').remove();
+        select.append('option').attr('value', '').text('Choose an organization…');
+        organizations.forEach(org => {
+            select.append('option').attr('value', org.id).text(org.name);
+        });
+        select.property('value', value);
+    });
+    
+    updatePath();
+}
+
+// Clicking nodes fills "From", then "To"; a third click starts over
+function pickPathOrganization(organizationId) {
+    if (!pathFrom || (pathFrom && pathTo)) {
+        pathFrom = organizationId;
+        pathTo = '';
+    } else {
+        pathTo = organizationId;
+    }
+    d3.select('#pathFrom').property('value', pathFrom);
+    d3.select('#pathTo').property('value', pathTo);
+    updatePath();
+}
+
+function updatePath() {
+    selectedPath = null;
+    pathResult = pathFrom && pathTo && pathFrom !== pathTo
+        ? findShortestPaths(data, pathFrom, pathTo, {
+            skipCategories: d3.select('#pathSkipCategories').property('checked')
+        })
+        : null;
+    renderPathResults();
+    removeHighlighting();
+}
+
+function describeRelationship(rel) {
+    const type = getRelationshipType(rel.type);
+    const label = type ? type.label : formatTypeName(rel.type);
+    return rel.description ? `${label}: ${rel.description}` : label;
+}
+
+// The paths as lists of organizations with the relationships between them;
+// clicking a path highlights only that one
+function renderPathResults() {
+    const container = d3.select('#pathResults');
+    container.selectAll('*').remove();
+    
+    if (pathFrom && pathFrom === pathTo) {
+        container.append('p').attr('class', 'path-message').text('Choose two different organizations.');
+        return;
+    }
+    if (!pathResult) {
+        container.append('p').attr('class', 'path-message')
+            .text('Choose two organizations above, or click two nodes in the network while this panel is open.');
+        return;
+    }
+    
+    const fromName = dataIndex.getOrganization(pathFrom).name;
+    const toName = dataIndex.getOrganization(pathTo).name;
+    const { paths, truncated } = pathResult;
+    if (!paths.length) {
+        const skipping = d3.select('#pathSkipCategories').property('checked');
+        container.append('p').attr('class', 'path-message')
+            .text(`${fromName} and ${toName} are not connected${skipping ? ' without going through a category' : ''}.`);
+        return;
+    }
+    
+    const steps = paths[0].steps.length;
+    container.append('p').attr('class', 'path-message').text(
+        `${truncated ? `First ${paths.length}` : paths.length} shortest ${paths.length === 1 ? 'path' : 'paths'} ` +
+        `from ${fromName} to ${toName}, ${steps} ${steps === 1 ? 'step' : 'steps'}` +
+        (paths.length > 1 ? '. Click a path to highlight only that one.' : '')
+    );
+    
+    const visibleIds = new Set(visible.organizations.map(org => org.id));
+    const items = container.append('ol')
+        .attr('class', 'path-list')
+        .selectAll('li')
+        .data(paths)
+        .enter()
+        .append('li')
+        .attr('class', 'path-item')
+        .classed('selected', (d, i) => i === selectedPath)
+        .attr('tabindex', paths.length > 1 ? 0 : null)
+        .on('click', (event, d) => selectPath(paths.indexOf(d)))
+        .on('keydown', (event, d) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                selectPath(paths.indexOf(d));
+            }
+        });
+    
+    items.each(function(path) {
+        const item = d3.select(this);
+        path.organizationIds.forEach((id, i) => {
+            const org = dataIndex.getOrganization(id);
+            const stop = item.append('div').attr('class', 'path-stop');
+            stop.append('span')
+                .attr('class', 'path-swatch')
+                .style('background-color', getTypeColor(org.type));
+            stop.append('span').text(org.name);
+            if (!visibleIds.has(id)) {
+                stop.append('span').attr('class', 'facet-hint').text(' (hidden by filters)');
+            }
+            if (i < path.steps.length) {
+                item.append('div')
+                    .attr('class', 'path-step')
+                    .text(path.steps[i].map(describeRelationship).join(' · '));
+            }
+        });
+    });
+}
+
+function selectPath(index) {
+    selectedPath = selectedPath === index ? null : index;
+    d3.selectAll('#pathResults .path-item').classed('selected', (d, i) => i === selectedPath);
+    removeHighlighting();
+}
+
+// Organization ids and relationship keys on the selected path (or all of them),
+// or null when the path finder has nothing to show
+function getPathHighlight() {
+    if (!isPathFinderOpen() || !pathResult || !pathResult.paths.length) return null;
+    const paths = selectedPath === null ? pathResult.paths : [pathResult.paths[selectedPath]];
+    const organizationIds = new Set();
+    const relationshipKeys = new Set();
+    paths.forEach(path => {
+        path.organizationIds.forEach(id => organizationIds.add(id));
+        path.steps.forEach(rels => rels.forEach(rel => relationshipKeys.add(relationshipKey(rel))));
+    });
+    return { organizationIds, relationshipKeys };
+}
+
+function highlightPath() {
+    const { organizationIds, relationshipKeys } = getPathHighlight();
+    nodes
+        .classed('on-path', d => organizationIds.has(d.id))
+        .style('opacity', d => organizationIds.has(d.id) ? 1 : 0.2);
+    nodeLabels.style('opacity', d => organizationIds.has(d.id) ? 1 : 0);
+    links
+        .classed('on-path', d => relationshipKeys.has(relationshipKey(d)))
+        .style('opacity', d => relationshipKeys.has(relationshipKey(d)) ? 1 : 0.1);
+}
+
+function isMetric(metrics, metricId) {
+    return metrics.some(metric => metric.id === metricId);
+}
+
+function metricLabel(metricId) {
+    const metric = [...CENTRALITY_METRICS, ...GROUP_METRICS].find(m => m.id === metricId);
+    return metric ? metric.label : metricId;
+}
+
+// Analytics are needed while their panel is open or a metric sizes or colors the nodes
+function analyticsShown() {
+    return d3.select('#analyticsPanel').property('open') ||
+        isMetric(CENTRALITY_METRICS, viewState.sizeBy) ||
+        isMetric(GROUP_METRICS, viewState.colorBy) ||
+        isMetric(CENTRALITY_METRICS, viewState.colorBy);
+}
+
+// What the analytics of a network depend on: its organizations (and whether
+// they are categories), its relationships and whether categories count
+function analyticsKey(network, includeCategories) {
+    return [
+        includeCategories,
+        network.organizations.map(org => `${org.id}|${org.type === 'category'}`).join(','),
+        network.relationships.map(relationshipKey).join(',')
+    ].join('\n');
+}
+
+// Point `analytics` at those of the visible network, working them out when
+// they are shown and the network changed since they last were. Large networks
+// are analysed in a worker; the nodes, legend and panel are updated once it
+// is done, and until then `analytics` is null.
+function refreshAnalytics() {
+    const key = analyticsKey(visible, analyticsIncludeCategories);
+    const cached = analyticsCache.get(analyticsIncludeCategories);
+    analytics = cached && cached.key === key ? cached.result : null;
+    if (analytics || (analyticsJob && analyticsJob.key === key)) return;
+    if (analyticsJob) {
+        analyticsJob.stop();
+        analyticsJob = null;
+    }
+    if (!analyticsShown()) return;
+    
+    const options = { includeCategories: analyticsIncludeCategories };
+    if (visible.organizations.length < OFF_THREAD_THRESHOLD || !canSettleOffThread()) {
+        analytics = computeAnalytics(visible, options);
+        analyticsCache.set(options.includeCategories, { key, result: analytics });
+        return;
+    }
+    const job = { key };
+    job.stop = computeAnalyticsOffThread(visible, options, {
+        onDone: result => {
+            if (analyticsJob !== job) return;
+            analyticsJob = null;
+            analyticsCache.set(options.includeCategories, { key, result });
+            analytics = result;
+            if (isMetric(CENTRALITY_METRICS, viewState.sizeBy)) {
+                updateNodeSizes();
+            } else {
+                styleNodes();
+            }
+            createLegend();
+            renderAnalytics();
+        }
+    }).stop;
+    analyticsJob = job;
+}
+
+// Largest value of a metric, worked out once per analytics result as every
+// node asks for it
+const metricMaxima = new WeakMap();
+
+function metricMax(metricId) {
+    if (!metricMaxima.has(analytics)) metricMaxima.set(analytics, new Map());
+    const maxima = metricMaxima.get(analytics);
+    if (!maxima.has(metricId)) {
+        maxima.set(metricId, Math.max(0, ...[...analytics.metrics.values()].map(m => m[metricId])));
+    }
+    return maxima.get(metricId);
+}
+
+// Categories are drawn larger; sizing by a metric scales nodes from 0.6× to 2×
+// the chosen size by area, so a few very central nodes don't dwarf the rest
+function nodeRadius(d) {
+    // A collapsed category grows with the number of members it stands for
+    const collapsedCount = isCollapsedCategory(d) ? grouping.collapsedMembers.get(d.id).length : 0;
+    const radius = collapsedCount ? nodeSize * (1.3 + 0.3 * Math.sqrt(collapsedCount))
+        : d.type === 'category' ? nodeSize * 1.3 : nodeSize;
+    const metrics = analytics && analytics.metrics.get(d.id);
+    if (!metrics || !isMetric(CENTRALITY_METRICS, viewState.sizeBy)) return radius;
+    const max = metricMax(viewState.sizeBy);
+    return radius * (0.6 + 1.4 * Math.sqrt(max > 0 ? metrics[viewState.sizeBy] / max : 0));
+}
+
+function nodeShape(d) {
+    return shapePath(getTypeShape(d.type), nodeRadius(d));
+}
+
+// Type color, one color per component/community, or a low-to-high scale for a
+// centrality. Organizations left out of the analytics (categories) are grey.
+function nodeColor(d) {
+    const colorBy = viewState.colorBy;
+    if (!isMetric(GROUP_METRICS, colorBy) && !isMetric(CENTRALITY_METRICS, colorBy)) return getTypeColor(d.type);
+    const metrics = analytics && analytics.metrics.get(d.id);
+    if (!metrics) return DEFAULT_TYPE_COLOR;
+    if (isMetric(GROUP_METRICS, colorBy)) return d3.schemeTableau10[(metrics[colorBy] - 1) % 10];
+    const max = metricMax(colorBy);
+    return d3.interpolateViridis(max > 0 ? metrics[colorBy] / max : 0);
+}
+
+// Apply the analytics sizing and coloring to the drawn nodes
+function styleNodes() {
+    nodes.attr('d', nodeShape).attr('fill', nodeColor);
+    nodeLabels.attr('dy', d => nodeRadius(d) + 15);
+    simulation.force('collision').radius(d => nodeRadius(d) + 5);
+}
+
+function updateNodeSizes() {
+    styleNodes();
+    restartLayout(0.3);
+}
+
+// Tooltip lines for the metrics that size or color the nodes
+function describeNodeMetrics(d) {
+    const metrics = analytics && analytics.metrics.get(d.id);
+    const metricIds = [...new Set([viewState.sizeBy, viewState.colorBy])]
+        .filter(id => isMetric(CENTRALITY_METRICS, id) || isMetric(GROUP_METRICS, id));
+    if (!metrics || !metricIds.length) return '';
+    return metricIds
+        .map(id => html`<p><strong>${metricLabel(id)}:</strong> ${formatMetric(id, metrics[id])}</p>`);
+}
+
+// Analytics panel: network summary, the most central organizations and the brokers
+function renderAnalytics() {
+    const plural = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+    if (!analytics) {
+        d3.select('#analyticsSummary').text(analyticsJob ? 'Working out the analytics…' : '');
+        d3.select('#centralityTable').selectAll('*').remove();
+        d3.select('#brokerList').selectAll('*').remove();
+        return;
+    }
+    
+    d3.select('#analyticsSummary').text(
+        `${plural(analytics.organizationCount, 'organization', 'organizations')}, ` +
+        `${plural(analytics.components.length, 'component', 'components')}, ` +
+        `${plural(analytics.communities.length, 'community', 'communities')} ` +
+        `(modularity ${analytics.modularity.toFixed(2)}), density ${analytics.density.toFixed(2)}`
+    );
+    
+    // Most central organizations by the chosen column; clicking a row focuses the node
+    const columns = [...CENTRALITY_METRICS, { id: 'community', label: 'Community' }];
+    const rows = [...analytics.metrics.entries()]
+        .map(([id, metrics]) => ({ id, name: dataIndex.getOrganization(id).name, ...metrics }))
+        .sort((a, b) => b[analyticsSort] - a[analyticsSort] || a.name.localeCompare(b.name))
+        .slice(0, ANALYTICS_TABLE_LIMIT);
+    
+    const table = d3.select('#centralityTable');
+    table.selectAll('*').remove();
+    const header = table.append('thead').append('tr');
+    header.append('th').text('Organization');
+    columns.forEach(column => {
+        const sortable = isMetric(CENTRALITY_METRICS, column.id);
+        const sortByColumn = () => {
+            analyticsSort = column.id;
+            renderAnalytics();
+        };
+        const th = header.append('th')
+            .classed('sortable', sortable)
+            .classed('sorted', column.id === analyticsSort)
+            .attr('aria-sort', column.id === analyticsSort ? 'descending' : null)
+            .text(column.label);
+        if (sortable) {
+            th.attr('tabindex', 0)
+                .on('click', sortByColumn)
+                .on('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        sortByColumn();
+                    }
+                });
+        }
+    });
+    
+    const tableRows = table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .enter()
+        .append('tr')
+        .attr('title', 'Show in the network')
+        .on('click', (event, row) => {
+            focusNode(row.id);
+        });
+    tableRows.append('td').text(row => row.name);
+    columns.forEach(column => {
+        tableRows.append('td').text(row => formatMetric(column.id, row[column.id]));
+    });
+    
+    // Brokers: removing them splits the network, or they link other communities
+    const brokerList = d3.select('#brokerList');
+    brokerList.selectAll('*').remove();
+    const brokers = analytics.brokers.slice(0, ANALYTICS_TABLE_LIMIT);
+    brokerList.selectAll('li')
+        .data(brokers.length ? brokers : [null])
+        .enter()
+        .append('li')
+        .text(id => {
+            if (!id) return 'None: every organization can be reached without a go-between.';
+            const metrics = analytics.metrics.get(id);
+            const reasons = [];
+            if (metrics.articulation) reasons.push('removing it splits the network');
+            if (metrics.communitiesLinked) {
+                reasons.push(`links ${plural(metrics.communitiesLinked, 'other community', 'other communities')}`);
+            }
+            return `${dataIndex.getOrganization(id).name}: ${reasons.join(', ')}`;
+        });
+}
+
+// Ids of the organizations the timeline, facets and search leave, or null when nothing is filtered
+function getVisibleOrganizationIds() {
+    if (!data || (!searchTerm && !hasActiveFacets(facets) && !viewState.date)) return null;
+    return new Set(visible.organizations.filter(searchQuery.matches).map(org => org.id));
+}
+
+// The current dataset without the simulation's positions (d3 adds x, y, vx, vy
+// to the rendered organizations), for exporting
+function getExportDataset() {
+    return normalizeDataset(store.getData());
+}
+
+function filterNodes() {
+    if (!data || !nodes) return;
+    
+    // Without a search everything is shown at normal opacity
+    const searchResults = d3.select('#search-results');
+    if (!searchTerm) {
         searchResults.style('display', 'none');
+        removeHighlighting();
+        return;
+    }
+    
+    // Filter organizations based on search term
+    const visibleIds = getVisibleOrganizationIds();
+    
+    // Update search results counter
+    searchResults
+        .style('display', 'block')
+        .text(`Found ${visibleIds.size} of ${visible.organizations.length} organizations`);
+    
+    // A highlighted path takes precedence over the search dimming
+    if (getPathHighlight()) {
+        highlightPath();
+        return;
     }
     
     // Update node visibility
-    nodes.style('opacity', d => {
-        return filteredOrgs.some(org => org.id === d.id) ? 1 : 0.3;
-    });
+    nodes.classed('on-path', false).style('opacity', d => visibleIds.has(d.id) ? 1 : 0.3);
     
     // Update label visibility
-    nodeLabels.style('opacity', d => {
-        const isVisible = filteredOrgs.some(org => org.id === d.id);
-        return isVisible && showLabels ? 1 : 0;
-    });
+    nodeLabels.style('opacity', d => visibleIds.has(d.id) && showLabels ? 1 : 0);
     
     // Update link visibility
-    links.style('opacity', d => {
-        const sourceVisible = filteredOrgs.some(org => org.id === d.source.id);
-        const targetVisible = filteredOrgs.some(org => org.id === d.target.id);
-        return sourceVisible && targetVisible ? 1 : 0.1;
-    });
+    links.classed('on-path', false).style('opacity', d => 
+        visibleIds.has(d.source.id) && visibleIds.has(d.target.id) ? 1 : 0.1
+    );
+}
+
+// Update the visualization to the current data, filters and view, keeping
+// the zoom and the positions of the nodes still drawn (alpha 1 lays the
+// network out afresh)
+function redrawNetwork(alpha = 0.3) {
+    simulation.stop();
+    stopLayoutWorker();
+    updateNetwork(alpha);
+    
+    // Keep the current search applied
+    if (searchTerm) filterNodes();
+}
+
+// The palette picked in the header recolored the types: redraw in the new
+// colors, keeping the positions
+function recolorTypes() {
+    if (data) redrawNetwork();
 }
 
 // Function to reload data and refresh visualization
 async function reloadData() {
     try {
-        console.log('Reloading data...');
-        const response = await fetch(`organizations.json?t=${Date.now()}`);
-        data = await response.json();
-        console.log('Reloaded data:', data);
-        
-        // Clear existing visualization
-        d3.select('#network-svg').selectAll('*').remove();
-        
-        // Recreate visualization
-        setupVisualization();
-        createNetwork();
-        
-        console.log('Visualization refreshed with new data');
+        // Kept so the reloaded data can be compared with it
+        previousData = store.getData();
+        data = await loadData();
+        redrawNetwork();
     } catch (error) {
         console.error('Error reloading data:', error);
     }
 }
 
-// Add keyboard shortcut to reload data (Ctrl+R or Cmd+R)
-document.addEventListener('keydown', function(event) {
-    if ((event.ctrlKey || event.metaKey) && event.key === 'r') {
-        event.preventDefault();
-        reloadData();
+// Live updates (viewState.live): look for changes to the data every
+// LIVE_UPDATE_INTERVAL and apply them as a reload does. They wait while the
+// editor is on, so changes being made aren't swept away.
+function setLiveUpdates(on) {
+    clearInterval(liveUpdateTimer);
+    liveUpdateTimer = on ? setInterval(checkForUpdates, LIVE_UPDATE_INTERVAL) : null;
+    d3.select('#liveUpdates').property('checked', on);
+}
+
+async function checkForUpdates() {
+    if (checkingForUpdates || editMode) return;
+    checkingForUpdates = true;
+    try {
+        if (await dataSource.hasChanged()) await reloadData();
+    } catch (error) {
+        console.error('Error checking for data changes:', error);
+    } finally {
+        checkingForUpdates = false;
     }
-});
+}
 
 // Initialize the application when the page loads
 document.addEventListener('DOMContentLoaded', init);
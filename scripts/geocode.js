@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Geocode organization addresses into geocode-cache.json for the map view.
+// Only addresses missing from the cache are looked up (with OpenStreetMap's
+// Nominatim, one request per second as its usage policy asks), so run this
+// after adding or changing addresses and commit the updated cache.
+// Usage: npm run geocode [-- path/to/organizations.json] [--refresh]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve, dirname, join } from 'node:path';
+import { normalizeDataset } from '../lib/model.js';
+import {
+    GEOCODE_CACHE_URL,
+    normalizeAddress,
+    isVirtualAddress,
+    hasManualLocation,
+    parseGeocodeCache,
+    formatGeocodeCache
+} from '../lib/geocode.js';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const REQUEST_INTERVAL_MS = 1100;
+
+const sleep = ms => new Promise(done => setTimeout(done, ms));
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (fallback !== undefined && error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+// { lat, lng } for an address, or null when Nominatim finds nothing
+async function geocode(address) {
+    const url = `${NOMINATIM_URL}?format=json&limit=1&countrycodes=us&q=${encodeURIComponent(address)}`;
+    const response = await fetch(url, {
+        headers: { 'User-Agent': 'ecosystem-visualization geocoder (https://github.com/yingzhounyc/ecosystem-visualization)' }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const [match] = await response.json();
+    return match ? { lat: Number(match.lat), lng: Number(match.lon) } : null;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const refresh = args.includes('--refresh');
+    const file = resolve(args.find(arg => !arg.startsWith('--')) || 'organizations.json');
+    const cacheFile = join(dirname(file), GEOCODE_CACHE_URL);
+
+    let data;
+    let cache;
+    try {
+        data = normalizeDataset(await readJson(file));
+        cache = refresh ? new Map() : parseGeocodeCache(await readJson(cacheFile, {}));
+    } catch (error) {
+        console.error(`✖ Could not read ${error.path || file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Addresses that still need a lookup; manual locations and virtual offices don't
+    const pending = new Map();
+    data.organizations.forEach(org => {
+        const address = normalizeAddress(org.address);
+        if (!address || hasManualLocation(org) || cache.has(address)) return;
+        if (isVirtualAddress(address)) {
+            cache.set(address, null);
+            return;
+        }
+        pending.set(address, org.address.trim());
+    });
+
+    let found = 0;
+    let failed = 0;
+    for (const [address, original] of pending) {
+        try {
+            const location = await geocode(original);
+            cache.set(address, location);
+            if (location) {
+                found++;
+                console.log(`✔ ${original} → ${location.lat}, ${location.lng}`);
+            } else {
+                console.warn(`⚠ not found  ${original} (add latitude/longitude to the organization)`);
+            }
+        } catch (error) {
+            // Left out of the cache so the next run tries again
+            failed++;
+            console.error(`✖ ${original}: ${error.message}`);
+        }
+        await sleep(REQUEST_INTERVAL_MS);
+    }
+
+    await writeFile(cacheFile, `${JSON.stringify(formatGeocodeCache(cache), null, 2)}\n`);
+    console.log(`\n${cacheFile}: ${cache.size} addresses, ${found} newly geocoded, ${failed} failed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main();
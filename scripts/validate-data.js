@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Offline integrity check for organizations.json, using the same rules as the browser views.
+// A file listed in datasets.json is checked against the types its entry defines.
+// Usage: npm run validate [-- path/to/organizations.json]
+
+import { readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { configureTypes, prepareDataset } from '../lib/model.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST_FILE = resolve(ROOT, 'datasets.json');
+
+// Use the organization and relationship types of the file's datasets.json
+// entry, if it has one
+async function configureTypesFor(file) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        return;
+    }
+    const entry = (manifest.datasets || []).find(dataset =>
+        dataset && typeof dataset.data === 'string' && resolve(ROOT, dataset.data.split('?')[0]) === file
+    );
+    if (entry) configureTypes(entry);
+}
+
+async function main() {
+    const file = resolve(process.argv[2] || 'organizations.json');
+
+    let data;
+    try {
+        data = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`✖ Could not read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+
+    await configureTypesFor(file);
+    const { report } = prepareDataset(data);
+
+    report.errors.forEach(issue => console.error(`✖ error    ${issue.path}: ${issue.message}`));
+    report.warnings.forEach(issue => console.warn(`⚠ warning  ${issue.path}: ${issue.message}`));
+
+    // The file may not hold an object at all (e.g. `null`); that is one of the errors above
+    const dataset = data && typeof data === 'object' ? data : {};
+    const organizations = Array.isArray(dataset.organizations) ? dataset.organizations.length : 0;
+    const relationships = Array.isArray(dataset.relationships) ? dataset.relationships.length : 0;
+    console.log(`\n${file}: ${organizations} organizations, ${relationships} relationships, ` +
+        `${report.errors.length} errors, ${report.warnings.length} warnings`);
+
+    // Warnings are informational; only errors fail the command
+    process.exit(report.valid ? 0 : 1);
+}
+
+main();
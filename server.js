@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+// Local development server: serves the static site and a small REST API
+// backed by organizations.json, so edits made in the browser are saved to disk.
+// Every API path takes an optional ?dataset=<id> to work on another dataset
+// from datasets.json instead.
+//
+//   GET    /api/dataset                           whole file (ETag for If-Match; 304 for a current If-None-Match)
+//   PUT    /api/dataset                           replace whole file
+//   GET    /api/organizations                     list
+//   POST   /api/organizations                     add
+//   GET    /api/organizations/:id                 one organization
+//   PUT    /api/organizations/:id                 update
+//   DELETE /api/organizations/:id                 delete (and its relationships)
+//   GET    /api/relationships[?organization=id]   list
+//   POST   /api/relationships                     add
+//   PUT    /api/relationships/:source/:target/:type
+//   DELETE /api/relationships/:source/:target/:type
+//
+// Edits answer with the file's new ETag, and the one it had right before the
+// edit in X-Previous-ETag. PUT /api/dataset and every edit take If-Match.
+//
+// The API has no authentication, so the server only listens on this computer
+// unless HOST says otherwise, and sends no CORS headers: other websites open in
+// the browser can't call it. Requests with a body must be JSON, which browsers
+// don't send across origins without asking first.
+//
+// Usage: npm start  (PORT, HOST and DATA_FILE environment variables override the defaults)
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile, writeFile, rename, copyFile, mkdir, readdir, unlink, stat } from 'node:fs/promises';
+import { dirname, extname, join, normalize, resolve, sep, basename } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { prepareDataset } from './lib/model.js';
+import { createDatasetStore, relationshipKey } from './lib/dataset-store.js';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 8000;
+// HOST=0.0.0.0 makes the server (and its API) reachable from other computers
+const HOST = process.env.HOST || '127.0.0.1';
+const DATA_FILE = resolve(ROOT, process.env.DATA_FILE || 'organizations.json');
+const MANIFEST_FILE = join(ROOT, 'datasets.json');
+const BACKUP_DIR = join(dirname(DATA_FILE), 'backups');
+const MAX_BACKUPS = 20;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ---- Data file access ----
+
+function versionOf(text) {
+    return `"${createHash('sha1').update(text).digest('hex')}"`;
+}
+
+// The data file of a request: DATA_FILE, or the file datasets.json lists for
+// its ?dataset=<id>. Only .json files inside the project folder are used.
+async function dataFileFor(request) {
+    const id = new URL(request.url, 'http://localhost').searchParams.get('dataset');
+    if (!id) return DATA_FILE;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        throw new HttpError(404, `Unknown dataset "${id}" (no readable datasets.json)`);
+    }
+    const entry = (manifest.datasets || []).find(dataset => dataset && dataset.id === id);
+    if (!entry || typeof entry.data !== 'string') throw new HttpError(404, `Unknown dataset "${id}"`);
+
+    const file = resolve(ROOT, entry.data.split('?')[0]);
+    if (!file.startsWith(ROOT + sep) || extname(file) !== '.json') {
+        throw new HttpError(400, `Dataset "${id}" must be a .json file inside the project folder`);
+    }
+    // A manifest entry whose file was moved or never added is the client's
+    // unknown dataset, not a server error
+    try {
+        await stat(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new HttpError(404, `Dataset "${id}" has no data file (${entry.data})`);
+        throw error;
+    }
+    return file;
+}
+
+async function readDataset(file) {
+    const text = await readFile(file, 'utf8');
+    return { data: JSON.parse(text), version: versionOf(text) };
+}
+
+// Keep a timestamped copy of the current file, pruning the oldest copies of that file
+async function backupDataset(file) {
+    await mkdir(BACKUP_DIR, { recursive: true });
+    const prefix = `${basename(file, '.json')}-`;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await copyFile(file, join(BACKUP_DIR, `${prefix}${stamp}.json`));
+
+    // The timestamp right after the prefix, so the backups of "data.json" aren't
+    // mistaken for those of "data-2.json"
+    const backups = (await readdir(BACKUP_DIR))
+        .filter(name => name.startsWith(prefix) && /^\d{4}-.*\.json$/.test(name.slice(prefix.length)))
+        .sort();
+    await Promise.all(backups.slice(0, Math.max(0, backups.length - MAX_BACKUPS))
+        .map(name => unlink(join(BACKUP_DIR, name))));
+}
+
+// Write to a temporary file and rename it over the original, so a crash
+// mid-write never leaves a truncated data file behind
+async function writeDataset(file, data) {
+    const text = JSON.stringify(data, null, 2) + '\n';
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await backupDataset(file);
+    await writeFile(tempFile, text, 'utf8');
+    await rename(tempFile, file);
+    return versionOf(text);
+}
+
+// Serialize read-modify-write cycles so concurrent requests can't lose updates
+let writeQueue = Promise.resolve();
+function withWriteLock(task) {
+    const run = writeQueue.then(task);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+// Load the file into a dataset store, apply one edit and save it if valid
+function editDataset(request, edit) {
+    return withWriteLock(async () => {
+        const file = await dataFileFor(request);
+        const { data, version } = await readDataset(file);
+        checkVersion(request, version);
+
+        const store = createDatasetStore(data, { persist: false });
+        const result = edit(store);
+        if (!result.ok) {
+            throw new HttpError(422, result.errors[0].message, { errors: result.errors, warnings: result.warnings });
+        }
+        const newVersion = await writeDataset(file, store.getData());
+        return { store, version: newVersion, previousVersion: version, warnings: result.warnings };
+    });
+}
+
+function checkVersion(request, version) {
+    const expected = request.headers['if-match'];
+    if (expected && expected !== '*' && expected !== version) {
+        throw new HttpError(412, 'The data file was changed by someone else; reload and try again');
+    }
+}
+
+// ---- HTTP helpers ----
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], ...headers });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+async function readJsonBody(request) {
+    if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+        throw new HttpError(415, 'Request body must be sent as application/json');
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON: ${error.message}`);
+    }
+}
+
+function requireObject(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+// A path segment of an API URL, decoded; a malformed escape such as %E0%A4%A
+// is the client's mistake
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw new HttpError(400, `Malformed URL: ${segment}`);
+    }
+}
+
+function relationshipKeyFromParams(params) {
+    return params.map(decodeSegment).join('|');
+}
+
+// ---- API handlers ----
+
+// The file's version after an edit, and right before it: the editor compares
+// the latter with the version it has, to know whether anyone else's edit got in
+// between (see lib/data-source.js)
+function editHeaders({ version, previousVersion }) {
+    return { ETag: version, 'X-Previous-ETag': previousVersion };
+}
+
+// A client checking for changes sends the version it has in If-None-Match and
+// gets a 304 without the data while that is still current
+async function getDataset(request, response) {
+    const { data, version } = await readDataset(await dataFileFor(request));
+    if (request.headers['if-none-match'] === version) {
+        response.writeHead(304, { ETag: version });
+        response.end();
+        return;
+    }
+    sendJson(response, 200, data, { ETag: version });
+}
+
+async function putDataset(request, response) {
+    const body = requireObject(await readJsonBody(request));
+
+    const result = await withWriteLock(async () => {
+        const file = await dataFileFor(request);
+        const { data: current, version } = await readDataset(file);
+        checkVersion(request, version);
+
+        // Only reject errors the upload introduces; problems already in the file
+        // should not block unrelated fixes
+        const existing = new Set(prepareDataset(current).report.errors.map(issue => issue.message));
+        const { report } = prepareDataset(body);
+        const introduced = report.errors.filter(issue => !existing.has(issue.message));
+        if (introduced.length) {
+            throw new HttpError(422, introduced[0].message, { errors: introduced });
+        }
+        return { version: await writeDataset(file, body), warnings: report.warnings };
+    });
+
+    sendJson(response, 200, { ok: true, warnings: result.warnings }, { ETag: result.version });
+}
+
+async function listOrganizations(request, response) {
+    const { data, version } = await readDataset(await dataFileFor(request));
+    sendJson(response, 200, data.organizations, { ETag: version });
+}
+
+async function getOrganization(request, response, [rawId]) {
+    const id = decodeSegment(rawId);
+    const { data } = await readDataset(await dataFileFor(request));
+    const org = data.organizations.find(o => o.id === id);
+    if (!org) throw new HttpError(404, `Organization "${id}" not found`);
+    sendJson(response, 200, org);
+}
+
+async function createOrganization(request, response) {
+    const body = requireObject(await readJsonBody(request));
+    let createdId = body.id;
+    const { store, warnings, ...versions } = await editDataset(request, datasetStore => {
+        if (!createdId) createdId = datasetStore.nextOrganizationId();
+        return datasetStore.addOrganization({ ...body, id: createdId });
+    });
+    sendJson(response, 201, { organization: store.getOrganization(createdId), warnings }, editHeaders(versions));
+}
+
+async function updateOrganization(request, response, [rawId]) {
+    const id = decodeSegment(rawId);
+    const body = requireObject(await readJsonBody(request));
+    const { store, warnings, ...versions } = await editDataset(request, datasetStore => {
+        if (!datasetStore.getOrganization(id)) throw new HttpError(404, `Organization "${id}" not found`);
+        return datasetStore.updateOrganization(id, body);
+    });
+    sendJson(response, 200, { organization: store.getOrganization(id), warnings }, editHeaders(versions));
+}
+
+async function deleteOrganization(request, response, [rawId]) {
+    const id = decodeSegment(rawId);
+    const versions = await editDataset(request, datasetStore => {
+        if (!datasetStore.getOrganization(id)) throw new HttpError(404, `Organization "${id}" not found`);
+        return datasetStore.deleteOrganization(id);
+    });
+    sendJson(response, 200, { ok: true }, editHeaders(versions));
+}
+
+async function listRelationships(request, response) {
+    const { data, version } = await readDataset(await dataFileFor(request));
+    const organization = new URL(request.url, 'http://localhost').searchParams.get('organization');
+    const relationships = organization
+        ? data.relationships.filter(rel => rel.source === organization || rel.target === organization)
+        : data.relationships;
+    sendJson(response, 200, relationships, { ETag: version });
+}
+
+async function createRelationship(request, response) {
+    const body = requireObject(await readJsonBody(request));
+    const { store, warnings, ...versions } = await editDataset(request, datasetStore => datasetStore.addRelationship(body));
+    // As stored: trimmed, without empty dates, appended at the end
+    const { relationships } = store.getData();
+    sendJson(response, 201, { relationship: relationships[relationships.length - 1], warnings }, editHeaders(versions));
+}
+
+async function updateRelationship(request, response, params) {
+    const key = relationshipKeyFromParams(params);
+    const body = requireObject(await readJsonBody(request));
+    let index = -1;
+    const { store, warnings, ...versions } = await editDataset(request, datasetStore => {
+        const existing = datasetStore.getRelationship(key);
+        if (!existing) throw new HttpError(404, 'Relationship not found');
+        index = datasetStore.getData().relationships.findIndex(rel => relationshipKey(rel) === key);
+        return datasetStore.updateRelationship(key, { ...existing, ...body });
+    });
+    // As stored, in the place of the one it replaced
+    sendJson(response, 200, { relationship: store.getData().relationships[index], warnings }, editHeaders(versions));
+}
+
+async function deleteRelationship(request, response, params) {
+    const key = relationshipKeyFromParams(params);
+    const versions = await editDataset(request, datasetStore => {
+        if (!datasetStore.getRelationship(key)) throw new HttpError(404, 'Relationship not found');
+        return datasetStore.deleteRelationship(key);
+    });
+    sendJson(response, 200, { ok: true }, editHeaders(versions));
+}
+
+const RELATIONSHIP_PATH = /^\/api\/relationships\/([^/]+)\/([^/]+)\/([^/]+)$/;
+
+const routes = [
+    ['GET', /^\/api\/dataset$/, getDataset],
+    ['PUT', /^\/api\/dataset$/, putDataset],
+    ['GET', /^\/api\/organizations$/, listOrganizations],
+    ['POST', /^\/api\/organizations$/, createOrganization],
+    ['GET', /^\/api\/organizations\/([^/]+)$/, getOrganization],
+    ['PUT', /^\/api\/organizations\/([^/]+)$/, updateOrganization],
+    ['DELETE', /^\/api\/organizations\/([^/]+)$/, deleteOrganization],
+    ['GET', /^\/api\/relationships$/, listRelationships],
+    ['POST', /^\/api\/relationships$/, createRelationship],
+    ['PUT', RELATIONSHIP_PATH, updateRelationship],
+    ['DELETE', RELATIONSHIP_PATH, deleteRelationship]
+];
+
+async function handleApi(request, response, pathname) {
+    const pathMatches = routes.filter(([, pattern]) => pattern.test(pathname));
+    if (!pathMatches.length) throw new HttpError(404, `No API route for ${pathname}`);
+
+    const route = pathMatches.find(([method]) => method === request.method);
+    if (!route) {
+        throw new HttpError(405, `${request.method} is not supported for ${pathname}`);
+    }
+
+    const [, pattern, handler] = route;
+    await handler(request, response, pattern.exec(pathname).slice(1));
+}
+
+// ---- Static files ----
+
+// Mirrors the rewrite in vercel.json
+const STATIC_REWRITES = { '/': '/index.html', '/list-view': '/list-view.html', '/map-view': '/map-view.html' };
+
+// The files the site is made of, as vercel.json publishes them: the pages with
+// their styles and scripts, lib/, the data files and images. Everything else
+// (this server, scripts/, package.json, backups) isn't served.
+const STATIC_FILES = [
+    /^[\w-]+\.(html|css)$/,
+    /^(script|list-view|map-view)\.js$/,
+    /^lib\/[\w-]+\.js$/,
+    /^(organizations|datasets|geocode-cache)\.json$/,
+    /^datasets\/[\w-]+\.json$/,
+    /^[\w-]+\.(png|jpg|svg|ico)$/
+];
+
+async function serveStatic(request, response, pathname) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(STATIC_REWRITES[pathname] || pathname);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+    const relativePath = normalize(decodedPath).replace(/^[/\\]+/, '');
+    const filePath = join(ROOT, relativePath);
+
+    // No escaping the project folder, and only the site's own files
+    const sitePath = relativePath.split(sep).join('/');
+    if (!filePath.startsWith(ROOT + sep) || !STATIC_FILES.some(pattern => pattern.test(sitePath))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    let info;
+    try {
+        info = await stat(filePath);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+    if (!info.isFile()) throw new HttpError(404, 'Not found');
+
+    response.writeHead(200, {
+        'Content-Type': MIME_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : await readFile(filePath));
+}
+
+const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(request, response, pathname);
+        } else {
+            await serveStatic(request, response, pathname);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(`${request.method} ${request.url} failed:`, error);
+        if (!response.headersSent) {
+            sendJson(response, status, { error: error.message, ...(error.details || {}) });
+        } else {
+            response.end();
+        }
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    const host = HOST === '127.0.0.1' ? 'localhost' : HOST;
+    console.log(`Ecosystem visualization running at http://${host}:${PORT}`);
+    console.log(`Reading and writing ${DATA_FILE} (backups in ${BACKUP_DIR})`);
+});
@@ -0,0 +1,98 @@
+// Network analytics (lib/analytics.js) on small graphs whose centralities,
+// articulation points and communities can be worked out by hand.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeAnalytics } from '../lib/analytics.js';
+
+function graph(ids, links) {
+    return {
+        organizations: ids.map(id => ({ id, name: id, type: 'education' })),
+        relationships: links.map(([source, target, type = 'partnership']) => ({ source, target, type }))
+    };
+}
+
+function metric(result, name) {
+    return Object.fromEntries([...result.metrics].map(([id, m]) => [id, m[name]]));
+}
+
+function assertClose(actual, expected) {
+    Object.keys(expected).forEach(id => {
+        assert.ok(Math.abs(actual[id] - expected[id]) < 1e-9, `${id}: expected ${expected[id]}, got ${actual[id]}`);
+    });
+}
+
+function articulationPoints(result) {
+    return [...result.metrics].filter(([, m]) => m.articulation).map(([id]) => id).sort();
+}
+
+// hub joined to four leaves
+const STAR = graph(['hub', 'a', 'b', 'c', 'd'], [['hub', 'a'], ['hub', 'b'], ['hub', 'c'], ['hub', 'd']]);
+// a–b–c–d–e
+const PATH = graph(['a', 'b', 'c', 'd', 'e'], [['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'e']]);
+// a–b–c–d–a
+const SQUARE = graph(['a', 'b', 'c', 'd'], [['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'a']]);
+
+test('betweenness on a star, a path and a cycle', () => {
+    assertClose(metric(computeAnalytics(STAR), 'betweenness'), { hub: 1, a: 0, b: 0, c: 0, d: 0 });
+    // b lies on 3 of the 6 pairs of the others, c on 4
+    assertClose(metric(computeAnalytics(PATH), 'betweenness'), { a: 0, b: 1 / 2, c: 2 / 3, d: 1 / 2, e: 0 });
+    // Each node carries half of the one pair it sits between
+    assertClose(metric(computeAnalytics(SQUARE), 'betweenness'), { a: 1 / 6, b: 1 / 6, c: 1 / 6, d: 1 / 6 });
+});
+
+test('closeness is the inverse mean distance, scaled by how much is reachable', () => {
+    assertClose(metric(computeAnalytics(STAR), 'closeness'), { hub: 1, a: 4 / 7 });
+    assertClose(metric(computeAnalytics(PATH), 'closeness'), { a: 4 / 10, b: 4 / 7, c: 4 / 6 });
+
+    // Two separate pairs: each reaches one of the three others at distance 1
+    const pairs = graph(['a', 'b', 'c', 'd'], [['a', 'b'], ['c', 'd']]);
+    assertClose(metric(computeAnalytics(pairs), 'closeness'), { a: 1 / 3, b: 1 / 3, c: 1 / 3, d: 1 / 3 });
+
+    const loner = graph(['a', 'b', 'c'], [['a', 'b']]);
+    assertClose(metric(computeAnalytics(loner), 'closeness'), { c: 0 });
+});
+
+test('articulation points are the organizations that split their component', () => {
+    assert.deepEqual(articulationPoints(computeAnalytics(STAR)), ['hub']);
+    assert.deepEqual(articulationPoints(computeAnalytics(PATH)), ['b', 'c', 'd']);
+    assert.deepEqual(articulationPoints(computeAnalytics(SQUARE)), []);
+
+    // Two triangles sharing c, with a tail d–f off the second one
+    const bowtie = graph(['a', 'b', 'c', 'd', 'e', 'f'], [
+        ['a', 'b'], ['b', 'c'], ['c', 'a'], ['c', 'd'], ['d', 'e'], ['e', 'c'], ['d', 'f']
+    ]);
+    assert.deepEqual(articulationPoints(computeAnalytics(bowtie)), ['c', 'd']);
+});
+
+test('Louvain separates two cliques joined by one relationship', () => {
+    const ids = ['a1', 'a2', 'a3', 'a4', 'b1', 'b2', 'b3', 'b4'];
+    const clique = members => members.flatMap((id, i) => members.slice(i + 1).map(other => [id, other]));
+    const data = graph(ids, [...clique(ids.slice(0, 4)), ...clique(ids.slice(4)), ['a1', 'b1']]);
+    const result = computeAnalytics(data);
+
+    assert.deepEqual(result.communities.map(community => [...community].sort()).sort(), [ids.slice(0, 4), ids.slice(4)]);
+    // 13 relationships; each community holds 6 and has degree 13
+    assert.ok(Math.abs(result.modularity - 11 / 26) < 1e-9);
+    assert.equal(metric(result, 'communitiesLinked').a1, 1);
+    assert.equal(metric(result, 'communitiesLinked').a2, 0);
+    assert.deepEqual(articulationPoints(result), ['a1', 'b1']);
+    assert.deepEqual([...result.brokers].sort(), ['a1', 'b1']);
+});
+
+test('components, density and categories', () => {
+    const data = graph(['a', 'b', 'c', 'd', 'e'], [['a', 'b'], ['b', 'c'], ['d', 'e']]);
+    data.organizations.push({ id: 'category1', name: 'Category', type: 'category' });
+    data.relationships.push({ source: 'c', target: 'category1', type: 'category_link' });
+    data.relationships.push({ source: 'd', target: 'category1', type: 'category_link' });
+
+    const direct = computeAnalytics(data, { includeCategories: false });
+    assert.deepEqual(direct.components.map(component => [...component].sort()), [['a', 'b', 'c'], ['d', 'e']]);
+    assert.equal(direct.metrics.has('category1'), false);
+    assert.equal(direct.relationshipCount, 3);
+    assert.ok(Math.abs(direct.density - 3 / 10) < 1e-9);
+
+    const withCategories = computeAnalytics(data);
+    assert.equal(withCategories.components.length, 1);
+    assert.equal(withCategories.metrics.get('category1').degree, 2);
+});
@@ -0,0 +1,48 @@
+// CSV parsing and writing (lib/csv.js) as spreadsheets export it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsv } from '../lib/csv.js';
+
+test('quoted fields keep delimiters and escaped quotes', () => {
+    assert.deepEqual(parseCsv('name,tags\n"Alpha, Inc.","say ""hi"""\n'), [
+        ['name', 'tags'],
+        ['Alpha, Inc.', 'say "hi"']
+    ]);
+    assert.deepEqual(parseCsv('a,"",c\n'), [['a', '', 'c']]);
+});
+
+test('quoted fields can span lines', () => {
+    assert.deepEqual(parseCsv('name,address\r\nAlpha,"12 Main St\r\nSuite 4"\r\nBeta,Elm St\r\n'), [
+        ['name', 'address'],
+        ['Alpha', '12 Main St\r\nSuite 4'],
+        ['Beta', 'Elm St']
+    ]);
+});
+
+test('CRLF, LF and a missing final newline all end rows', () => {
+    const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+    assert.deepEqual(parseCsv('a,b\r\n1,2\r\n3,4\r\n'), expected);
+    assert.deepEqual(parseCsv('a,b\n1,2\n3,4'), expected);
+    // Old Mac line endings
+    assert.deepEqual(parseCsv('a,b\r1,2\r3,4\r'), expected);
+});
+
+test('drops a byte order mark and empty rows', () => {
+    assert.deepEqual(parseCsv('\uFEFFname\r\n\r\nAlpha\r\n , \r\n'), [['name'], ['Alpha']]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('guesses semicolon and tab delimiters from the first line', () => {
+    assert.deepEqual(parseCsv('name;city\nAlpha;"Lyon; France"\n'), [['name', 'city'], ['Alpha', 'Lyon; France']]);
+    assert.deepEqual(parseCsv('name\tcity\nAlpha\tLyon, France\n'), [['name', 'city'], ['Alpha', 'Lyon, France']]);
+    assert.deepEqual(parseCsv('a;b,c\n', ','), [['a;b', 'c']]);
+});
+
+test('formatCsv quotes only what needs it and round-trips', () => {
+    const rows = [['name', 'notes'], ['Alpha, Inc.', 'line one\nline two'], ['Beta', 'say "hi"'], ['Gamma', ' padded '], [null, undefined]];
+    const text = formatCsv(rows);
+    assert.equal(text, 'name,notes\r\n"Alpha, Inc.","line one\nline two"\r\nBeta,"say ""hi"""\r\nGamma," padded "\r\n,\r\n');
+    assert.deepEqual(parseCsv(text), rows.slice(0, 4));
+    assert.equal(formatCsv([['a;b', 'c']], ';'), '"a;b";c\r\n');
+});
@@ -0,0 +1,40 @@
+// Safe HTML building (lib/html.js): escaping and which links get through.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { html, raw, escapeHtml, safeUrl, mailtoUrl, telUrl } from '../lib/html.js';
+
+test('html`` escapes values and keeps nested markup', () => {
+    const name = '<b>"Tom" & Jerry\'s</b>';
+    assert.equal(escapeHtml(name), '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;');
+    assert.equal(String(html`<h4>${name}</h4>`), `<h4>${escapeHtml(name)}</h4>`);
+    assert.equal(String(html`<ul>${['a', '<b>'].map(item => html`<li>${item}</li>`)}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    assert.equal(String(html`${false}${null}${undefined}${0}${raw('<br>')}`), '0<br>');
+});
+
+test('safeUrl keeps web, mail and phone links', () => {
+    assert.equal(safeUrl(' https://example.org/a?b=1 '), 'https://example.org/a?b=1');
+    assert.equal(safeUrl('HTTP://example.org'), 'HTTP://example.org');
+    assert.equal(safeUrl('mailto:info@example.org'), 'mailto:info@example.org');
+    assert.equal(safeUrl('tel:5551234'), 'tel:5551234');
+    assert.equal(mailtoUrl(' info@example.org '), 'mailto:info@example.org');
+    assert.equal(telUrl('(555) 123-4567'), 'tel:5551234567');
+    assert.equal(mailtoUrl(''), '');
+});
+
+test('safeUrl takes addresses without a scheme to be https', () => {
+    assert.equal(safeUrl('www.example.org'), 'https://www.example.org');
+    assert.equal(safeUrl('//example.org/path'), 'https://example.org/path');
+    assert.equal(safeUrl('example.org:8080/path'), 'https://example.org:8080/path');
+    assert.equal(safeUrl('example.org:8080'), 'https://example.org:8080');
+    assert.equal(safeUrl('localhost:3000/admin'), 'https://localhost:3000/admin');
+});
+
+test('safeUrl drops other schemes, however they are disguised', () => {
+    ['javascript:alert(1)', 'JavaScript:alert(1)', 'java\tscript:alert(1)', ' \u0001javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox', 'file:///etc/passwd'].forEach(url => {
+        assert.equal(safeUrl(url), '', url);
+    });
+    assert.equal(safeUrl('http://'), '');
+    assert.equal(safeUrl(null), '');
+});
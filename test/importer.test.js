@@ -0,0 +1,111 @@
+// Spreadsheet import (lib/importer.js): what the preview makes of each row and
+// what ends up in the dataset.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildOrganizationImport, buildRelationshipImport, applyImport,
+    guessColumnMapping, ORGANIZATION_IMPORT_FIELDS, RELATIONSHIP_IMPORT_FIELDS
+} from '../lib/importer.js';
+import { createDatasetStore } from '../lib/dataset-store.js';
+
+function sampleData() {
+    return {
+        organizations: [
+            { id: 'org1', name: 'Alpha Labs', type: 'education' },
+            { id: 'org2', name: 'Beta Fund', type: 'investor_funder' }
+        ],
+        relationships: []
+    };
+}
+
+function organizationImport(rows, options) {
+    const mapping = guessColumnMapping(rows[0], ORGANIZATION_IMPORT_FIELDS);
+    return buildOrganizationImport(rows.slice(1), mapping, sampleData(), options);
+}
+
+test('organization rows are new, updates, duplicates or invalid', () => {
+    const rows = [
+        ['Organization', 'Sector', 'Website'],
+        ['Gamma Works', 'Small Business', 'gamma.example'],
+        ['alpha labs', 'education', ''],
+        ['Gamma Works', 'corporation', ''],
+        ['', 'education', ''],
+        ['Delta', '', '']
+    ];
+
+    const items = organizationImport(rows);
+    assert.deepEqual(items.map(item => item.status), ['new', 'duplicate', 'duplicate', 'invalid', 'invalid']);
+    assert.deepEqual(items[0].record, { id: 'org3', name: 'Gamma Works', type: 'small_business', website: 'https://gamma.example' });
+    assert.equal(items[1].matchId, 'org1');
+    assert.deepEqual(items[2].messages, ['Same name as row 1']);
+    assert.deepEqual(items[3].messages, ['Missing name']);
+
+    const updating = organizationImport(rows, { updateExisting: true, defaultType: 'corporation' });
+    assert.deepEqual(updating.map(item => item.status), ['new', 'update', 'duplicate', 'invalid', 'new']);
+    assert.equal(updating[4].record.id, 'org4');
+
+    const store = createDatasetStore(sampleData(), { persist: false });
+    assert.ok(applyImport(store, 'organizations', updating).ok);
+    assert.deepEqual(store.getData().organizations.map(org => `${org.id} ${org.name} ${org.type}`), [
+        'org1 alpha labs education', 'org2 Beta Fund investor_funder', 'org3 Gamma Works small_business', 'org4 Delta corporation'
+    ]);
+});
+
+test('organization rows repeating an id are duplicates, and new ids skip the ones in the file', () => {
+    const items = organizationImport([
+        ['Id', 'Name', 'Type'],
+        ['', 'Gamma', 'education'],
+        ['org3', 'Delta', 'education'],
+        ['org3', 'Epsilon', 'education'],
+        ['org2', 'Zeta', 'education']
+    ]);
+    assert.deepEqual(items.map(item => item.status), ['new', 'new', 'duplicate', 'duplicate']);
+    assert.equal(items[0].record.id, 'org4');
+    assert.deepEqual(items[2].messages, ['Same id "org3" as row 2']);
+    assert.equal(items[3].matchId, 'org2');
+});
+
+test('relationship rows are new, duplicates or invalid', () => {
+    const data = sampleData();
+    data.relationships.push({ source: 'org1', target: 'org2', type: 'partnership' });
+    const items = buildRelationshipImport([
+        ['Alpha Labs', 'Beta Fund', 'Partnership'],
+        ['org2', 'org1', 'Funding Relationship'],
+        ['org2', 'org1', 'funding_relationship'],
+        ['org1', 'Nobody', 'partnership'],
+        ['org1', 'org2', '']
+    ], { source: 0, target: 1, type: 2 }, data);
+
+    assert.deepEqual(items.map(item => item.status), ['duplicate', 'new', 'duplicate', 'invalid', 'invalid']);
+    assert.deepEqual(items[3].messages, ['Unknown organization "Nobody"']);
+    assert.deepEqual(items[4].messages, ['No type; choose a default type for rows without one']);
+});
+
+test('relationship rows keep their start and end dates', () => {
+    const data = sampleData();
+    const rows = [
+        ['From', 'To', 'Type', 'Start Date', 'End Date'],
+        ['Alpha Labs', 'org2', 'partnership', '2023-01-15', '2024-06-30']
+    ];
+    const mapping = guessColumnMapping(rows[0], RELATIONSHIP_IMPORT_FIELDS);
+    const items = buildRelationshipImport(rows.slice(1), mapping, data);
+
+    assert.equal(items[0].status, 'new');
+    assert.equal(items[0].record.startDate, '2023-01-15');
+    assert.equal(items[0].record.endDate, '2024-06-30');
+
+    const store = createDatasetStore(data, { persist: false });
+    assert.ok(applyImport(store, 'relationships', items, 'dated.csv').ok);
+    assert.deepEqual(store.getData().relationships, [
+        { source: 'org1', target: 'org2', type: 'partnership', description: '', startDate: '2023-01-15', endDate: '2024-06-30' }
+    ]);
+});
+
+test('relationship rows without dates get no date fields', () => {
+    const data = sampleData();
+    const items = buildRelationshipImport([['org1', 'org2', 'partnership']], { source: 0, target: 1, type: 2, description: -1, startDate: -1, endDate: -1 }, data);
+    const store = createDatasetStore(data, { persist: false });
+    assert.ok(applyImport(store, 'relationships', items).ok);
+    assert.deepEqual(Object.keys(store.getData().relationships[0]), ['source', 'target', 'type', 'description']);
+});
@@ -0,0 +1,76 @@
+// Path finder (lib/paths.js): every shortest path between two organizations,
+// unconnected pairs and paths that would pass through a category.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findShortestPaths } from '../lib/paths.js';
+
+function dataset(ids, links) {
+    return {
+        organizations: ids.map(id => ({ id, name: id })),
+        relationships: links.map(([source, target, type = 'partnership']) => ({ source, target, type }))
+    };
+}
+
+function routes(result) {
+    return result.paths.map(path => path.organizationIds.join('>')).sort();
+}
+
+test('finds every path of the shortest length', () => {
+    // a–b–d and a–c–d are both two steps; a–e–f–d is longer
+    const data = dataset(['a', 'b', 'c', 'd', 'e', 'f'], [
+        ['a', 'b'], ['b', 'd'], ['a', 'c'], ['c', 'd'], ['a', 'e'], ['e', 'f'], ['f', 'd']
+    ]);
+    const result = findShortestPaths(data, 'a', 'd');
+    assert.deepEqual(routes(result), ['a>b>d', 'a>c>d']);
+    assert.equal(result.truncated, false);
+});
+
+test('relationships count in either direction and are listed per step', () => {
+    const data = dataset(['a', 'b', 'c'], [
+        ['b', 'a', 'funding_relationship'], ['a', 'b', 'collaboration'], ['c', 'b']
+    ]);
+    const [path] = findShortestPaths(data, 'a', 'c').paths;
+    assert.deepEqual(path.organizationIds, ['a', 'b', 'c']);
+    assert.deepEqual(path.steps.map(rels => rels.map(rel => rel.type)), [
+        ['funding_relationship', 'collaboration'],
+        ['partnership']
+    ]);
+});
+
+test('stops at the limit and says so', () => {
+    const data = dataset(['a', 'b', 'c', 'd', 'z'], [
+        ['a', 'b'], ['a', 'c'], ['a', 'd'], ['b', 'z'], ['c', 'z'], ['d', 'z']
+    ]);
+    const result = findShortestPaths(data, 'a', 'z', { limit: 2 });
+    assert.equal(result.paths.length, 2);
+    assert.equal(result.truncated, true);
+});
+
+test('unconnected or unknown organizations have no paths', () => {
+    const data = dataset(['a', 'b', 'c', 'd'], [['a', 'b'], ['c', 'd']]);
+    assert.deepEqual(findShortestPaths(data, 'a', 'd'), { paths: [], truncated: false });
+    assert.deepEqual(findShortestPaths(data, 'a', 'missing'), { paths: [], truncated: false });
+    assert.deepEqual(findShortestPaths(data, 'a', 'a'), { paths: [], truncated: false });
+});
+
+test('skipCategories keeps paths from going through a category', () => {
+    const data = dataset(['a', 'b', 'c', 'd', 'category1'], [
+        ['a', 'category1', 'category_link'], ['category1', 'd', 'category_link'],
+        ['a', 'b'], ['b', 'c'], ['c', 'd']
+    ]);
+    assert.deepEqual(routes(findShortestPaths(data, 'a', 'd')), ['a>category1>d']);
+    assert.deepEqual(routes(findShortestPaths(data, 'a', 'd', { skipCategories: true })), ['a>b>c>d']);
+
+    const onlyThroughCategory = dataset(['a', 'd', 'category1'], [
+        ['a', 'category1', 'category_link'], ['category1', 'd', 'category_link']
+    ]);
+    assert.deepEqual(findShortestPaths(onlyThroughCategory, 'a', 'd', { skipCategories: true }).paths, []);
+});
+
+test('accepts relationships whose ends are already node objects', () => {
+    const data = dataset(['a', 'b', 'c'], []);
+    const [a, b, c] = data.organizations;
+    data.relationships = [{ source: a, target: b, type: 'partnership' }, { source: b, target: c, type: 'partnership' }];
+    assert.deepEqual(routes(findShortestPaths(data, 'a', 'c')), ['a>b>c']);
+});
@@ -0,0 +1,97 @@
+// Search query language (lib/query.js): operators, quoting, errors and
+// typo-tolerant matching.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileQuery, QuerySyntaxError } from '../lib/query.js';
+
+function organization(fields) {
+    return { contactPerson: '', email: '', phone: '', website: '', address: '', description: '', tags: [], ...fields };
+}
+
+const ORGANIZATIONS = [
+    organization({ id: 'org1', name: 'Harbor Mentoring Network', type: 'non_profit', tags: ['mentoring', 'funding'], contactPerson: 'Ying Zhou' }),
+    organization({ id: 'org2', name: 'City College', type: 'education', tags: ['internship'], contactPerson: 'Sam Ying' }),
+    organization({ id: 'org3', name: 'Seed Capital', type: 'investor_funder', tags: ['funding', 'grants'] }),
+    organization({ id: 'org4', name: 'Parks Department (City)', type: 'government_agency', tags: ['entrepreneurship'] })
+];
+
+function search(query) {
+    const compiled = compileQuery(query);
+    assert.equal(compiled.error, null, `"${query}" should parse`);
+    return ORGANIZATIONS.filter(compiled.matches).map(org => org.id);
+}
+
+function syntaxError(query) {
+    const { error } = compileQuery(query);
+    assert.ok(error instanceof QuerySyntaxError, `"${query}" should not parse`);
+    return error;
+}
+
+test('an empty query matches everything', () => {
+    assert.deepEqual(search('   '), ['org1', 'org2', 'org3', 'org4']);
+});
+
+test('terms are ANDed, and AND binds tighter than OR', () => {
+    assert.deepEqual(search('tag:funding type:non_profit'), ['org1']);
+    assert.deepEqual(search('tag:funding AND type:non_profit'), ['org1']);
+    assert.deepEqual(search('type:education OR tag:funding type:investor_funder'), ['org2', 'org3']);
+    assert.deepEqual(search('(type:education OR tag:funding) type:investor_funder'), ['org3']);
+});
+
+test('NOT and a leading minus negate the next term or group', () => {
+    assert.deepEqual(search('tag:funding -type:non_profit'), ['org3']);
+    assert.deepEqual(search('NOT tag:funding'), ['org2', 'org4']);
+    assert.deepEqual(search('NOT (type:education OR type:government_agency)'), ['org1', 'org3']);
+});
+
+test('quotes keep a phrase together and operators as words', () => {
+    assert.deepEqual(search('contact:"Ying Zhou"'), ['org1']);
+    assert.deepEqual(search('contact:Ying'), ['org1', 'org2']);
+    assert.deepEqual(search('"city college"'), ['org2']);
+    // "Harbor" contains "or"
+    assert.deepEqual(search('"OR"'), ['org1']);
+});
+
+test('field aliases and type labels', () => {
+    assert.deepEqual(search('tags:grants'), ['org3']);
+    assert.deepEqual(search('org:seed'), ['org3']);
+    assert.deepEqual(search('type:"Non-Profit"'), ['org1']);
+    assert.deepEqual(search('type:gov'), ['org4']);
+});
+
+test('malformed queries report where they went wrong', () => {
+    assert.equal(syntaxError('contact:"Ying').message, 'Missing closing quote');
+    assert.equal(syntaxError('(type:education').message, 'Missing closing parenthesis');
+    assert.equal(syntaxError('type:education)').message, 'Unmatched closing parenthesis');
+    assert.equal(syntaxError('tag:funding OR').message, 'Expected a search term after OR');
+    assert.equal(syntaxError('OR tag:funding').message, 'Unexpected OR');
+    assert.equal(syntaxError('tag:').message, 'Missing value after "tag:"');
+
+    const unknownField = syntaxError('color:blue');
+    assert.match(unknownField.message, /^Unknown field "color:"/);
+    assert.equal(unknownField.position, 0);
+    assert.equal(syntaxError('tag:funding (type:education').position, 12);
+});
+
+test('a malformed query falls back to the plain substring search', () => {
+    const compiled = compileQuery('Department (City');
+    assert.ok(compiled.error);
+    assert.deepEqual(ORGANIZATIONS.filter(compiled.matches).map(org => org.id), ['org4']);
+});
+
+test('terms match with small typos, more of them for longer words', () => {
+    assert.deepEqual(search('mentorng'), ['org1']);
+    assert.deepEqual(search('tag:entrepeneurship'), ['org4']);
+    assert.deepEqual(search('tag:grnts'), ['org3']);
+    assert.deepEqual(search('tag:intenship'), ['org2']);
+    // Words under four letters must match exactly
+    assert.deepEqual(search('cty'), []);
+    // Too many typos for the length of the word
+    assert.deepEqual(search('mntrng'), []);
+});
+
+test('id terms match the whole id', () => {
+    assert.deepEqual(search('id:org3'), ['org3']);
+    assert.deepEqual(search('id:org'), []);
+});
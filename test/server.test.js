@@ -0,0 +1,282 @@
+// HTTP contract of server.js: the REST API, its ETag/If-Match versioning,
+// atomic writes with backups, serialized edits, dataset lookup and which files
+// are served. Each test suite runs the server on a copy of organizations.json
+// in a temporary folder.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { mkdtemp, copyFile, cp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+let folder;
+let dataFile;
+let server;
+let baseUrl;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start server.js (or a copy of it) and resolve once it listens
+async function startServer(env, serverFile = join(ROOT, 'server.js')) {
+    const child = spawn(process.execPath, [serverFile], {
+        env: { ...process.env, ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('running at')) resolve();
+        });
+        child.stderr.on('data', chunk => {
+            output += chunk;
+        });
+        child.on('exit', code => reject(new Error(`server.js exited with ${code}: ${output}`)));
+    });
+    return child;
+}
+
+function api(path, { method = 'GET', body, headers = {} } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+async function readDataFile() {
+    const text = await readFile(dataFile, 'utf8');
+    return { data: JSON.parse(text), version: `"${createHash('sha1').update(text).digest('hex')}"` };
+}
+
+async function currentVersion() {
+    return (await api('/api/dataset')).headers.get('ETag');
+}
+
+before(async () => {
+    folder = await mkdtemp(join(tmpdir(), 'ecosystem-server-'));
+    dataFile = join(folder, 'organizations.json');
+    await copyFile(join(ROOT, 'organizations.json'), dataFile);
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = await startServer({ PORT: String(port), DATA_FILE: dataFile, HOST: '' });
+});
+
+after(async () => {
+    server.kill();
+    await rm(folder, { recursive: true, force: true });
+});
+
+test('GET /api/dataset returns the file with its version as the ETag', async () => {
+    const response = await api('/api/dataset');
+    assert.equal(response.status, 200);
+    const { data, version } = await readDataFile();
+    assert.equal(response.headers.get('ETag'), version);
+    assert.deepEqual(await response.json(), data);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), null);
+});
+
+test('GET /api/dataset answers 304 while If-None-Match is current', async () => {
+    const { version } = await readDataFile();
+    const unchanged = await api('/api/dataset', { headers: { 'If-None-Match': version } });
+    assert.equal(unchanged.status, 304);
+    assert.equal(unchanged.headers.get('ETag'), version);
+    assert.equal(await unchanged.text(), '');
+
+    const changed = await api('/api/dataset', { headers: { 'If-None-Match': '"outdated"' } });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.headers.get('ETag'), version);
+});
+
+test('PUT /api/dataset replaces the file when If-Match is current', async () => {
+    const response = await api('/api/dataset');
+    const data = await response.json();
+    data.organizations[0].description = 'Replaced';
+
+    const put = await api('/api/dataset', { method: 'PUT', body: data, headers: { 'If-Match': response.headers.get('ETag') } });
+    assert.equal(put.status, 200);
+    const saved = await readDataFile();
+    assert.equal(saved.data.organizations[0].description, 'Replaced');
+    assert.equal(put.headers.get('ETag'), saved.version);
+});
+
+test('PUT /api/dataset with an outdated If-Match is refused and leaves the file alone', async () => {
+    const before = await readDataFile();
+    const data = structuredClone(before.data);
+    data.organizations[0].description = 'Lost update';
+
+    const put = await api('/api/dataset', { method: 'PUT', body: data, headers: { 'If-Match': '"outdated"' } });
+    assert.equal(put.status, 412);
+    assert.deepEqual((await readDataFile()).data, before.data);
+});
+
+test('PUT /api/dataset rejects data with new validation errors', async () => {
+    const before = await readDataFile();
+    const data = structuredClone(before.data);
+    data.relationships.push({ source: 'org1', target: 'no-such-org', type: 'partnership' });
+
+    const put = await api('/api/dataset', { method: 'PUT', body: data });
+    assert.equal(put.status, 422);
+    assert.ok((await put.json()).errors.length > 0);
+    assert.deepEqual((await readDataFile()).data, before.data);
+});
+
+test('requests with a body must be JSON', async () => {
+    const response = await fetch(`${baseUrl}/api/organizations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: JSON.stringify({ name: 'Sneaky', type: 'education' })
+    });
+    assert.equal(response.status, 415);
+});
+
+test('writes are atomic and keep a backup of the previous file', async () => {
+    const before = await readFile(dataFile, 'utf8');
+    const post = await api('/api/organizations', { method: 'POST', body: { name: 'Backed Up', type: 'education' } });
+    assert.equal(post.status, 201);
+
+    const backups = await readdir(join(folder, 'backups'));
+    const contents = await Promise.all(backups.map(name => readFile(join(folder, 'backups', name), 'utf8')));
+    assert.ok(contents.includes(before));
+    assert.deepEqual((await readdir(folder)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('backups are pruned to the newest 20', async () => {
+    for (let i = 0; i < 22; i++) {
+        const response = await api('/api/organizations/org1', { method: 'PUT', body: { description: `Version ${i}` } });
+        assert.equal(response.status, 200);
+    }
+    const backups = (await readdir(join(folder, 'backups'))).filter(name => name.startsWith('organizations-'));
+    assert.ok(backups.length <= 20);
+});
+
+test('POST /api/organizations assigns the next id and reports the versions around the edit', async () => {
+    const previous = await currentVersion();
+    const response = await api('/api/organizations', { method: 'POST', body: { name: 'New Organization', type: 'education' } });
+    assert.equal(response.status, 201);
+    const { organization } = await response.json();
+    assert.match(organization.id, /^org\d+$/);
+    assert.equal(response.headers.get('X-Previous-ETag'), previous);
+    assert.equal(response.headers.get('ETag'), (await readDataFile()).version);
+    assert.ok((await readDataFile()).data.organizations.some(org => org.id === organization.id));
+});
+
+test('POST /api/organizations rejects an invalid organization', async () => {
+    const response = await api('/api/organizations', { method: 'POST', body: { name: 'No Type' } });
+    assert.equal(response.status, 422);
+});
+
+test('edits with an outdated If-Match are refused', async () => {
+    const response = await api('/api/organizations/org1', { method: 'PUT', body: { description: 'Late' }, headers: { 'If-Match': '"outdated"' } });
+    assert.equal(response.status, 412);
+});
+
+test('concurrent edits are applied one after another without losing any', async () => {
+    const names = Array.from({ length: 10 }, (_, i) => `Concurrent ${i}`);
+    const responses = await Promise.all(names.map(name =>
+        api('/api/organizations', { method: 'POST', body: { name, type: 'education' } })));
+    assert.deepEqual(responses.map(response => response.status), names.map(() => 201));
+
+    const { data } = await readDataFile();
+    const created = data.organizations.filter(org => names.includes(org.name));
+    assert.equal(created.length, names.length);
+    assert.equal(new Set(created.map(org => org.id)).size, names.length);
+});
+
+test('relationships are added, updated and deleted by source, target and type', async () => {
+    const relationship = { source: 'org1', target: 'org2', type: 'client_relationship', description: 'Added' };
+    const path = '/api/relationships/org1/org2/client_relationship';
+    const created = await api('/api/relationships', { method: 'POST', body: { ...relationship, source: ' org1 ', startDate: '' } });
+    assert.equal(created.status, 201);
+    assert.deepEqual((await created.json()).relationship, relationship);
+    assert.equal((await api('/api/relationships', { method: 'POST', body: relationship })).status, 422);
+
+    const listed = await (await api('/api/relationships?organization=org2')).json();
+    assert.ok(listed.some(rel => rel.type === 'client_relationship' && rel.source === 'org1'));
+
+    const updated = await api(path, { method: 'PUT', body: { description: ' Updated ', endDate: '' } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual((await updated.json()).relationship, { ...relationship, description: 'Updated' });
+
+    assert.equal((await api(path, { method: 'DELETE' })).status, 200);
+    assert.equal((await api(path, { method: 'DELETE' })).status, 404);
+});
+
+test('deleting an organization also deletes its relationships', async () => {
+    const { organization } = await (await api('/api/organizations', { method: 'POST', body: { name: 'Short-lived', type: 'education' } })).json();
+    await api('/api/relationships', { method: 'POST', body: { source: organization.id, target: 'org1', type: 'partnership' } });
+
+    assert.equal((await api(`/api/organizations/${organization.id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await api(`/api/organizations/${organization.id}`)).status, 404);
+    const { data } = await readDataFile();
+    assert.ok(!data.relationships.some(rel => rel.source === organization.id || rel.target === organization.id));
+});
+
+test('datasets are looked up in datasets.json', async () => {
+    const known = await api('/api/dataset?dataset=tiqc');
+    assert.equal(known.status, 200);
+    assert.equal(known.headers.get('ETag'), `"${createHash('sha1').update(await readFile(join(ROOT, 'organizations.json'), 'utf8')).digest('hex')}"`);
+    assert.equal((await api('/api/dataset?dataset=no-such-dataset')).status, 404);
+});
+
+test('a datasets.json entry whose file is missing is an unknown dataset', async () => {
+    // server.js reads datasets.json from its own folder, so run a copy of it
+    // next to a manifest listing a file that isn't there
+    const copy = await mkdtemp(join(tmpdir(), 'ecosystem-manifest-'));
+    await cp(join(ROOT, 'lib'), join(copy, 'lib'), { recursive: true });
+    await Promise.all(['server.js', 'package.json', 'organizations.json'].map(name => copyFile(join(ROOT, name), join(copy, name))));
+    await writeFile(join(copy, 'datasets.json'), JSON.stringify({ datasets: [{ id: 'moved', data: 'moved.json' }] }));
+
+    const port = await freePort();
+    const child = await startServer({ PORT: String(port), DATA_FILE: join(copy, 'organizations.json'), HOST: '' }, join(copy, 'server.js'));
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}/api/dataset?dataset=moved`);
+        assert.equal(response.status, 404);
+        assert.match((await response.json()).error, /moved\.json/);
+
+        const post = await fetch(`http://127.0.0.1:${port}/api/organizations?dataset=moved`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'Nowhere', type: 'education' })
+        });
+        assert.equal(post.status, 404);
+    } finally {
+        child.kill();
+        await rm(copy, { recursive: true, force: true });
+    }
+});
+
+test('malformed URL escapes are client errors', async () => {
+    assert.equal((await api('/api/organizations/%E0%A4%A')).status, 400);
+    assert.equal((await fetch(`${baseUrl}/%E0%A4%A`)).status, 404);
+});
+
+test('unknown routes and methods', async () => {
+    assert.equal((await api('/api/nothing')).status, 404);
+    assert.equal((await api('/api/dataset', { method: 'DELETE' })).status, 405);
+    assert.equal((await api('/api/dataset', { method: 'OPTIONS' })).status, 405);
+});
+
+test('only the files of the site are served', async () => {
+    for (const path of ['/', '/list-view', '/index.html', '/styles.css', '/script.js', '/lib/model.js', '/organizations.json', '/logo.png']) {
+        assert.equal((await fetch(`${baseUrl}${path}`)).status, 200, path);
+    }
+    for (const path of ['/server.js', '/package.json', '/scripts/geocode.js', '/.gitignore', '/requests.jsonl', '/test/server.test.js']) {
+        assert.equal((await fetch(`${baseUrl}${path}`)).status, 404, path);
+    }
+});